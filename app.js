@@ -3,6 +3,8 @@ const express = require('express');
 const line = require('@line/bot-sdk');
 const { createClient } = require('@supabase/supabase-js');
 const moment = require('moment-timezone');
+const crypto = require('crypto');
+const cron = require('node-cron');
 
 
 const app = express();
@@ -21,6 +23,64 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 // President (會長) configuration - who receives the reminders
 const PRESIDENT_LINE_USER_ID = process.env.PRESIDENT_LINE_USER_ID;
 
+// Default interview length (minutes) used to detect overlapping interviews for the same interviewer
+const INTERVIEW_DURATION_MINUTES = parseInt(process.env.INTERVIEW_DURATION_MINUTES, 10) || 60;
+
+// Reminder offsets before each interview, e.g. "7d,24h,3h,30m" (per-interview override in interviews.reminder_offsets)
+const REMINDER_OFFSETS = process.env.REMINDER_OFFSETS || '24h,3h';
+// Half-width of the window around each offset in which the cron may send the reminder
+const REMINDER_WINDOW_MINUTES = parseInt(process.env.REMINDER_WINDOW_MINUTES, 10) || 30;
+// How long after its window a missed reminder may still be sent late before it is dropped
+const REMINDER_MAX_LATENESS_MINUTES = parseInt(process.env.REMINDER_MAX_LATENESS_MINUTES, 10) || 720;
+
+// A reminder claimed by a run that never finished may be taken over after this long
+// (matches the interval in get_due_reminders(), see database/migration_reminder_claims.sql)
+const REMINDER_CLAIM_TIMEOUT_MINUTES = 10;
+
+// Role for users not listed in member_roles (president, counsellor, clerk or viewer)
+const DEFAULT_MEMBER_ROLE = process.env.DEFAULT_MEMBER_ROLE || 'viewer';
+
+// Idle time after which a multi-turn conversation (e.g. the 新增 wizard) is abandoned
+const SESSION_TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES, 10) || 30;
+
+// How many days ahead occurrences of recurring interview series are created
+const SERIES_HORIZON_DAYS = parseInt(process.env.SERIES_HORIZON_DAYS, 10) || 60;
+
+// Public URL of this deployment, used for calendar feed links (falls back to the Vercel deployment URL)
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '');
+
+// REST API clients as comma-separated name:key pairs, e.g. "clerk-sheet:abc123,calendar-sync:def456"
+const API_KEYS = process.env.API_KEYS || '';
+
+// Reminder delivery: parallel pushes to groups and retries of rate-limited (429) or failed (5xx) LINE calls
+const DELIVERY_CONCURRENCY = parseInt(process.env.DELIVERY_CONCURRENCY, 10) || 5;
+const DELIVERY_MAX_RETRIES = parseInt(process.env.DELIVERY_MAX_RETRIES, 10) || 3;
+
+// Failed pushes are queued and retried on later cron runs, first after OUTBOUND_RETRY_BASE_MINUTES then doubling
+const OUTBOUND_MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 5;
+const OUTBOUND_RETRY_BASE_MINUTES = parseInt(process.env.OUTBOUND_RETRY_BASE_MINUTES, 10) || 10;
+
+// A recipient is deactivated after this many consecutive permanent failures (blocked bot, stale group ID, ...)
+const RECIPIENT_FAILURE_THRESHOLD = parseInt(process.env.RECIPIENT_FAILURE_THRESHOLD, 10) || 3;
+
+// Agenda digests: send times as HH:mm in Asia/Taipei (unset = off), weekday of the weekly one (0 = Sunday)
+// and recipients as comma-separated LINE user/group/room IDs (unset = everyone who gets reminders)
+const DIGEST_DAILY_TIME = process.env.DIGEST_DAILY_TIME || '';
+const DIGEST_WEEKLY_TIME = process.env.DIGEST_WEEKLY_TIME || '';
+const DIGEST_WEEKLY_DAY = parseInt(process.env.DIGEST_WEEKLY_DAY, 10) || 0;
+const DIGEST_RECIPIENTS = process.env.DIGEST_RECIPIENTS || '';
+
+// Outside Vercel, process reminders and digests on this cron schedule in-process (unset = rely on /trigger-reminders)
+const LOCAL_CRON_SCHEDULE = process.env.LOCAL_CRON_SCHEDULE || '';
+
+// How many days ahead 預約 offers free availability slots
+const BOOKING_HORIZON_DAYS = parseInt(process.env.BOOKING_HORIZON_DAYS, 10) || 14;
+// The bot's LINE basic ID (e.g. @123abcde), used for 預約連結 links that open a chat with the bot
+const LINE_BOT_BASIC_ID = process.env.LINE_BOT_BASIC_ID || '';
+
+// Owner of interviews created by /create-test-interview; they are deleted once their reminder is sent
+const TEST_INTERVIEW_USER_ID = 'test-user-123';
+
 const client = new line.Client(lineConfig);
 
 // Track LINE users (follow) and groups (join) for reminder recipients
@@ -35,6 +95,7 @@ class ContactTracker {
           { onConflict: 'user_id', ignoreDuplicates: false }
         );
       if (error) throw error;
+      await RecipientHealth.clear([userId]);
       console.log('📌 Recorded user (follow):', userId);
       return { success: true };
     } catch (e) {
@@ -53,6 +114,7 @@ class ContactTracker {
           { onConflict: 'group_id', ignoreDuplicates: false }
         );
       if (error) throw error;
+      await RecipientHealth.clear([groupId]);
       console.log('📌 Recorded group (join):', groupId);
       return { success: true };
     } catch (e) {
@@ -94,14 +156,100 @@ class ContactTracker {
   }
 }
 
+// Reminder offsets are stored as minutes before the interview
+class ReminderOffsets {
+  // Parse a single offset such as "7d", "24h", "3h", "30m" (bare numbers are minutes); null when invalid
+  static parseOffset(token) {
+    const match = String(token).trim().toLowerCase().match(/^(\d+)\s*(d|h|m|天|小時|分鐘|分)?$/);
+    if (!match) return null;
+    const multipliers = { d: 1440, '天': 1440, h: 60, '小時': 60, m: 1, '分鐘': 1, '分': 1 };
+    const minutes = parseInt(match[1], 10) * multipliers[match[2] || 'm'];
+    return minutes > 0 ? minutes : null;
+  }
+
+  // Parse a comma-separated list into unique offsets sorted from earliest to latest reminder; null when invalid
+  static parseList(text) {
+    const tokens = String(text || '').split(/[,，、\s]+/).filter(Boolean);
+    if (tokens.length === 0) return null;
+    const offsets = tokens.map(token => this.parseOffset(token));
+    if (offsets.some(offset => offset === null)) return null;
+    return [...new Set(offsets)].sort((a, b) => b - a);
+  }
+
+  // Human-readable label, e.g. 10080 -> "7天", 1440 -> "24小時", 90 -> "1小時30分鐘"
+  static format(minutes) {
+    if (minutes > 1440 && minutes % 1440 === 0) return `${minutes / 1440}天`;
+    if (minutes % 60 === 0) return `${minutes / 60}小時`;
+    if (minutes > 60) return `${Math.floor(minutes / 60)}小時${minutes % 60}分鐘`;
+    return `${minutes}分鐘`;
+  }
+
+  // Text parseList reads back, e.g. [10080, 180, 30] -> "7d,3h,30m"
+  static toText(offsets) {
+    return offsets.map(minutes => {
+      if (minutes > 1440 && minutes % 1440 === 0) return `${minutes / 1440}d`;
+      if (minutes % 60 === 0) return `${minutes / 60}h`;
+      return `${minutes}m`;
+    }).join(',');
+  }
+
+  static getDefault() {
+    const offsets = this.parseList(REMINDER_OFFSETS);
+    if (!offsets) {
+      console.warn(`⚠️ Invalid REMINDER_OFFSETS "${REMINDER_OFFSETS}" - falling back to 24h,3h`);
+      return [1440, 180];
+    }
+    return offsets;
+  }
+
+  // Offsets that apply to an interview (its own override or the global default)
+  static forInterview(interview) {
+    if (Array.isArray(interview.reminder_offsets) && interview.reminder_offsets.length > 0) {
+      return [...interview.reminder_offsets].sort((a, b) => b - a);
+    }
+    return this.getDefault();
+  }
+
+  // Send window half-width, capped at half the offset so short offsets stay before the interview
+  static windowFor(offsetMinutes) {
+    return Math.min(REMINDER_WINDOW_MINUTES, offsetMinutes / 2);
+  }
+}
+
 // Middleware
 // Note: express.json() is not needed for LINE webhook as it needs raw body for signature validation
 
 // Interview management functions
 class InterviewManager {
-  // Add new interview
-  static async addInterview(userId, intervieweeName, interviewerName, date, time, reason) {
+  // Every interview belongs to a context { type: 'user' | 'group' | 'room', id }: the chat whose
+  // shared list it appears in. A LINE ID's prefix tells its type (U user, C group, R room).
+  static contextFromId(id) {
+    const type = typeof id === 'string' && id.startsWith('C') ? 'group' : typeof id === 'string' && id.startsWith('R') ? 'room' : 'user';
+    return { type, id };
+  }
+
+  // Context of a change: actor.context when given (API, calendar feed import), else the group or
+  // room it came from, else the user's own list
+  static contextFromActor(userId, actor) {
+    if (actor && actor.context) return actor.context;
+    if (actor && (actor.sourceType === 'group' || actor.sourceType === 'room')) return { type: actor.sourceType, id: actor.sourceId };
+    return { type: 'user', id: userId };
+  }
+
+  static applyContext(query, context) {
+    return query.eq('context_type', context.type).eq('context_id', context.id);
+  }
+
+  // Whether an interview row (or audit snapshot of one) belongs to the list of context
+  static inContext(interview, context) {
+    return Boolean(interview) && interview.context_type === context.type && interview.context_id === context.id;
+  }
+
+  // Add new interview; actor ({ userId, sourceType, sourceId }) is recorded in the audit log.
+  // extraFields holds optional columns such as ical_uid for imported events.
+  static async addInterview(userId, intervieweeName, interviewerName, date, time, reason, actor = null, extraFields = {}) {
     try {
+      const context = this.contextFromActor(userId, actor);
       const { data, error } = await supabase
         .from('interviews')
         .insert([
@@ -111,45 +259,110 @@ class InterviewManager {
             interviewer_name: interviewerName,
             interview_date: date,
             interview_time: time,
-            reason: reason
+            reason: reason,
+            // The group or room it was created in shares it (and 訂閱 群組 matches on it)
+            context_type: context.type,
+            context_id: context.id,
+            ...extraFields
           }
         ])
         .select();
 
       if (error) throw error;
 
-      // Check if this interview needs immediate reminders (edge case handling)
       const interview = data[0];
-      const interviewDateTime = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
-      const now = moment.tz('Asia/Taipei');
-      const diffHours = interviewDateTime.diff(now, 'hours', true);
+      await this.interviewCreated(interview, userId, actor);
+      return { success: true, data: interview };
+    } catch (error) {
+      console.error('Error adding interview:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      // If interview is less than 3 hours away, mark 24h reminder as sent
-      if (diffHours < 3) {
-        await this.markReminderSent(interview.id, '24h');
-        console.log(`⚠️ Interview ${interview.id} added less than 3 hours before start - 24h reminder skipped`);
-      }
+  // Book a 預約 slot of durationMinutes, checking that it is free and inserting in one transaction
+  // (book_interview_slot(), see database/migration_atomic_booking.sql); data is null when a
+  // non-cancelled interview of the interviewer overlaps it. The function inserts the same columns as
+  // addInterview, the others keep their defaults: a column added there must be added to both.
+  static async bookInterview(userId, intervieweeName, interviewerName, date, time, reason, durationMinutes, actor = null) {
+    try {
+      const context = this.contextFromActor(userId, actor);
+      const { data, error } = await supabase.rpc('book_interview_slot', {
+        p_user_id: userId,
+        p_interviewee_name: intervieweeName,
+        p_interviewer_name: interviewerName,
+        p_interview_date: date,
+        p_interview_time: time,
+        p_reason: reason,
+        p_duration_minutes: durationMinutes,
+        p_context_type: context.type,
+        p_context_id: context.id,
+        p_default_duration_minutes: INTERVIEW_DURATION_MINUTES
+      });
 
-      // If interview is less than 1 hour away, mark 3h reminder as sent
-      if (diffHours < 1) {
-        await this.markReminderSent(interview.id, '3h');
-        console.log(`⚠️ Interview ${interview.id} added less than 1 hour before start - 3h reminder skipped`);
-      }
+      if (error) throw error;
+      const interview = (data || [])[0];
+      if (!interview) return { success: true, data: null };
 
+      await this.interviewCreated(interview, userId, actor);
       return { success: true, data: interview };
     } catch (error) {
-      console.error('Error adding interview:', error);
+      console.error('Error booking interview:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Get all interviews for a user
-  static async getInterviews(userId) {
+  // Follow-up for a newly inserted interview
+  static async interviewCreated(interview, userId, actor) {
+    // Skip reminders whose send window has already passed (edge case handling)
+    await this.skipPassedReminders(interview);
+    await AuditLog.record(interview.id, 'create', actor || { userId }, null, interview);
+    await InterviewerNotifier.interviewCreated(interview, actor);
+  }
+
+  // Add several interviews in one insert (CSV import). items are validated { intervieweeName,
+  // interviewerName, date, time, reason, reminderOffsets }; each interviewer gets one message for all of theirs.
+  static async addInterviews(userId, items, actor = null) {
     try {
+      const context = this.contextFromActor(userId, actor);
       const { data, error } = await supabase
         .from('interviews')
-        .select('*')
-        .eq('user_id', userId)
+        .insert(items.map(item => ({
+          user_id: userId,
+          interviewee_name: item.intervieweeName,
+          interviewer_name: item.interviewerName,
+          interview_date: item.date,
+          interview_time: item.time,
+          reason: item.reason,
+          reminder_offsets: item.reminderOffsets || null,
+          context_type: context.type,
+          context_id: context.id
+        })))
+        .select();
+
+      if (error) throw error;
+
+      for (const interview of data) {
+        await this.skipPassedReminders(interview);
+        await AuditLog.record(interview.id, 'create', actor || { userId }, null, interview);
+      }
+      await InterviewerNotifier.interviewsCreated(data, actor);
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error adding interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get all interviews of a context (see contextFromActor), optionally only those with the given status
+  static async getInterviews(context, status = null) {
+    try {
+      let query = this.applyContext(supabase
+        .from('interviews')
+        .select('*'), context);
+      if (status) query = query.eq('status', status);
+
+      const { data, error } = await query
         .order('interview_date', { ascending: true })
         .order('interview_time', { ascending: true });
 
@@ -161,13 +374,129 @@ class InterviewManager {
     }
   }
 
-  // Get all upcoming interviews (from today onwards) for broadcast
+  // ILIKE pattern matching text anywhere, with LIKE wildcards in text taken literally
+  static containsPattern(text) {
+    return '%' + String(text).replace(/[\\%_]/g, char => '\\' + char) + '%';
+  }
+
+  // Interviews matching optional filters (REST API, 查看 and 搜尋):
+  // { userId, context, contextId, from, to, interviewerName, interviewerQuery, intervieweeQuery, keyword, status, booked, offset, limit }
+  // The *Query filters and keyword (searched in reason) match partially; booked keeps the 預約 bookings (with duration_minutes). count is the number of matches over all pages.
+  static async searchInterviews(filters = {}) {
+    try {
+      let query = supabase
+        .from('interviews')
+        .select('*', { count: 'exact' });
+      if (filters.userId) query = query.eq('user_id', filters.userId);
+      if (filters.context) query = this.applyContext(query, filters.context);
+      if (filters.contextId) query = query.eq('context_id', filters.contextId);
+      if (filters.from) query = query.gte('interview_date', filters.from);
+      if (filters.to) query = query.lte('interview_date', filters.to);
+      if (filters.interviewerName) query = query.eq('interviewer_name', filters.interviewerName);
+      if (filters.interviewerQuery) query = query.ilike('interviewer_name', this.containsPattern(filters.interviewerQuery));
+      if (filters.intervieweeQuery) query = query.ilike('interviewee_name', this.containsPattern(filters.intervieweeQuery));
+      if (filters.keyword) query = query.ilike('reason', this.containsPattern(filters.keyword));
+      if (filters.status) query = query.eq('status', filters.status);
+      if (filters.booked) query = query.not('duration_minutes', 'is', null);
+
+      const offset = filters.offset || 0;
+      const { data, error, count } = await query
+        .order('interview_date', { ascending: true })
+        .order('interview_time', { ascending: true })
+        .range(offset, offset + (filters.limit || 500) - 1);
+
+      if (error) throw error;
+      return { success: true, data, count };
+    } catch (error) {
+      console.error('Error searching interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get a single interview; context limits it to that chat's list (null = any chat)
+  static async getInterviewById(context, interviewId) {
+    try {
+      let query = supabase
+        .from('interviews')
+        .select('*')
+        .eq('id', interviewId);
+      if (context) query = this.applyContext(query, context);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interview:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Recently used interviewer names for a user (for quick reply suggestions)
+  static async getRecentInterviewerNames(userId, limit = 10) {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('interviewer_name')
+        .eq('user_id', userId)
+        .not('interviewer_name', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(100);
+
+      if (error) throw error;
+      const names = [...new Set((data || []).map(row => row.interviewer_name))].slice(0, limit);
+      return { success: true, data: names };
+    } catch (error) {
+      console.error('Error getting interviewer names:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  // Whether interview overlaps the block of durationMinutes starting at start; interviews
+  // without their own duration_minutes (booked slots have one) last INTERVIEW_DURATION_MINUTES
+  static overlaps(interview, start, durationMinutes = INTERVIEW_DURATION_MINUTES) {
+    const other = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+    const otherEnd = other.clone().add(interview.duration_minutes || INTERVIEW_DURATION_MINUTES, 'minutes');
+    return other.isBefore(start.clone().add(durationMinutes, 'minutes')) && start.isBefore(otherEnd);
+  }
+
+  // Find interviews for the same interviewer that overlap the given slot
+  // durationMinutes is the length of the slot (default INTERVIEW_DURATION_MINUTES)
+  static async findConflicts(interviewerName, date, time, excludeId = null, durationMinutes = null) {
+    try {
+      const start = moment.tz(`${date} ${time}`, ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm'], 'Asia/Taipei');
+      // Look at neighbouring days too so slots spanning midnight are caught
+      let query = supabase
+        .from('interviews')
+        .select('*')
+        .eq('interviewer_name', interviewerName)
+        .neq('status', 'cancelled')
+        .gte('interview_date', start.clone().subtract(1, 'day').format('YYYY-MM-DD'))
+        .lte('interview_date', start.clone().add(1, 'day').format('YYYY-MM-DD'))
+        .order('interview_date', { ascending: true })
+        .order('interview_time', { ascending: true });
+      if (excludeId) query = query.neq('id', excludeId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const conflicts = (data || []).filter(interview => this.overlaps(interview, start, durationMinutes || INTERVIEW_DURATION_MINUTES));
+
+      return { success: true, data: conflicts };
+    } catch (error) {
+      console.error('Error finding interview conflicts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get all upcoming scheduled interviews (from today onwards) for broadcast
   static async getAllUpcomingInterviews() {
     try {
       const today = moment.tz('Asia/Taipei').format('YYYY-MM-DD');
       const { data, error } = await supabase
         .from('interviews')
         .select('*')
+        .eq('status', 'scheduled')
         .gte('interview_date', today)
         .order('interview_date', { ascending: true })
         .order('interview_time', { ascending: true });
@@ -180,17 +509,32 @@ class InterviewManager {
     }
   }
 
-  // Update interview
-  static async updateInterview(userId, interviewId, updates) {
+  // Update interview; context limits it to that chat's list (null = any chat).
+  // notify: false leaves messaging the interviewer to the caller (e.g. one message per 週期 更新)
+  static async updateInterview(context, interviewId, updates, actor = null, { notify = true } = {}) {
     try {
+      // Keep the previous values for the audit log
+      const before = await this.getInterviewById(context, interviewId);
+      if (!before.success) throw new Error(before.error);
+      if (!before.data) return { success: true, data: undefined };
+
       const { data, error } = await supabase
         .from('interviews')
         .update(updates)
         .eq('id', interviewId)
-        .eq('user_id', userId)
         .select();
 
       if (error) throw error;
+
+      // A rescheduled interview (or new offsets) starts its reminders afresh
+      if (data[0] && ('interview_date' in updates || 'interview_time' in updates || 'reminder_offsets' in updates)) {
+        await this.resetReminders(data[0]);
+      }
+      if (data[0]) {
+        await AuditLog.record(interviewId, 'update', actor, before.data, data[0]);
+        if (notify) await InterviewerNotifier.interviewChanged(before.data, data[0], actor);
+      }
+
       return { success: true, data: data[0] };
     } catch (error) {
       console.error('Error updating interview:', error);
@@ -198,33 +542,96 @@ class InterviewManager {
     }
   }
 
-  // Delete interview
-  static async deleteInterview(userId, interviewId) {
+  // Delete interview; context limits it to that chat's list (null = any chat).
+  // data is the deleted row, null if there was none; notify as for updateInterview
+  static async deleteInterview(context, interviewId, actor = null, { notify = true } = {}) {
     try {
+      // Keep the deleted row in the audit log so 復原 can restore it
+      const before = await this.getInterviewById(context, interviewId);
+      if (!before.success) throw new Error(before.error);
+      if (!before.data) return { success: true, data: null };
+
       const { error } = await supabase
         .from('interviews')
         .delete()
-        .eq('id', interviewId)
-        .eq('user_id', userId);
+        .eq('id', interviewId);
 
       if (error) throw error;
-      return { success: true };
+      await AuditLog.record(interviewId, 'delete', actor, before.data, null);
+      if (notify) await InterviewerNotifier.interviewDeleted(before.data, actor);
+      return { success: true, data: before.data };
     } catch (error) {
       console.error('Error deleting interview:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Get interviews that need reminders
+  // Revert the user's most recent change (see AuditLog); data is the reverted entry, null if none
+  static async undoLastChange(actor) {
+    try {
+      const entryResult = await AuditLog.getLastUndoable(actor.userId);
+      if (!entryResult.success) throw new Error(entryResult.error);
+      const entry = entryResult.data;
+      if (!entry) return { success: true, data: null };
+
+      // Someone else changed the interview afterwards - reverting would overwrite their change
+      const latest = await AuditLog.getLatestEntry(entry.interview_id);
+      if (!latest.success) throw new Error(latest.error);
+      if (latest.data && latest.data.id !== entry.id) {
+        return { success: false, error: 'Interview changed after this entry', superseded: true, data: entry };
+      }
+
+      const current = await this.getInterviewById(null, entry.interview_id);
+      if (!current.success) throw new Error(current.error);
+      let restored = null;
+
+      if (entry.action === 'create') {
+        // Undo a create: remove the interview again
+        const { error } = await supabase.from('interviews').delete().eq('id', entry.interview_id);
+        if (error) throw error;
+      } else if (entry.action === 'update') {
+        if (!current.data) return { success: false, error: 'Interview no longer exists', data: entry };
+        // Undo an update: put back the previous value of every changed column
+        const revert = {};
+        Object.keys(entry.after_data || {}).forEach(key => {
+          if (key !== 'updated_at' && JSON.stringify(entry.after_data[key]) !== JSON.stringify(entry.before_data[key])) {
+            revert[key] = entry.before_data[key];
+          }
+        });
+        const { data, error } = await supabase.from('interviews').update(revert).eq('id', entry.interview_id).select();
+        if (error) throw error;
+        restored = data[0];
+        if ('interview_date' in revert || 'interview_time' in revert || 'reminder_offsets' in revert) {
+          await this.resetReminders(restored);
+        }
+      } else if (entry.action === 'delete') {
+        // Undo a delete: re-insert the row with its original ID
+        const { data, error } = await supabase.from('interviews').insert([entry.before_data]).select();
+        if (error) throw error;
+        restored = data[0];
+        await this.skipPassedReminders(restored);
+      }
+
+      await AuditLog.record(entry.interview_id, 'undo', actor, current.data, restored);
+      await AuditLog.markUndone(entry.id);
+      return { success: true, data: entry };
+    } catch (error) {
+      console.error('Error undoing change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get interviews that need reminders, one entry per interview and due offset
   static async getInterviewsNeedingReminders() {
     try {
       const now = moment.tz('Asia/Taipei');
       
-      // Get all interviews that haven't sent reminders yet
+      // Get scheduled interviews from today onwards (no reminders once cancelled, completed or no-show);
+      // sent state is checked per offset below
       const { data: allInterviews, error } = await supabase
         .from('interviews')
         .select('*')
-        .or('reminder_24h_sent.eq.false,reminder_3h_sent.eq.false')
+        .eq('status', 'scheduled')
         .gte('interview_date', now.format('YYYY-MM-DD'));
 
       if (error) throw error;
@@ -232,33 +639,56 @@ class InterviewManager {
       // Diagnostic log: Did Supabase return interviews?
       console.log('Fetched interviews:', allInterviews ? allInterviews.length : 0);
 
-      const interviews24h = [];
-      const interviews3h = [];
+      const deliveriesResult = await this.getReminderDeliveries((allInterviews || []).map(i => i.id));
+      if (!deliveriesResult.success) throw new Error(deliveriesResult.error);
+      const deliveries = deliveriesResult.data;
+
+      const dueReminders = [];
+      const staleReminders = [];
 
       // Process each interview to check exact timing
       for (const interview of allInterviews || []) {
         const interviewDateTime = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
-        const diffHours = interviewDateTime.diff(now, 'hours', true);
+        const diffMinutes = interviewDateTime.diff(now, 'minutes', true);
+        const handled = deliveries[interview.id] || {};
 
-        // Check for 24-hour reminder (between 23.5 and 24.5 hours before)
-        if (!interview.reminder_24h_sent && diffHours >= 23.5 && diffHours <= 24.5) {
-          interviews24h.push(interview);
-        }
+        // Nothing to catch up once the interview has started
+        if (diffMinutes <= 0) continue;
 
-        // Check for 3-hour reminder (between 2.5 and 3.5 hours before)
-        if (!interview.reminder_3h_sent && diffHours >= 2.5 && diffHours <= 3.5) {
-          interviews3h.push(interview);
-        }
+        // Offsets are sorted from earliest to latest reminder
+        const offsets = ReminderOffsets.forInterview(interview);
+        offsets.forEach((offsetMinutes, index) => {
+          if (handled[offsetMinutes]) return;
+          const window = ReminderOffsets.windowFor(offsetMinutes);
+
+          // Due when within the window around the offset (e.g. 23.5–24.5 hours before for 24h)
+          if (diffMinutes >= offsetMinutes - window && diffMinutes <= offsetMinutes + window) {
+            dueReminders.push({ interview, offsetMinutes, late: false, remainingMinutes: diffMinutes });
+            return;
+          }
+          if (diffMinutes > offsetMinutes + window) return;
+
+          // Window already passed without a send (cron missed a run or cold-started late)
+          const minutesLate = (offsetMinutes - window) - diffMinutes;
+          const superseded = offsets.slice(index + 1).some(later => diffMinutes <= later + ReminderOffsets.windowFor(later));
+          if (superseded) {
+            staleReminders.push({ interview, offsetMinutes, reason: 'superseded by a later reminder' });
+          } else if (minutesLate > REMINDER_MAX_LATENESS_MINUTES) {
+            staleReminders.push({ interview, offsetMinutes, reason: `${Math.round(minutesLate)} minutes late` });
+          } else {
+            dueReminders.push({ interview, offsetMinutes, late: true, remainingMinutes: diffMinutes });
+          }
+        });
       }
 
-      // Diagnostic log: Did any match the 24h condition?
-      console.log('24h matches:', interviews24h.length, '3h matches:', interviews3h.length);
+      // Diagnostic log: Did any match an offset window?
+      console.log('Due reminder matches:', dueReminders.length, 'late:', dueReminders.filter(r => r.late).length, 'stale:', staleReminders.length);
 
       return {
         success: true,
         data: {
-          interviews24h,
-          interviews3h
+          dueReminders,
+          staleReminders
         }
       };
     } catch (error) {
@@ -267,20 +697,42 @@ class InterviewManager {
     }
   }
 
-  // Mark reminder as sent
-  static async markReminderSent(interviewId, reminderType) {
+  // Get handled reminders keyed by interview ID then offset, e.g. { 12: { 1440: 'sent' } }
+  static async getReminderDeliveries(interviewIds) {
     try {
-      const updateData = {};
-      if (reminderType === '24h') {
-        updateData.reminder_24h_sent = true;
-      } else if (reminderType === '3h') {
-        updateData.reminder_3h_sent = true;
-      }
+      const deliveries = {};
+      if (interviewIds.length === 0) return { success: true, data: deliveries };
+
+      const { data, error } = await supabase
+        .from('interview_reminder_deliveries')
+        .select('interview_id, offset_minutes, status, claimed_at')
+        .in('interview_id', interviewIds);
+
+      if (error) throw error;
+
+      const staleClaim = moment().subtract(REMINDER_CLAIM_TIMEOUT_MINUTES, 'minutes');
+      (data || []).forEach(row => {
+        // A claim abandoned by a crashed run counts as not handled so it can be claimed again
+        if (row.status === 'sending' && row.claimed_at && moment(row.claimed_at).isBefore(staleClaim)) return;
+        if (!deliveries[row.interview_id]) deliveries[row.interview_id] = {};
+        deliveries[row.interview_id][row.offset_minutes] = row.status;
+      });
+      return { success: true, data: deliveries };
+    } catch (error) {
+      console.error('Error getting reminder deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
+  // Mark reminder as sent (or skipped) for one offset
+  static async markReminderSent(interviewId, offsetMinutes, status = 'sent') {
+    try {
       const { error } = await supabase
-        .from('interviews')
-        .update(updateData)
-        .eq('id', interviewId);
+        .from('interview_reminder_deliveries')
+        .upsert(
+          { interview_id: interviewId, offset_minutes: offsetMinutes, status },
+          { onConflict: 'interview_id,offset_minutes', ignoreDuplicates: true }
+        );
 
       if (error) throw error;
       return { success: true };
@@ -289,108 +741,4174 @@ class InterviewManager {
       return { success: false, error: error.message };
     }
   }
-}
 
-// Field mapping for Chinese field names to database columns
-const fieldMap = {
-  '面談對象': 'interviewee_name',
-  '面談者': 'interviewer_name',
-  '日期': 'interview_date',
-  '時間': 'interview_time',
-  '理由': 'reason'
-};
+  // Mark offsets whose send window is already over as skipped (e.g. 24h reminder for an interview 2 hours away)
+  static async skipPassedReminders(interview) {
+    const interviewDateTime = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+    const diffMinutes = interviewDateTime.diff(moment.tz('Asia/Taipei'), 'minutes', true);
 
-// Input validation and sanitization
-class InputValidator {
-  static sanitizeString(input) {
-    if (!input || typeof input !== 'string') return '';
-    return input.trim().replace(/[<>]/g, ''); // Basic XSS prevention
-  }
-  
-  static validateDate(dateString) {
-    return moment.tz(dateString, 'YYYY-MM-DD', true, 'Asia/Taipei').isValid();
-  }
-  
-  static validateTime(timeString) {
-    return moment.tz(timeString, ['HH:mm', 'HH:mm:ss'], true, 'Asia/Taipei').isValid();
+    for (const offsetMinutes of ReminderOffsets.forInterview(interview)) {
+      if (diffMinutes < offsetMinutes - ReminderOffsets.windowFor(offsetMinutes)) {
+        await this.markReminderSent(interview.id, offsetMinutes, 'skipped');
+        console.log(`⚠️ Interview ${interview.id} is ${diffMinutes.toFixed(0)} minutes away - ${ReminderOffsets.format(offsetMinutes)} reminder skipped`);
+      }
+    }
   }
-  
-  static validateName(name) {
-    const sanitized = this.sanitizeString(name);
-    return sanitized.length > 0 && sanitized.length <= 100;
+
+  // Atomically claim a reminder before sending it; false means another run has it (or already sent it)
+  static async claimReminder(interviewId, offsetMinutes) {
+    try {
+      const { data, error } = await supabase.rpc('claim_interview_reminder', {
+        p_interview_id: interviewId,
+        p_offset_minutes: offsetMinutes,
+        p_stale_after_minutes: REMINDER_CLAIM_TIMEOUT_MINUTES
+      });
+
+      if (error) throw error;
+      return { success: true, data: data === true };
+    } catch (error) {
+      console.error('Error claiming reminder:', error);
+      return { success: false, error: error.message };
+    }
   }
-}
 
-// Message parsing functions
-class MessageParser {
-  // Parse "新增" command - 新增 {面談對象} {面談者} {日期} {時間} {理由}
-  static parseAddCommand(text) {
-    // Allow both : and ： (full-width colon)
-    const regex = /新增\s+([^\s]+)\s+([^\s]+)\s+(\d{4}-\d{2}-\d{2})\s+(\d{2}[:：]\d{2})\s+(.+)/;
-    const match = text.match(regex);
-    
-    if (!match) return null;
-    
-    // Normalize full-width colon to standard colon
-    const time = match[4].replace('：', ':');
-    
-    return {
-      intervieweeName: match[1],
-      interviewerName: match[2],
-      date: match[3],
-      time: time + ':00', // Add seconds for proper TIME format
-      reason: match[5]
-    };
+  // Turn our claim into its final status ('sent' or 'late')
+  static async completeReminderClaim(interviewId, offsetMinutes, status) {
+    try {
+      const { error } = await supabase
+        .from('interview_reminder_deliveries')
+        .update({ status })
+        .eq('interview_id', interviewId)
+        .eq('offset_minutes', offsetMinutes)
+        .eq('status', 'sending');
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error completing reminder claim:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  // Parse update command (format: 更新 {id} {field} {value})
-  static parseUpdateCommand(text) {
-    const regex = /更新\s+(\d+)\s+([^\s]+)\s+(.+)/;
-    const match = text.match(regex);
-    
-    if (!match) return null;
-    
-    return {
-      id: parseInt(match[1]),
-      field: match[2],
-      value: match[3]
-    };
+  // Give up a claim when nothing could be delivered, so the next run tries again
+  static async releaseReminderClaim(interviewId, offsetMinutes) {
+    try {
+      const { error } = await supabase
+        .from('interview_reminder_deliveries')
+        .delete()
+        .eq('interview_id', interviewId)
+        .eq('offset_minutes', offsetMinutes)
+        .eq('status', 'sending');
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error releasing reminder claim:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  // Parse delete command (format: 刪除 {id})
-  static parseDeleteCommand(text) {
-    const regex = /刪除\s+(\d+)/;
-    const match = text.match(regex);
-    
-    if (!match) return null;
-    
+  // Remove leftover /create-test-interview rows dated before today
+  static async deletePastTestInterviews() {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .delete()
+        .eq('user_id', TEST_INTERVIEW_USER_ID)
+        .lt('interview_date', moment.tz('Asia/Taipei').format('YYYY-MM-DD'))
+        .select('id');
+
+      if (error) throw error;
+      if (data.length > 0) console.log(`🧹 Deleted ${data.length} past test interviews`);
+      return { success: true, data: data.length };
+    } catch (error) {
+      console.error('Error deleting test interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Forget handled reminders after a reschedule so they fire for the new time
+  static async resetReminders(interview) {
+    try {
+      const { error } = await supabase
+        .from('interview_reminder_deliveries')
+        .delete()
+        .eq('interview_id', interview.id);
+
+      if (error) throw error;
+      await this.skipPassedReminders(interview);
+      return { success: true };
+    } catch (error) {
+      console.error('Error resetting reminders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Recurring interview series (interview_series table); occurrences are materialized as interviews rows
+class SeriesManager {
+  // Create a series and materialize its first occurrences
+  static async createSeries(userId, series) {
+    try {
+      const { data, error } = await supabase
+        .from('interview_series')
+        .insert([{ user_id: userId, ...series }])
+        .select();
+
+      if (error) throw error;
+
+      const materialized = await this.materialize(data[0]);
+      if (!materialized.success) throw new Error(materialized.error);
+
+      return { success: true, data: { series: data[0], occurrences: materialized.data } };
+    } catch (error) {
+      console.error('Error creating interview series:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Active series of a context (see InterviewManager.contextFromActor)
+  static async getSeriesList(context) {
+    try {
+      const { data, error } = await InterviewManager.applyContext(supabase
+        .from('interview_series')
+        .select('*'), context)
+        .eq('status', 'active')
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interview series:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // context limits it to the series of that chat's list (null = any chat)
+  static async getSeriesById(seriesId, context = null) {
+    try {
+      let query = supabase
+        .from('interview_series')
+        .select('*')
+        .eq('id', seriesId);
+      if (context) query = InterviewManager.applyContext(query, context);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interview series:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Future scheduled occurrences of a series, earliest first
+  static async getUpcomingOccurrences(seriesId) {
+    try {
+      const today = moment.tz('Asia/Taipei').format('YYYY-MM-DD');
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('*')
+        .eq('series_id', seriesId)
+        .eq('status', 'scheduled')
+        .gte('interview_date', today)
+        .order('interview_date', { ascending: true })
+        .order('interview_time', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting series occurrences:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Create the occurrences up to SERIES_HORIZON_DAYS ahead that do not exist yet; returns the new interviews
+  static async materialize(series) {
+    try {
+      const today = moment.tz('Asia/Taipei').format('YYYY-MM-DD');
+      let until = moment.tz('Asia/Taipei').add(SERIES_HORIZON_DAYS, 'days').format('YYYY-MM-DD');
+      if (series.end_date && series.end_date < until) until = series.end_date;
+
+      // Resume after the last materialized date; dates already past are not created
+      let from = series.materialized_until
+        ? moment.tz(series.materialized_until, 'YYYY-MM-DD', 'Asia/Taipei').add(1, 'day').format('YYYY-MM-DD')
+        : series.start_date;
+      if (from < today) from = today;
+      if (from > until) return { success: true, data: [] };
+
+      let created = [];
+      const dates = RecurrenceRule.occurrences(series, from, until);
+      if (dates.length > 0) {
+        const rows = dates.map(date => ({
+          user_id: series.user_id,
+          context_type: series.context_type,
+          context_id: series.context_id,
+          interviewee_name: series.interviewee_name,
+          interviewer_name: series.interviewer_name,
+          interview_date: date,
+          interview_time: series.interview_time,
+          reason: series.reason,
+          reminder_offsets: series.reminder_offsets,
+          series_id: series.id,
+          occurrence_date: date
+        }));
+
+        // The (series_id, occurrence_date) unique index makes a repeated run a no-op
+        const { data, error } = await supabase
+          .from('interviews')
+          .upsert(rows, { onConflict: 'series_id,occurrence_date', ignoreDuplicates: true })
+          .select();
+
+        if (error) throw error;
+        created = data || [];
+        for (const interview of created) {
+          await InterviewManager.skipPassedReminders(interview);
+        }
+      }
+
+      const { error: updateError } = await supabase
+        .from('interview_series')
+        .update({ materialized_until: until, updated_at: new Date().toISOString() })
+        .eq('id', series.id);
+
+      if (updateError) throw updateError;
+      return { success: true, data: created };
+    } catch (error) {
+      console.error('Error materializing interview series:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Keep every active series materialized ahead (run with the reminder cron)
+  static async materializeAll() {
+    try {
+      const { data, error } = await supabase
+        .from('interview_series')
+        .select('*')
+        .eq('status', 'active');
+
+      if (error) throw error;
+
+      let createdCount = 0;
+      for (const series of data || []) {
+        const result = await this.materialize(series);
+        if (result.success) createdCount += result.data.length;
+      }
+      return { success: true, data: createdCount };
+    } catch (error) {
+      console.error('Error materializing interview series:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // What a series update does to its future occurrences: the ones past a shorter end date are deleted,
+  // the others get { occurrence, updates } for the columns they still share with the series (occurrences
+  // edited on their own keep their value)
+  static planOccurrenceUpdates(series, occurrences, updates) {
+    const deletions = [];
+    const changes = [];
+    for (const occurrence of occurrences) {
+      if (updates.end_date && occurrence.occurrence_date > updates.end_date) {
+        deletions.push(occurrence);
+        continue;
+      }
+
+      const occurrenceUpdates = {};
+      Object.keys(updates).filter(column => column !== 'end_date').forEach(column => {
+        if (JSON.stringify(occurrence[column]) === JSON.stringify(series[column])) {
+          occurrenceUpdates[column] = updates[column];
+        }
+      });
+      if (Object.keys(occurrenceUpdates).length > 0) changes.push({ occurrence, updates: occurrenceUpdates });
+    }
+    return { deletions, changes };
+  }
+
+  // Occurrences that an update of the time or interviewer would double-book, as
+  // [{ occurrence (with the update applied), conflicts }]; checked before updateSeries like 更新 does
+  static async findUpdateConflicts(seriesId, updates) {
+    try {
+      const existing = await this.getSeriesById(seriesId);
+      if (!existing.success) throw new Error(existing.error);
+      if (!existing.data) return { success: true, data: [] };
+
+      const occurrences = await this.getUpcomingOccurrences(seriesId);
+      if (!occurrences.success) throw new Error(occurrences.error);
+
+      const conflicting = [];
+      for (const change of this.planOccurrenceUpdates(existing.data, occurrences.data, updates).changes) {
+        if (!('interview_time' in change.updates) && !('interviewer_name' in change.updates)) continue;
+        const moved = { ...change.occurrence, ...change.updates };
+        if (!moved.interviewer_name) continue;
+
+        const conflictResult = await InterviewManager.findConflicts(moved.interviewer_name, moved.interview_date, moved.interview_time, moved.id, moved.duration_minutes);
+        if (!conflictResult.success) throw new Error(conflictResult.error);
+        if (conflictResult.data.length > 0) conflicting.push({ occurrence: moved, conflicts: conflictResult.data });
+      }
+      return { success: true, data: conflicting };
+    } catch (error) {
+      console.error('Error checking interview series conflicts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Update a series and its future scheduled occurrences (see planOccurrenceUpdates)
+  static async updateSeries(seriesId, updates, actor = null) {
+    try {
+      const existing = await this.getSeriesById(seriesId);
+      if (!existing.success) throw new Error(existing.error);
+      if (!existing.data) return { success: true, data: undefined };
+      const before = existing.data;
+
+      const seriesUpdates = { ...updates, updated_at: new Date().toISOString() };
+      // A shorter end date stops materializing there; a later one resumes from it
+      if (updates.end_date && before.materialized_until && updates.end_date < before.materialized_until) {
+        seriesUpdates.materialized_until = updates.end_date;
+      }
+
+      const { data, error } = await supabase
+        .from('interview_series')
+        .update(seriesUpdates)
+        .eq('id', seriesId)
+        .select();
+
+      if (error) throw error;
+
+      const occurrences = await this.getUpcomingOccurrences(seriesId);
+      if (!occurrences.success) throw new Error(occurrences.error);
+
+      // The interviewers get one message for the whole update, not one per occurrence
+      const { deletions, changes } = this.planOccurrenceUpdates(before, occurrences.data, updates);
+      const changed = [];
+      for (const occurrence of deletions) {
+        const result = await InterviewManager.deleteInterview(null, occurrence.id, actor, { notify: false });
+        if (result.success && result.data) changed.push({ before: occurrence, after: null });
+      }
+      for (const change of changes) {
+        const result = await InterviewManager.updateInterview(null, change.occurrence.id, change.updates, actor, { notify: false });
+        if (result.success && result.data) changed.push({ before: change.occurrence, after: result.data });
+      }
+      await InterviewerNotifier.seriesChanged(data[0], changed, actor);
+
+      return { success: true, data: { series: data[0], changedCount: changed.length } };
+    } catch (error) {
+      console.error('Error updating interview series:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Stop a series and mark its future scheduled occurrences as cancelled
+  static async cancelSeries(seriesId, actor = null) {
+    try {
+      const { data, error } = await supabase
+        .from('interview_series')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('id', seriesId)
+        .select();
+
+      if (error) throw error;
+      if (!data || data.length === 0) return { success: true, data: undefined };
+
+      const occurrences = await this.getUpcomingOccurrences(seriesId);
+      if (!occurrences.success) throw new Error(occurrences.error);
+
+      const changed = [];
+      for (const occurrence of occurrences.data) {
+        const result = await InterviewManager.updateInterview(null, occurrence.id, { status: 'cancelled' }, actor, { notify: false });
+        if (result.success && result.data) changed.push({ before: occurrence, after: result.data });
+      }
+      await InterviewerNotifier.seriesChanged(data[0], changed, actor);
+
+      return { success: true, data: { series: data[0], cancelledCount: occurrences.data.length } };
+    } catch (error) {
+      console.error('Error cancelling interview series:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Audit trail of interview changes (interview_audit_log table)
+class AuditLog {
+  // Who made a change and from which chat, taken from a LINE event source
+  static actorFromSource(source) {
     return {
-      id: parseInt(match[1])
+      userId: source.userId || null,
+      sourceType: source.type || null,
+      sourceId: source.groupId || source.roomId || source.userId || null
+    };
+  }
+
+  // Record a change; failures are logged but never block the change itself
+  static async record(interviewId, action, actor, before, after) {
+    try {
+      const { error } = await supabase
+        .from('interview_audit_log')
+        .insert([
+          {
+            interview_id: interviewId,
+            action,
+            actor_user_id: actor ? actor.userId : null,
+            source_type: actor ? actor.sourceType : null,
+            source_id: actor ? actor.sourceId : null,
+            before_data: before,
+            after_data: after
+          }
+        ]);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording audit log:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getHistory(interviewId, limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('interview_audit_log')
+        .select('*')
+        .eq('interview_id', interviewId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error getting audit history:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The user's most recent change that has not been undone yet
+  static async getLastUndoable(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('interview_audit_log')
+        .select('*')
+        .eq('actor_user_id', userId)
+        .in('action', ['create', 'update', 'delete'])
+        .is('undone_at', null)
+        .order('id', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return { success: true, data: data && data.length > 0 ? data[0] : null };
+    } catch (error) {
+      console.error('Error getting last undoable change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Latest change to an interview that is still in effect (ignores undone entries and undos)
+  static async getLatestEntry(interviewId) {
+    try {
+      const { data, error } = await supabase
+        .from('interview_audit_log')
+        .select('*')
+        .eq('interview_id', interviewId)
+        .in('action', ['create', 'update', 'delete'])
+        .is('undone_at', null)
+        .order('id', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return { success: true, data: data && data.length > 0 ? data[0] : null };
+    } catch (error) {
+      console.error('Error getting latest audit entry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async markUndone(entryId) {
+    try {
+      const { error } = await supabase
+        .from('interview_audit_log')
+        .update({ undone_at: new Date().toISOString() })
+        .eq('id', entryId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error marking audit entry undone:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Free-form reminders (meetings, callings, deadlines) stored in the reminders table
+class CustomReminderManager {
+  // Add a reminder to be delivered at reminderTime (a moment in Asia/Taipei)
+  static async addReminder(userId, reminderTime, message) {
+    try {
+      const { data, error } = await supabase
+        .from('reminders')
+        .insert([
+          {
+            user_id: userId,
+            message: message,
+            reminder_time: reminderTime.toISOString(),
+            status: 'pending'
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error adding custom reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get pending reminders created by a user
+  static async getPendingReminders(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('reminders')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .order('reminder_time', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error getting custom reminders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Cancel a pending reminder; data is null when nothing matched
+  static async cancelReminder(userId, reminderId) {
+    try {
+      const { data, error } = await supabase
+        .from('reminders')
+        .update({ status: 'cancelled' })
+        .eq('id', reminderId)
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data && data.length > 0 ? data[0] : null };
+    } catch (error) {
+      console.error('Error cancelling custom reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get reminders whose time has come (see get_due_reminders() in the schema)
+  static async getDueReminders() {
+    try {
+      const { data, error } = await supabase.rpc('get_due_reminders');
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error getting due custom reminders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Atomically claim a due reminder before sending it; false means another run has it
+  static async claimReminder(reminderId) {
+    try {
+      const { data, error } = await supabase.rpc('claim_reminder', {
+        reminder_id: reminderId,
+        stale_after_minutes: REMINDER_CLAIM_TIMEOUT_MINUTES
+      });
+      if (error) throw error;
+      return { success: true, data: data === true };
+    } catch (error) {
+      console.error('Error claiming custom reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Return a claimed reminder to pending when it could not be sent
+  static async releaseReminder(reminderId) {
+    try {
+      const { error } = await supabase.rpc('release_reminder', { reminder_id: reminderId });
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error releasing custom reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Mark reminder as sent (see mark_reminder_sent() in the schema)
+  static async markReminderSent(reminderId) {
+    try {
+      const { error } = await supabase.rpc('mark_reminder_sent', { reminder_id: reminderId });
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error marking custom reminder sent:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Role labels used in chat and the permissions each role grants
+const ROLE_LABELS = {
+  president: '會長',
+  counsellor: '諮理',
+  clerk: '書記',
+  viewer: '檢視者'
+};
+
+// 'book' lets anyone (including interviewees, who get the default role) take a free slot with 預約
+const ROLE_PERMISSIONS = {
+  president: ['view', 'book', 'create', 'edit', 'delete', 'manage_roles'],
+  counsellor: ['view', 'book', 'create', 'edit', 'delete'],
+  clerk: ['view', 'book', 'create', 'edit', 'delete'],
+  viewer: ['view', 'book']
+};
+
+// Role-based permissions (member_roles table)
+class PermissionManager {
+  // Accepts the English role key or its Chinese label; null when unknown
+  static parseRole(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (ROLE_PERMISSIONS[value]) return value;
+    return Object.keys(ROLE_LABELS).find(role => ROLE_LABELS[role] === value) || null;
+  }
+
+  // The configured president is always 'president'; unlisted users get DEFAULT_MEMBER_ROLE
+  static async getRole(userId) {
+    if (!userId) return DEFAULT_MEMBER_ROLE;
+    if (userId === PRESIDENT_LINE_USER_ID) return 'president';
+    try {
+      const { data, error } = await supabase
+        .from('member_roles')
+        .select('role')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? data.role : DEFAULT_MEMBER_ROLE;
+    } catch (error) {
+      console.error('Error getting member role:', error);
+      return DEFAULT_MEMBER_ROLE;
+    }
+  }
+
+  static async can(userId, permission) {
+    const role = await this.getRole(userId);
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  static async setRole(userId, role, grantedBy) {
+    try {
+      const { error } = await supabase
+        .from('member_roles')
+        .upsert(
+          { user_id: userId, role, granted_by: grantedBy },
+          { onConflict: 'user_id', ignoreDuplicates: false }
+        );
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error setting member role:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeRole(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('member_roles')
+        .delete()
+        .eq('user_id', userId)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data && data.length > 0 ? data[0] : null };
+    } catch (error) {
+      console.error('Error removing member role:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async listRoles() {
+    try {
+      const { data, error } = await supabase
+        .from('member_roles')
+        .select('*')
+        .order('role', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error listing member roles:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Multi-turn conversation state, persisted so it survives serverless invocations
+class SessionManager {
+  // Sessions are per user per chat (contextId is the user, group or room ID)
+  static getContextId(source) {
+    return source.groupId || source.roomId || source.userId;
+  }
+
+  // Get the active session; expired sessions are removed and treated as absent
+  static async getSession(userId, contextId) {
+    try {
+      const { data, error } = await supabase
+        .from('conversation_sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('context_id', contextId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data && moment(data.expires_at).isBefore(moment())) {
+        await this.endSession(userId, contextId);
+        return { success: true, data: null };
+      }
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Start or advance a session; every save extends its expiry
+  static async saveSession(userId, contextId, flow, step, data = {}) {
+    try {
+      const { error } = await supabase
+        .from('conversation_sessions')
+        .upsert(
+          {
+            user_id: userId,
+            context_id: contextId,
+            flow,
+            step,
+            data,
+            expires_at: moment().add(SESSION_TIMEOUT_MINUTES, 'minutes').toISOString()
+          },
+          { onConflict: 'user_id,context_id', ignoreDuplicates: false }
+        );
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async endSession(userId, contextId) {
+    try {
+      const { error } = await supabase
+        .from('conversation_sessions')
+        .delete()
+        .eq('user_id', userId)
+        .eq('context_id', contextId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error ending session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// RFC 5545 iCalendar export and parsing for interviews
+class ICalendar {
+  static get PRODUCT_ID() {
+    return '-//LINE Interview Bot//Interviews//ZH';
+  }
+
+  static uidFor(interview) {
+    return `interview-${interview.id}@line-interview-bot`;
+  }
+
+  static escapeText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  static unescapeText(text) {
+    return String(text || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  // Fold lines longer than 75 octets without splitting multi-byte characters
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      const limit = parts.length === 0 ? 75 : 74;
+      if (bytes + size > limit) {
+        parts.push(current);
+        current = '';
+        bytes = 0;
+      }
+      current += char;
+      bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  static formatUtc(date) {
+    return date.clone().utc().format('YYYYMMDD[T]HHmmss[Z]');
+  }
+
+  // Build a VCALENDAR with one VEVENT (and a VALARM per reminder offset) for each interview
+  static buildFeed(interviews, calendarName) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:' + this.PRODUCT_ID,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:' + this.escapeText(calendarName),
+      'X-WR-TIMEZONE:Asia/Taipei'
+    ];
+    const stamp = this.formatUtc(moment());
+
+    for (const interview of interviews) {
+      const start = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+      const end = start.clone().add(interview.duration_minutes || INTERVIEW_DURATION_MINUTES, 'minutes');
+      const summary = '面談：' + interview.interviewee_name + (interview.interviewer_name ? '（' + interview.interviewer_name + '）' : '');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        'UID:' + this.uidFor(interview),
+        'DTSTAMP:' + stamp,
+        'DTSTART:' + this.formatUtc(start),
+        'DTEND:' + this.formatUtc(end),
+        'SUMMARY:' + this.escapeText(summary),
+        'DESCRIPTION:' + this.escapeText(interview.reason),
+        'X-INTERVIEWEE:' + this.escapeText(interview.interviewee_name)
+      );
+      if (interview.interviewer_name) lines.push('X-INTERVIEWER:' + this.escapeText(interview.interviewer_name));
+
+      for (const offsetMinutes of ReminderOffsets.forInterview(interview)) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          'DESCRIPTION:' + this.escapeText(`${ReminderOffsets.format(offsetMinutes)}後面談：${interview.interviewee_name}`),
+          `TRIGGER:-PT${offsetMinutes}M`,
+          'END:VALARM'
+        );
+      }
+      lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // Parse the VEVENTs of a calendar into { NAME: { value, params } } maps (first occurrence of each property)
+  static parse(text) {
+    // Unfold continuation lines (a line break followed by a space or tab)
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    const stack = [];
+    let current = null;
+
+    for (const line of lines) {
+      const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/);
+      if (!match) continue;
+      const name = match[1].toUpperCase();
+
+      if (name === 'BEGIN') {
+        stack.push(match[3].toUpperCase());
+        if (match[3].toUpperCase() === 'VEVENT') current = {};
+        continue;
+      }
+      if (name === 'END') {
+        const component = stack.pop();
+        if (component === 'VEVENT' && current) {
+          events.push(current);
+          current = null;
+        }
+        continue;
+      }
+
+      // Only properties of the VEVENT itself, not of nested components such as VALARM
+      if (!current || stack[stack.length - 1] !== 'VEVENT' || current[name]) continue;
+      const params = {};
+      match[2].split(';').filter(Boolean).forEach(param => {
+        const [key, ...value] = param.split('=');
+        params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+      });
+      current[name] = { value: match[3], params };
+    }
+
+    return events;
+  }
+
+  // Date ('YYYY-MM-DD') and time ('HH:mm:ss') in Asia/Taipei from a DTSTART property; time is null for all-day events
+  static parseDateTime(property) {
+    if (!property) return { date: null, time: null };
+    const value = property.value.trim();
+
+    if (/^\d{8}$/.test(value)) {
+      return { date: moment(value, 'YYYYMMDD').format('YYYY-MM-DD'), time: null };
+    }
+
+    const match = value.match(/^(\d{8}T\d{4,6})(Z?)$/);
+    if (!match) return { date: null, time: null };
+
+    const format = match[1].length === 13 ? 'YYYYMMDD[T]HHmm' : 'YYYYMMDD[T]HHmmss';
+    let date;
+    if (match[2]) {
+      date = moment.utc(match[1], format);
+    } else {
+      // Floating times and unknown time zones are taken as Taipei time
+      const zone = property.params.TZID && moment.tz.zone(property.params.TZID) ? property.params.TZID : 'Asia/Taipei';
+      date = moment.tz(match[1], format, zone);
+    }
+    if (!date.isValid()) return { date: null, time: null };
+
+    const local = date.tz('Asia/Taipei');
+    return { date: local.format('YYYY-MM-DD'), time: local.format('HH:mm:ss') };
+  }
+
+  // Interview fields from a parsed VEVENT, in the shape validateInterviewInput expects
+  static toInterviewInput(event) {
+    const value = name => (event[name] ? this.unescapeText(event[name].value).trim() : '');
+    const summary = value('SUMMARY');
+
+    // Our own export uses "面談：{面談對象}（{面談者}）"; other calendars only have a title
+    const summaryMatch = summary.match(/^(?:面談[:：]\s*)?(.+?)\s*[（(]([^（()）]+)[）)]$/);
+    const organizer = event.ORGANIZER ? event.ORGANIZER.params.CN : '';
+    const { date, time } = this.parseDateTime(event.DTSTART);
+
+    return {
+      uid: value('UID'),
+      summary,
+      intervieweeName: value('X-INTERVIEWEE') || (summaryMatch ? summaryMatch[1] : summary.replace(/^面談[:：]\s*/, '')),
+      interviewerName: value('X-INTERVIEWER') || (summaryMatch ? summaryMatch[2] : organizer),
+      date,
+      time,
+      reason: value('DESCRIPTION') || summary
+    };
+  }
+}
+
+// Member directory (members table): links registered names and aliases to LINE user IDs
+class MemberDirectory {
+  static async getMember(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('members')
+        .select('*')
+        .eq('line_user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting member:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async listMembers() {
+    try {
+      const { data, error } = await supabase
+        .from('members')
+        .select('*')
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error listing members:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Register (or rename) a member; refuses a name another member already uses. Unless approved,
+  // a new name stays pending (no direct messages) until the president approves it.
+  static async register(userId, name, displayName, approved) {
+    try {
+      const taken = await this.findMembersByName(name, false);
+      if (!taken.success) throw new Error(taken.error);
+      if (taken.data.some(member => member.line_user_id !== userId)) {
+        return { success: false, error: 'name_taken' };
+      }
+
+      // Registering the same approved name again (e.g. after a LINE name change) keeps the approval
+      const existing = taken.data.find(member => member.line_user_id === userId && member.approved_at);
+      const approval = existing ? { approved_at: existing.approved_at, approved_by: existing.approved_by }
+        : { approved_at: approved ? new Date().toISOString() : null, approved_by: approved ? userId : null };
+
+      const { data, error } = await supabase
+        .from('members')
+        .upsert({ line_user_id: userId, name, display_name: displayName, ...approval }, { onConflict: 'line_user_id' })
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error registering member:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add or remove one alias of a registered member; adding one makes the member pending again
+  // unless approved, like a new registration
+  static async updateAlias(userId, alias, remove = false, approved = false) {
+    try {
+      const existing = await this.getMember(userId);
+      if (!existing.success) throw new Error(existing.error);
+      if (!existing.data) return { success: false, error: 'not_registered' };
+
+      if (!remove) {
+        const taken = await this.findMembersByName(alias, false);
+        if (!taken.success) throw new Error(taken.error);
+        if (taken.data.some(member => member.line_user_id !== userId)) {
+          return { success: false, error: 'name_taken' };
+        }
+      }
+
+      const aliases = (existing.data.aliases || []).filter(item => item !== alias);
+      if (!remove) aliases.push(alias);
+      const updates = { aliases };
+      if (!remove && !approved) Object.assign(updates, { approved_at: null, approved_by: null });
+
+      const { data, error } = await supabase
+        .from('members')
+        .update(updates)
+        .eq('line_user_id', userId)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error updating member alias:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Members whose name or alias is exactly name. LINE display names (not chosen through the bot)
+  // are only a fallback when no name or alias matches, so they cannot make a registered name ambiguous.
+  static async findMembersByName(name, includeDisplayNames = true) {
+    const result = await this.listMembers();
+    if (!result.success) return result;
+    const matches = result.data.filter(member => member.name === name || (member.aliases || []).includes(name));
+    if (matches.length > 0 || !includeDisplayNames) return { success: true, data: matches };
+    return { success: true, data: result.data.filter(member => member.display_name === name) };
+  }
+
+  // LINE user ID of the approved member for a 面談者 name, or null when unknown, pending or ambiguous
+  static async findUserIdByName(name) {
+    if (!name) return null;
+    const result = await this.findMembersByName(name);
+    if (!result.success) return null;
+    const approved = result.data.filter(member => member.approved_at);
+    return approved.length === 1 ? approved[0].line_user_id : null;
+  }
+
+  // Member by registered name or LINE user ID (for the president's 成員 核准 / 成員 移除)
+  static async findMember(nameOrUserId) {
+    const result = await this.listMembers();
+    if (!result.success) return result;
+    return { success: true, data: result.data.find(member => member.name === nameOrUserId || member.line_user_id === nameOrUserId) || null };
+  }
+
+  static async approve(userId, approvedBy) {
+    try {
+      const { data, error } = await supabase
+        .from('members')
+        .update({ approved_at: new Date().toISOString(), approved_by: approvedBy })
+        .eq('line_user_id', userId)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error approving member:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Unlink a LINE account from its name; the name is free to register again
+  static async remove(userId) {
+    try {
+      const { error } = await supabase
+        .from('members')
+        .delete()
+        .eq('line_user_id', userId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing member:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Direct messages to the assigned 面談者 (via the member directory) when their interviews change
+class InterviewerNotifier {
+  static summary(interview) {
+    return '👤 面談對象：' + interview.interviewee_name + '\n📅 時間：' + DateTimeParser.formatDisplay(interview.interview_date, interview.interview_time) +
+      '\n📝 理由：' + (interview.reason || '無') + '\nID：' + interview.id;
+  }
+
+  // Messages nobody about their own change; failures are logged, never thrown. Goes through
+  // MessageDelivery like reminders, so failed pushes are retried from the outbound queue.
+  static async notify(interviewerName, text, actor) {
+    try {
+      const userId = await MemberDirectory.findUserIdByName(interviewerName);
+      if (!userId || (actor && actor.userId === userId)) return;
+      const recipients = await RecipientHealth.filterActive({ userIds: [userId], groupIds: [] });
+      if (recipients.userIds.length === 0) {
+        console.warn(`⏭️ Not notifying interviewer ${interviewerName} (${userId}) - deactivated after failed deliveries`);
+        return;
+      }
+      const { sentCount, errors } = await MessageDelivery.send([{ type: 'text', text }], recipients, `interviewer notification for ${interviewerName}`);
+      if (sentCount > 0) console.log(`📨 Notified interviewer ${interviewerName} (${userId})`);
+      else console.error(`❌ Failed to notify interviewer ${interviewerName}:`, errors.join('; '));
+    } catch (error) {
+      console.error(`❌ Failed to notify interviewer ${interviewerName}:`, error.message);
+    }
+  }
+
+  static async interviewCreated(interview, actor) {
+    await this.notify(interview.interviewer_name, '📌 您被安排為面談者：\n\n' + this.summary(interview), actor);
+  }
+
+  // Bulk version of interviewCreated: one message per interviewer listing all of their new interviews
+  static async interviewsCreated(interviews, actor) {
+    const byInterviewer = new Map();
+    interviews.forEach(interview => {
+      if (!byInterviewer.has(interview.interviewer_name)) byInterviewer.set(interview.interviewer_name, []);
+      byInterviewer.get(interview.interviewer_name).push(interview);
+    });
+
+    for (const [interviewerName, list] of byInterviewer) {
+      if (list.length === 1) {
+        await this.interviewCreated(list[0], actor);
+        continue;
+      }
+      const text = `📌 您被安排為以下 ${list.length} 場面談的面談者：\n\n` + list.map(interview => this.summary(interview)).join('\n\n');
+      await this.notify(interviewerName, text.length > 4900 ? text.substring(0, 4900) + '…' : text, actor);
+    }
+  }
+
+  static async interviewChanged(before, after, actor) {
+    if (before.interviewer_name !== after.interviewer_name) {
+      await this.notify(before.interviewer_name, '↩️ 您已不再是以下面談的面談者：\n\n' + this.summary(before), actor);
+      await this.interviewCreated(after, actor);
+      return;
+    }
+
+    const changes = describeAuditChanges(before, after);
+    if (changes.length === 0) return;
+    await this.notify(after.interviewer_name, '✏️ 您負責的面談已更新：\n\n' + this.summary(after) + '\n\n變更：\n' + changes.join('\n'), actor);
+  }
+
+  static async interviewDeleted(interview, actor) {
+    await this.notify(interview.interviewer_name, '🗑️ 您負責的面談已刪除：\n\n' + this.summary(interview), actor);
+  }
+
+  // One message per interviewer for a 週期 更新 / 週期 取消 of series: changes are [{ before, after }]
+  // of its occurrences, after null for a deleted one. Every occurrence got the same update, so the
+  // changes are described once, followed by the affected dates.
+  static async seriesChanged(series, changes, actor) {
+    const title = `週期面談（系列 ID ${series.id}，${series.interviewee_name}）`;
+    const line = interview => `• ${DateTimeParser.formatDisplay(interview.interview_date, interview.interview_time)}（ID: ${interview.id}）`;
+    const groups = new Map();
+    const add = (interviewerName, kind, change) => {
+      if (!interviewerName) return;
+      const key = `${kind}\n${interviewerName}`;
+      if (!groups.has(key)) groups.set(key, { interviewerName, kind, changes: [] });
+      groups.get(key).changes.push(change);
+    };
+
+    const reassigned = [];
+    changes.forEach(change => {
+      if (!change.after) {
+        add(change.before.interviewer_name, 'deleted', change);
+      } else if (change.before.interviewer_name !== change.after.interviewer_name) {
+        add(change.before.interviewer_name, 'unassigned', change);
+        reassigned.push(change.after);
+      } else if (describeAuditChanges(change.before, change.after).length > 0) {
+        add(change.after.interviewer_name, 'updated', change);
+      }
+    });
+
+    for (const { interviewerName, kind, changes: list } of groups.values()) {
+      let text;
+      if (kind === 'deleted') {
+        text = `🗑️ 您負責的${title}已刪除 ${list.length} 場：\n\n` + list.map(change => line(change.before)).join('\n');
+      } else if (kind === 'unassigned') {
+        text = `↩️ 您已不再是${title}以下 ${list.length} 場的面談者：\n\n` + list.map(change => line(change.before)).join('\n');
+      } else {
+        text = `✏️ 您負責的${title}已更新 ${list.length} 場：\n\n變更：\n` + describeAuditChanges(list[0].before, list[0].after).join('\n') +
+          '\n\n' + list.map(change => line(change.after)).join('\n');
+      }
+      await this.notify(interviewerName, text.length > 4900 ? text.substring(0, 4900) + '…' : text, actor);
+    }
+    if (reassigned.length > 0) await this.interviewsCreated(reassigned, actor);
+  }
+}
+
+// Which interview reminders each user, group or room receives (reminder_subscriptions table); no row means all
+class SubscriptionManager {
+  static async getSubscription(subscriberId) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_subscriptions')
+        .select('*')
+        .eq('subscriber_id', subscriberId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting reminder subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async setSubscription(subscriberId, subscriberType, scope, filterValue, updatedBy) {
+    try {
+      const { error } = await supabase
+        .from('reminder_subscriptions')
+        .upsert(
+          {
+            subscriber_id: subscriberId,
+            subscriber_type: subscriberType,
+            scope,
+            filter_value: filterValue || null,
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+          },
+          { onConflict: 'subscriber_id' }
+        );
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error setting reminder subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Whether a subscription wants a message about interview (null = not about one interview)
+  static matches(subscription, interview) {
+    if (!subscription || subscription.scope === 'all') return true;
+    if (subscription.scope === 'none') return false;
+    if (!interview) return true;
+    if (subscription.scope === 'interviewer') return interview.interviewer_name === subscription.filter_value;
+    if (subscription.scope === 'group') return interview.context_id === subscription.filter_value;
+    return true;
+  }
+
+  // Keep only the recipients whose subscription wants the message; on lookup errors everyone is kept.
+  // directUserIds (e.g. the interviewer) are added unless they turned reminders off.
+  static async filterRecipients(recipients, interview, directUserIds = []) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_subscriptions')
+        .select('*');
+
+      if (error) throw error;
+      const subscriptions = {};
+      (data || []).forEach(row => { subscriptions[row.subscriber_id] = row; });
+
+      const userIds = recipients.userIds.filter(id => this.matches(subscriptions[id], interview));
+      directUserIds.forEach(id => {
+        if (id && !userIds.includes(id) && !(subscriptions[id] && subscriptions[id].scope === 'none')) userIds.push(id);
+      });
+
+      return {
+        userIds,
+        groupIds: recipients.groupIds.filter(id => this.matches(subscriptions[id], interview))
+      };
+    } catch (error) {
+      console.error('Error filtering reminder recipients:', error);
+      return { userIds: [...new Set([...recipients.userIds, ...directUserIds.filter(Boolean)])], groupIds: recipients.groupIds };
+    }
+  }
+
+  static describe(subscription) {
+    if (!subscription || subscription.scope === 'all') return '全部面談';
+    if (subscription.scope === 'interviewer') return '面談者為「' + subscription.filter_value + '」的面談';
+    if (subscription.scope === 'group') return '在群組 ' + subscription.filter_value + ' 建立的面談';
+    return '不接收提醒';
+  }
+}
+
+// Interviewer availability (availability_slots table): weekly or one-off time windows that 預約 splits
+// into bookable blocks. Bookings are ordinary interviews, so a block is free while no non-cancelled
+// interview of that 面談者 overlaps it, and cancelling or deleting the interview frees it again.
+class AvailabilityManager {
+  // context is the chat the window is published in; its bookings are added to that chat's list
+  static async addWindow(window, createdBy, context) {
+    try {
+      const { data, error } = await supabase
+        .from('availability_slots')
+        .insert([
+          {
+            interviewer_name: window.interviewerName,
+            weekday: window.weekday,
+            slot_date: window.slotDate,
+            start_time: window.startTime,
+            end_time: window.endTime,
+            slot_minutes: window.slotMinutes,
+            created_by: createdBy,
+            context_type: context.type,
+            context_id: context.id
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error adding availability window:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Weekly windows and one-off windows from today on, optionally of one 面談者
+  static async listWindows(interviewerName = null) {
+    try {
+      const today = moment.tz('Asia/Taipei').format('YYYY-MM-DD');
+      let query = supabase
+        .from('availability_slots')
+        .select('*')
+        .or(`slot_date.is.null,slot_date.gte.${today}`)
+        .order('interviewer_name', { ascending: true })
+        .order('weekday', { ascending: true })
+        .order('slot_date', { ascending: true })
+        .order('start_time', { ascending: true });
+      if (interviewerName) query = query.eq('interviewer_name', interviewerName);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error listing availability windows:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getWindowById(windowId) {
+    try {
+      const { data, error } = await supabase
+        .from('availability_slots')
+        .select('*')
+        .eq('id', windowId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting availability window:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Interviews already booked in a removed window are kept
+  static async removeWindow(windowId) {
+    try {
+      const { error } = await supabase
+        .from('availability_slots')
+        .delete()
+        .eq('id', windowId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing availability window:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 面談者 with at least one window, in name order
+  static async getInterviewerNames() {
+    const result = await this.listWindows();
+    if (!result.success) return result;
+    return { success: true, data: [...new Set(result.data.map(window => window.interviewer_name))] };
+  }
+
+  // The list bookings of a window go to, null for a window without one (the booker's own list)
+  static windowContext(window) {
+    return window.context_type ? { type: window.context_type, id: window.context_id } : null;
+  }
+
+  // Free blocks [{ date, time: 'HH:mm:ss', minutes, context }] of one 面談者 in time order, on date or
+  // from now until BOOKING_HORIZON_DAYS ahead (context from windowContext); blocks that have started are not offered
+  static async getFreeSlots(interviewerName, { date = null, now = moment.tz('Asia/Taipei') } = {}) {
+    try {
+      const windows = await this.listWindows(interviewerName);
+      if (!windows.success) throw new Error(windows.error);
+
+      const first = date ? moment.tz(date, 'YYYY-MM-DD', 'Asia/Taipei') : now.clone().startOf('day');
+      const last = date ? first.clone() : first.clone().add(BOOKING_HORIZON_DAYS - 1, 'days');
+      if (windows.data.length === 0 || last.isBefore(now, 'day')) return { success: true, data: [] };
+
+      // Neighbouring days too, like findConflicts, so interviews spanning midnight count
+      const { data: interviews, error } = await supabase
+        .from('interviews')
+        .select('interview_date, interview_time, duration_minutes')
+        .eq('interviewer_name', interviewerName)
+        .neq('status', 'cancelled')
+        .gte('interview_date', first.clone().subtract(1, 'day').format('YYYY-MM-DD'))
+        .lte('interview_date', last.clone().add(1, 'day').format('YYYY-MM-DD'));
+      if (error) throw error;
+
+      // Keyed by start so overlapping windows do not offer the same block twice
+      const slots = new Map();
+      for (const day = first.clone(); !day.isAfter(last, 'day'); day.add(1, 'day')) {
+        const dayText = day.format('YYYY-MM-DD');
+        for (const window of windows.data) {
+          if (window.slot_date ? window.slot_date !== dayText : window.weekday !== day.isoWeekday()) continue;
+          const end = moment.tz(`${dayText} ${window.end_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+          const start = moment.tz(`${dayText} ${window.start_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+          for (; !start.clone().add(window.slot_minutes, 'minutes').isAfter(end); start.add(window.slot_minutes, 'minutes')) {
+            const key = start.format('YYYY-MM-DD HH:mm:ss');
+            if (!start.isAfter(now) || slots.has(key)) continue;
+            if ((interviews || []).some(interview => InterviewManager.overlaps(interview, start, window.slot_minutes))) continue;
+            slots.set(key, { date: dayText, time: start.format('HH:mm:ss'), minutes: window.slot_minutes, context: this.windowContext(window) });
+          }
+        }
+      }
+
+      return { success: true, data: [...slots.keys()].sort().map(key => slots.get(key)) };
+    } catch (error) {
+      console.error('Error getting free slots:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The free block starting at date and time, or null when it is booked or not offered
+  static async findFreeSlot(interviewerName, date, time) {
+    const result = await this.getFreeSlots(interviewerName, { date });
+    if (!result.success) return result;
+    return { success: true, data: result.data.find(slot => slot.time === time) || null };
+  }
+
+  // e.g. "每週日 12:00-14:00（每 15 分鐘）"
+  static describeWindow(window) {
+    const day = window.slot_date ? DateTimeParser.formatDisplay(window.slot_date) : '每週' + '一二三四五六日'[window.weekday - 1];
+    return `${day} ${window.start_time.substring(0, 5)}-${window.end_time.substring(0, 5)}（每 ${window.slot_minutes} 分鐘）`;
+  }
+}
+
+// Tokenized calendar feeds (calendar_feeds table) and .ics imports
+class CalendarManager {
+  static feedUrl(token) {
+    return `${PUBLIC_BASE_URL}/calendar/${token}.ics`;
+  }
+
+  // The active feed of a user, group or room, created on first use
+  static async getOrCreateFeed(ownerType, ownerId, createdBy) {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_feeds')
+        .select('*')
+        .eq('owner_type', ownerType)
+        .eq('owner_id', ownerId)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data) return { success: true, data };
+
+      const { data: created, error: insertError } = await supabase
+        .from('calendar_feeds')
+        .insert([{ token: crypto.randomBytes(24).toString('hex'), owner_type: ownerType, owner_id: ownerId, created_by: createdBy }])
+        .select();
+
+      if (insertError) throw insertError;
+      return { success: true, data: created[0] };
+    } catch (error) {
+      console.error('Error getting calendar feed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Revoke the current token (e.g. after the link leaked) and issue a new one
+  static async resetFeed(ownerType, ownerId, createdBy) {
+    try {
+      const { error } = await supabase
+        .from('calendar_feeds')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('owner_type', ownerType)
+        .eq('owner_id', ownerId)
+        .is('revoked_at', null);
+
+      if (error) throw error;
+      return await this.getOrCreateFeed(ownerType, ownerId, createdBy);
+    } catch (error) {
+      console.error('Error resetting calendar feed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getFeedByToken(token) {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_feeds')
+        .select('*')
+        .eq('token', token)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting calendar feed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Upcoming, not cancelled interviews of the feed owner's list (a user's own, or a group's or room's shared list)
+  static async getFeedInterviews(feed) {
+    try {
+      const today = moment.tz('Asia/Taipei').format('YYYY-MM-DD');
+      let query = supabase
+        .from('interviews')
+        .select('*')
+        .neq('status', 'cancelled')
+        .gte('interview_date', today);
+      query = InterviewManager.applyContext(query, { type: feed.owner_type, id: feed.owner_id });
+
+      const { data, error } = await query
+        .order('interview_date', { ascending: true })
+        .order('interview_time', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting calendar feed interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Create interviews from an .ics file; every event goes through validateInterviewInput and the
+  // conflict check (unless force). Returns { created, skipped: [{ summary, reason }] }.
+  static async importCalendar(text, userId, actor, force = false) {
+    try {
+      const events = ICalendar.parse(text);
+      const created = [];
+      const skipped = [];
+      // Events are added to this chat's list, so only that list counts as already imported
+      const context = InterviewManager.contextFromActor(userId, actor);
+
+      for (const event of events) {
+        const input = ICalendar.toInterviewInput(event);
+        const summary = input.summary || input.uid || '（無標題）';
+
+        if (!input.time && input.date) {
+          skipped.push({ summary, reason: '全天活動沒有時間' });
+          continue;
+        }
+
+        const validation = validateInterviewInput(input);
+        if (validation.error) {
+          skipped.push({ summary, reason: validation.error });
+          continue;
+        }
+        const data = validation.data;
+
+        // Skip events exported by this bot or imported before
+        const ownMatch = input.uid.match(/^interview-(\d+)@line-interview-bot$/);
+        if (ownMatch) {
+          const existing = await InterviewManager.getInterviewById(context, parseInt(ownMatch[1]));
+          if (existing.success && existing.data) {
+            skipped.push({ summary, reason: '已在面談清單中（ID: ' + ownMatch[1] + '）' });
+            continue;
+          }
+        } else if (input.uid) {
+          const { data: duplicates, error } = await InterviewManager.applyContext(supabase
+            .from('interviews')
+            .select('id')
+            .eq('ical_uid', input.uid), context)
+            .limit(1);
+          if (error) throw error;
+          if (duplicates.length > 0) {
+            skipped.push({ summary, reason: '已匯入過（ID: ' + duplicates[0].id + '）' });
+            continue;
+          }
+        }
+
+        if (!force) {
+          const conflictResult = await InterviewManager.findConflicts(data.interviewerName, data.date, data.time);
+          if (conflictResult.success && conflictResult.data.length > 0) {
+            skipped.push({ summary, reason: '面談者時段衝突（ID: ' + conflictResult.data.map(interview => interview.id).join(', ') + '）' });
+            continue;
+          }
+        }
+
+        const result = await InterviewManager.addInterview(
+          userId, data.intervieweeName, data.interviewerName, data.date, data.time, data.reason, actor,
+          input.uid && !ownMatch ? { ical_uid: input.uid } : {}
+        );
+        if (result.success) {
+          created.push(result.data);
+        } else {
+          skipped.push({ summary, reason: '新增失敗' });
+        }
+      }
+
+      return { success: true, data: { created, skipped } };
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Minimal RFC 4180 CSV reading and writing
+class CsvFormat {
+  // Rows of cells; quoted cells may contain commas, doubled quotes and line breaks. A leading BOM is dropped.
+  static parse(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char !== '"') {
+          cell += char;
+        } else if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Cells starting with = + - @ are prefixed with ' so spreadsheets do not run them as formulas
+  static escapeCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  // CSV text with a BOM so Excel opens it as UTF-8
+  static stringify(rows) {
+    return '\uFEFF' + rows.map(row => row.map(cell => this.escapeCell(cell)).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+// Interviews to and from CSV. The export columns can be imported again (ID and 狀態 are ignored);
+// English column names as in the REST API are accepted too.
+class InterviewCsv {
+  static get MAX_ROWS() {
+    return 500;
+  }
+
+  static get EXPORT_LIMIT() {
+    return 1000;
+  }
+
+  static get HEADERS() {
+    return {
+      '面談對象': 'intervieweeName',
+      'interviewee_name': 'intervieweeName',
+      '面談者': 'interviewerName',
+      'interviewer_name': 'interviewerName',
+      '日期': 'date',
+      'interview_date': 'date',
+      '時間': 'time',
+      'interview_time': 'time',
+      '理由': 'reason',
+      'reason': 'reason',
+      '提醒': 'reminderOffsets',
+      'reminder_offsets': 'reminderOffsets',
+      '強制': 'force',
+      'force': 'force'
+    };
+  }
+
+  // Files from Excel in Taiwan are often Big5 rather than UTF-8
+  static decode(buffer) {
+    const text = buffer.toString('utf8');
+    if (!text.includes('\uFFFD')) return text;
+    try {
+      return new TextDecoder('big5').decode(buffer);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  // Validate every row; returns { rows: [{ line, data }], errors: [{ line, error }] } or { error } for the whole file.
+  // force skips the interviewer conflict check for all rows (a row's 強制 column does it for that row).
+  static async validate(text, force = false) {
+    const [header, ...records] = CsvFormat.parse(text);
+    if (!header) return { error: '檔案中沒有面談資料。' };
+
+    const columns = header.map(name => this.HEADERS[name.trim().toLowerCase()] || null);
+    const missing = [['intervieweeName', '面談對象'], ['interviewerName', '面談者'], ['date', '日期'], ['time', '時間']]
+      .filter(([key]) => !columns.includes(key))
+      .map(([, label]) => label);
+    if (missing.length > 0) return { error: '第一列必須是欄位名稱，缺少：' + missing.join('、') };
+
+    const lines = records
+      .map((cells, index) => ({ line: index + 2, cells }))
+      .filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+    if (lines.length === 0) return { error: '檔案中沒有面談資料。' };
+    if (lines.length > this.MAX_ROWS) return { error: `一次最多匯入 ${this.MAX_ROWS} 筆，這個檔案有 ${lines.length} 筆。` };
+
+    const rows = [];
+    const errors = [];
+    for (const { line, cells } of lines) {
+      const input = {};
+      columns.forEach((key, index) => {
+        if (key) input[key] = (cells[index] || '').trim();
+      });
+
+      // Dates and times may be written like in 新增 (2024/3/15, 下午3點); spreadsheets add :00 seconds
+      const date = DateTimeParser.parseDate(input.date || '');
+      const time = DateTimeParser.parseTime(input.time || '');
+      const validation = validateInterviewInput({
+        intervieweeName: input.intervieweeName,
+        interviewerName: input.interviewerName,
+        date: date && !date.rest.trim() ? date.date.format('YYYY-MM-DD') : input.date,
+        time: time && /^(:\d{2})?$/.test(time.rest.trim()) ? time.time : input.time,
+        reason: input.reason
+      });
+      if (validation.error) {
+        errors.push({ line, error: validation.error });
+        continue;
+      }
+
+      const data = validation.data;
+      if (input.reminderOffsets) {
+        data.reminderOffsets = ReminderOffsets.parseList(input.reminderOffsets);
+        if (!data.reminderOffsets) {
+          errors.push({ line, error: '提醒格式錯誤！請使用如 7d,24h,3h,30m 的格式。' });
+          continue;
+        }
+      }
+      data.force = force || /^(是|y|yes|true|1)$/i.test(input.force || '');
+      rows.push({ line, data });
+    }
+
+    // Double bookings within the file and with existing interviews
+    const conflicting = new Set();
+    for (const row of rows) {
+      if (row.data.force) continue;
+      const start = moment.tz(`${row.data.date} ${row.data.time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+      const clash = rows.find(other => other.line < row.line && other.data.interviewerName === row.data.interviewerName &&
+        Math.abs(moment.tz(`${other.data.date} ${other.data.time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei').diff(start, 'minutes')) < INTERVIEW_DURATION_MINUTES);
+      if (clash) {
+        errors.push({ line: row.line, error: `與第 ${clash.line} 列的面談者時段衝突` });
+        conflicting.add(row);
+        continue;
+      }
+      const conflictResult = await InterviewManager.findConflicts(row.data.interviewerName, row.data.date, row.data.time);
+      if (conflictResult.success && conflictResult.data.length > 0) {
+        errors.push({ line: row.line, error: '面談者時段衝突（ID: ' + conflictResult.data.map(interview => interview.id).join(', ') + '）' });
+        conflicting.add(row);
+      }
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+    return { rows: rows.filter(row => !conflicting.has(row)), errors };
+  }
+
+  // Validate the whole file, then create every row in one batch - or none when any row has an error.
+  // Returns { created, errors } (errors: [{ line, error }]); dryRun only validates.
+  static async importCsv(text, userId, actor, { force = false, dryRun = false } = {}) {
+    try {
+      const validation = await this.validate(text, force);
+      if (validation.error) return { success: true, data: { created: [], errors: [{ line: null, error: validation.error }] } };
+      if (validation.errors.length > 0 || dryRun) {
+        return { success: true, data: { created: [], errors: validation.errors, valid: validation.rows.length } };
+      }
+
+      const result = await InterviewManager.addInterviews(userId, validation.rows.map(row => row.data), actor);
+      if (!result.success) throw new Error(result.error);
+      return { success: true, data: { created: result.data, errors: [] } };
+    } catch (error) {
+      console.error('Error importing CSV:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static toCsv(interviews) {
+    const statusNames = { scheduled: '已排定', completed: '已完成', no_show: '未到', cancelled: '已取消' };
+    return CsvFormat.stringify([
+      ['ID', '面談對象', '面談者', '日期', '時間', '理由', '提醒', '狀態'],
+      ...interviews.map(interview => [
+        interview.id,
+        interview.interviewee_name,
+        interview.interviewer_name || '',
+        moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD'),
+        interview.interview_time ? String(interview.interview_time).substring(0, 5) : '',
+        interview.reason || '',
+        Array.isArray(interview.reminder_offsets) && interview.reminder_offsets.length > 0 ? ReminderOffsets.toText(interview.reminder_offsets) : '',
+        statusNames[interview.status] || interview.status || ''
+      ])
+    ]);
+  }
+
+  // Download link for a 查看 query in a chat; signed with the channel secret and valid for an hour
+  static exportUrl(query, context) {
+    const payload = Buffer.from(JSON.stringify({ filters: query.filters, context })).toString('base64url');
+    const expires = moment().add(1, 'hour').unix();
+    return `${PUBLIC_BASE_URL}/export/interviews.csv?q=${payload}&expires=${expires}&signature=${this.sign(payload, expires)}`;
+  }
+
+  static sign(payload, expires) {
+    return crypto.createHmac('sha256', lineConfig.channelSecret || '').update(`${payload}.${expires}`).digest('base64url');
+  }
+
+  // { filters, context } from a link made by exportUrl; null when tampered with or expired
+  static verifyExportLink({ q, expires, signature }) {
+    if (typeof q !== 'string' || typeof signature !== 'string' || !(parseInt(expires, 10) > moment().unix())) return null;
+    const expected = Buffer.from(this.sign(q, expires));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+    try {
+      return JSON.parse(Buffer.from(q, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Field mapping for Chinese field names to database columns
+const fieldMap = {
+  '面談對象': 'interviewee_name',
+  '面談者': 'interviewer_name',
+  '日期': 'interview_date',
+  '時間': 'interview_time',
+  '理由': 'reason',
+  '提醒': 'reminder_offsets'
+};
+
+// Interview status lifecycle
+const STATUS_LABELS = {
+  scheduled: '📅 已排定',
+  completed: '✅ 已完成',
+  no_show: '🚫 未到',
+  cancelled: '❌ 已取消'
+};
+
+// Chinese status names accepted in commands such as 查看 已完成
+const STATUS_NAMES = {
+  '已排定': 'scheduled',
+  '排定': 'scheduled',
+  '已完成': 'completed',
+  '完成': 'completed',
+  '未到': 'no_show',
+  '已取消': 'cancelled',
+  '取消': 'cancelled'
+};
+
+// Fields that 週期 更新 can change on a series and its future occurrences
+const seriesFieldMap = {
+  '面談對象': 'interviewee_name',
+  '面談者': 'interviewer_name',
+  '時間': 'interview_time',
+  '理由': 'reason',
+  '提醒': 'reminder_offsets',
+  '結束': 'end_date'
+};
+
+// Status commands: 完成 {ID}, 未到 {ID}, 取消 {ID}
+const STATUS_COMMANDS = {
+  '完成': 'completed',
+  '未到': 'no_show',
+  '取消': 'cancelled'
+};
+
+// Input validation and sanitization
+class InputValidator {
+  static sanitizeString(input) {
+    if (!input || typeof input !== 'string') return '';
+    return input.trim().replace(/[<>]/g, ''); // Basic XSS prevention
+  }
+  
+  static validateDate(dateString) {
+    return moment.tz(dateString, 'YYYY-MM-DD', true, 'Asia/Taipei').isValid();
+  }
+  
+  static validateTime(timeString) {
+    return moment.tz(timeString, ['HH:mm', 'HH:mm:ss'], true, 'Asia/Taipei').isValid();
+  }
+  
+  static validateName(name) {
+    const sanitized = this.sanitizeString(name);
+    return sanitized.length > 0 && sanitized.length <= 100;
+  }
+}
+
+// Chinese-aware date/time parsing (Asia/Taipei), e.g. 明天 下午3點, 下週日 10:00, 3/15 14:30, 週六早上九點
+class DateTimeParser {
+  static get CHINESE_DIGITS() {
+    return { '零': 0, '〇': 0, '一': 1, '二': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+  }
+
+  // ISO weekday numbers (Monday = 1)
+  static get WEEKDAYS() {
+    return { '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '日': 7, '天': 7 };
+  }
+
+  static get RELATIVE_DAYS() {
+    return { '今天': 0, '今日': 0, '明天': 1, '明日': 1, '後天': 2, '大後天': 3 };
+  }
+
+  // Arabic or Chinese numerals up to 99 (九, 十, 十五, 二十, 四十五); null when invalid
+  static parseNumber(text) {
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    const digits = this.CHINESE_DIGITS;
+    if (text.length === 1 && text in digits) return digits[text];
+    const match = text.match(/^([零〇一二兩三四五六七八九])?十([零〇一二三四五六七八九])?$/);
+    if (!match) return null;
+    return (match[1] ? digits[match[1]] : 1) * 10 + (match[2] ? digits[match[2]] : 0);
+  }
+
+  // Parse a date at the start of text; returns { date: moment, rest, yearless } or null.
+  // A month/day without a year is the next such date when rollForward (scheduling), else the one
+  // in the current year (look-ups such as 查看 10/1); yearless is true for such input.
+  static parseDate(text, now = moment.tz('Asia/Taipei'), rollForward = true) {
+    const today = now.clone().startOf('day');
+    let match;
+
+    // Absolute dates: 2024-03-15, 2024/3/15, 2024年3月15日
+    if ((match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/)) || (match = text.match(/^(\d{4})年(\d{1,2})月(\d{1,2})[日號]?/))) {
+      const date = moment.tz({ year: +match[1], month: +match[2] - 1, date: +match[3] }, 'Asia/Taipei');
+      return date.isValid() ? { date, rest: text.slice(match[0].length) } : null;
+    }
+
+    // Month/day without year
+    if ((match = text.match(/^(\d{1,2})\/(\d{1,2})(?!\d)/)) || (match = text.match(/^(\d{1,2})月(\d{1,2})[日號]?/))) {
+      let date = moment.tz({ year: today.year(), month: +match[1] - 1, date: +match[2] }, 'Asia/Taipei');
+      if (!date.isValid()) return null;
+      if (rollForward && date.isBefore(today)) date = date.add(1, 'year');
+      return { date, rest: text.slice(match[0].length), yearless: true };
+    }
+
+    // 今天 / 明天 / 後天 / 大後天
+    if ((match = text.match(/^(大後天|後天|明天|明日|今天|今日)/))) {
+      return { date: today.clone().add(this.RELATIVE_DAYS[match[1]], 'days'), rest: text.slice(match[0].length) };
+    }
+
+    // Weekdays: 週六 (next occurrence, today included; nextOccurrence), 這週六 / 本週六 (this week), 下週日, 下下週三
+    if ((match = text.match(/^(下下|下|這|本)?(?:個)?(?:週|周|星期|禮拜)([一二三四五六日天])/))) {
+      const weekday = this.WEEKDAYS[match[2]];
+      if (!match[1]) {
+        const date = today.clone().add((weekday - today.isoWeekday() + 7) % 7, 'days');
+        return { date, rest: text.slice(match[0].length), nextOccurrence: true };
+      }
+      const weeksAhead = { '這': 0, '本': 0, '下': 1, '下下': 2 }[match[1]];
+      return { date: today.clone().add(weeksAhead, 'weeks').isoWeekday(weekday), rest: text.slice(match[0].length) };
+    }
+
+    return null;
+  }
+
+  // Parse a time at the start of text; returns { time: 'HH:mm:ss', rest, nextDay } or null.
+  // 晚上12點 is the midnight ending that evening, i.e. 00:00 of the next day (nextDay); only
+  // callers that can move the date pass allowNextDay, elsewhere it is rejected rather than read as noon.
+  // 早上12點 / 上午12點 could mean noon or midnight, so they are rejected (use 中午12點 or 凌晨12點).
+  static parseTime(text, allowNextDay = false) {
+    const period = '(凌晨|清晨|早上|上午|中午|下午|傍晚|晚上|早|晚)?';
+    const number = '([0-9零〇一二兩三四五六七八九十]+)';
+    let hour;
+    let minute;
+    let match;
+
+    if ((match = text.match(new RegExp('^' + period + '\\s*(\\d{1,2})[:：](\\d{2})')))) {
+      hour = parseInt(match[2], 10);
+      minute = parseInt(match[3], 10);
+    } else if ((match = text.match(new RegExp('^' + period + '\\s*' + number + '\\s*[點時](?:\\s*(半|' + '[0-9零〇一二兩三四五六七八九十]+' + ')\\s*分?)?')))) {
+      hour = this.parseNumber(match[2]);
+      minute = !match[3] ? 0 : (match[3] === '半' ? 30 : this.parseNumber(match[3]));
+    } else {
+      return null;
+    }
+
+    if (hour === null || minute === null) return null;
+
+    // 下午3點 -> 15:00, 中午12點 -> 12:00, 凌晨12點 -> 00:00
+    const periodName = match[1];
+    if (['中午', '下午', '傍晚', '晚上', '晚'].includes(periodName) && hour < 12) hour += 12;
+    if (periodName === '凌晨' && hour === 12) hour = 0;
+    if (['清晨', '早上', '上午', '早'].includes(periodName) && hour === 12) return null;
+    const nextDay = ['晚上', '晚'].includes(periodName) && hour === 12;
+    if (nextDay) {
+      if (!allowNextDay) return null;
+      hour = 0;
+    }
+
+    if (hour > 23 || minute > 59) return null;
+    const time = String(hour).padStart(2, '0') + ':' + String(minute).padStart(2, '0') + ':00';
+    return { time, rest: text.slice(match[0].length), nextDay };
+  }
+
+  // Parse an optional date followed by an optional time; rest is whatever text follows.
+  // 明天 晚上12點 resolves to 00:00 the day after 明天; without a date it is left unparsed.
+  static parse(text, now = moment.tz('Asia/Taipei')) {
+    let rest = String(text || '').trim();
+
+    const dateResult = this.parseDate(rest, now);
+    if (dateResult) rest = dateResult.rest.trim();
+
+    const timeResult = this.parseTime(rest, Boolean(dateResult));
+    if (timeResult) rest = timeResult.rest.trim();
+    if (timeResult && timeResult.nextDay) dateResult.date.add(1, 'day');
+
+    // 週六 下午3點 typed on a Saturday after 15:00 means next Saturday, not a time already past
+    if (timeResult && dateResult && dateResult.nextOccurrence) {
+      const dateTime = moment.tz(`${dateResult.date.format('YYYY-MM-DD')} ${timeResult.time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+      if (dateTime.isBefore(now)) dateResult.date.add(1, 'week');
+    }
+
+    return {
+      date: dateResult ? dateResult.date.format('YYYY-MM-DD') : null,
+      time: timeResult ? timeResult.time : null,
+      rest
+    };
+  }
+
+  // Resolved datetime for confirmation, e.g. "2024-03-15（週五）14:30"
+  static formatDisplay(date, time) {
+    const weekday = '日一二三四五六'[moment.tz(date, 'YYYY-MM-DD', 'Asia/Taipei').day()];
+    return `${date}（週${weekday}）` + (time ? ' ' + time.substring(0, 5) : '');
+  }
+}
+
+// Recurrence rules for interview series: 每週, 每2週, 隔週, 每週六, 每月第1個週日, 每3個月最後一個週六, 每季第2個週日
+class RecurrenceRule {
+  // Parse a rule at the start of text; returns { rule, rest } with rule in interview_series columns, or null
+  static parse(text) {
+    const number = '([0-9一二兩三四五六七八九十]+)';
+    const weekday = '(?:週|周|星期|禮拜)([一二三四五六日天])';
+    let match;
+
+    // Monthly: 每月第2個週日, 每3個月最後一個週六, 每季第1個週日
+    if ((match = text.match(new RegExp('^(?:每\\s*' + number + '?\\s*個?月|每季)的?\\s*(?:第\\s*([1-5一二三四五])\\s*個?|(最後)\\s*一?\\s*個?)' + weekday)))) {
+      const interval = match[0].startsWith('每季') ? 3 : (match[1] ? DateTimeParser.parseNumber(match[1]) : 1);
+      if (!interval || interval > 12) return null;
+      return {
+        rule: {
+          frequency: 'monthly',
+          interval_count: interval,
+          weekday: DateTimeParser.WEEKDAYS[match[4]],
+          week_of_month: match[3] ? -1 : DateTimeParser.parseNumber(match[2])
+        },
+        rest: text.slice(match[0].length).trim()
+      };
+    }
+
+    // Weekly: 每週, 每2週, 隔週, 每週六 (without a weekday the start date's weekday is used)
+    if ((match = text.match(new RegExp('^(?:每\\s*' + number + '?\\s*個?|隔)(?:週|周|星期|禮拜)([一二三四五六日天])?')))) {
+      const interval = match[0].startsWith('隔') ? 2 : (match[1] ? DateTimeParser.parseNumber(match[1]) : 1);
+      if (!interval || interval > 52) return null;
+      return {
+        rule: {
+          frequency: 'weekly',
+          interval_count: interval,
+          weekday: match[2] ? DateTimeParser.WEEKDAYS[match[2]] : null,
+          week_of_month: null
+        },
+        rest: text.slice(match[0].length).trim()
+      };
+    }
+
+    return null;
+  }
+
+  // The nth (or last, n = -1) ISO weekday of the month containing monthStart; null if it does not exist
+  static nthWeekdayOfMonth(monthStart, weekday, n) {
+    if (n === -1) {
+      const last = monthStart.clone().endOf('month').startOf('day');
+      return last.subtract((last.isoWeekday() - weekday + 7) % 7, 'days');
+    }
+    const first = monthStart.clone().startOf('month');
+    const date = first.clone().add((weekday - first.isoWeekday() + 7) % 7 + (n - 1) * 7, 'days');
+    return date.month() === first.month() ? date : null;
+  }
+
+  // Dates ('YYYY-MM-DD') a series produces between fromDate and toDate inclusive
+  static occurrences(series, fromDate, toDate) {
+    const start = moment.tz(series.start_date, 'YYYY-MM-DD', 'Asia/Taipei');
+    const from = fromDate > series.start_date ? fromDate : series.start_date;
+    const to = series.end_date && series.end_date < toDate ? series.end_date : toDate;
+    const dates = [];
+
+    if (series.frequency === 'weekly') {
+      // First occurrence is the first matching weekday on or after the start date
+      const date = start.clone().add((series.weekday - start.isoWeekday() + 7) % 7, 'days');
+      while (date.format('YYYY-MM-DD') <= to) {
+        if (date.format('YYYY-MM-DD') >= from) dates.push(date.format('YYYY-MM-DD'));
+        date.add(series.interval_count, 'weeks');
+      }
+    } else {
+      const month = start.clone().startOf('month');
+      while (month.format('YYYY-MM-DD') <= to) {
+        const date = this.nthWeekdayOfMonth(month, series.weekday, series.week_of_month);
+        if (date && date.format('YYYY-MM-DD') >= from && date.format('YYYY-MM-DD') <= to) {
+          dates.push(date.format('YYYY-MM-DD'));
+        }
+        month.add(series.interval_count, 'months');
+      }
+    }
+    return dates;
+  }
+
+  // e.g. 每週六, 每2週的週日, 每月第1個週日, 每季最後一個週六
+  static describe(series) {
+    const weekday = '週' + '一二三四五六日'[series.weekday - 1];
+    if (series.frequency === 'weekly') {
+      return series.interval_count === 1 ? '每' + weekday : `每${series.interval_count}週的${weekday}`;
+    }
+    const months = series.interval_count === 1 ? '每月' : (series.interval_count === 3 ? '每季' : `每${series.interval_count}個月`);
+    return months + (series.week_of_month === -1 ? '最後一個' : `第${series.week_of_month}個`) + weekday;
+  }
+}
+
+// Message parsing functions
+class MessageParser {
+  // Parse 查看 / 搜尋 into { filters, title, empty } for InterviewManager.searchInterviews; null if not a list query.
+  // 查看 全部 / {狀態} / 預約 / 今天 / 本週 / 下週 / {日期} / {日期}~{日期} / 面談者 {姓名} / 對象 {姓名}, 搜尋 {關鍵字}
+  static parseListQuery(text, now = moment.tz('Asia/Taipei')) {
+    let match;
+    if ((match = text.match(/^搜尋\s+(.+)$/))) {
+      const keyword = match[1].trim();
+      return { filters: { keyword }, title: `🔍 搜尋「${keyword}」`, empty: `找不到理由包含「${keyword}」的面談。` };
+    }
+
+    if (!(match = text.match(/^查看\s*(.*)$/))) return null;
+    const arg = match[1].trim();
+    if (arg === '' || arg === '全部') {
+      return { filters: {}, title: '📋 全部面談', empty: '目前沒有安排的面談。' };
+    }
+    if (arg === '預約') {
+      return { filters: { booked: true }, title: '📋 預約的面談', empty: '沒有透過「預約」建立的面談。' };
+    }
+    if (STATUS_NAMES[arg]) {
+      const status = STATUS_NAMES[arg];
+      return { filters: { status }, title: `📋 ${STATUS_LABELS[status]}面談`, empty: '沒有狀態為「' + STATUS_LABELS[status] + '」的面談。' };
+    }
+    if ((match = arg.match(/^(面談者|面談對象|對象)\s*(\S.*)$/))) {
+      const name = match[2].trim();
+      return match[1] === '面談者'
+        ? { filters: { interviewerQuery: name }, title: `📋 面談者「${name}」的面談`, empty: `沒有面談者為「${name}」的面談。` }
+        : { filters: { intervieweeQuery: name }, title: `📋 面談對象「${name}」的面談`, empty: `沒有面談對象為「${name}」的面談。` };
+    }
+
+    const range = (from, to, title) => ({
+      filters: { from, to },
+      title,
+      empty: `${from === to ? DateTimeParser.formatDisplay(from) : from + '～' + to}沒有面談。`
+    });
+
+    // Weeks run Monday to Sunday
+    if ((match = arg.match(/^(本|這|下)(?:週|周|星期|禮拜)$/))) {
+      const start = now.clone().startOf('isoWeek').add(match[1] === '下' ? 1 : 0, 'weeks');
+      const from = start.format('YYYY-MM-DD');
+      const to = start.clone().add(6, 'days').format('YYYY-MM-DD');
+      return range(from, to, `📋 ${match[1] === '下' ? '下週' : '本週'}面談（${from}～${to}）`);
+    }
+
+    // One date or a range: 今天, 2024-03-15, 3/1~3/15, 2024-03-01 到 2024-03-31.
+    // A month/day without a year is looked up in the current year, so 查看 10/1 shows past dates too
+    const first = DateTimeParser.parseDate(arg, now, false);
+    if (!first) return null;
+    let last = first;
+    const rest = first.rest.trim();
+    if (rest) {
+      const separator = rest.match(/^(?:~|～|到|至|-|－)\s*/);
+      if (!separator) return null;
+      last = DateTimeParser.parseDate(rest.slice(separator[0].length), now, false);
+      if (!last || last.rest.trim()) return null;
+      // 12/20~1/5 runs into the next year
+      if (last.yearless && last.date.isBefore(first.date)) last.date.add(1, 'year');
+    }
+
+    let from = first.date.format('YYYY-MM-DD');
+    let to = last.date.format('YYYY-MM-DD');
+    if (from > to) [from, to] = [to, from];
+    return range(from, to, from === to ? `📋 ${DateTimeParser.formatDisplay(from)}的面談` : `📋 ${from}～${to} 的面談`);
+  }
+
+  // Parse "新增" command - 新增 {面談對象} {面談者} {日期} {時間} {理由}
+  static parseAddCommand(text) {
+    // Date and time may be absolute (2024-01-15 14:30) or natural language (明天 下午3點), see DateTimeParser
+    const regex = /新增\s+([^\s]+)\s+([^\s]+)\s+([\s\S]+)/;
+    const match = text.match(regex);
+    
+    if (!match) return null;
+    
+    const parsed = DateTimeParser.parse(match[3]);
+    if (parsed.date && parsed.time && !parsed.rest) return null;
+    
+    return {
+      intervieweeName: match[1],
+      interviewerName: match[2],
+      date: parsed.date,
+      time: parsed.time,
+      reason: parsed.rest
+    };
+  }
+
+  // Parse "週期 新增" command - 週期 新增 {面談對象} {面談者} {規則} {開始日期} {時間} {理由}
+  static parseSeriesAddCommand(text) {
+    const match = text.match(/^週期\s+新增\s+([^\s]+)\s+([^\s]+)\s+([\s\S]+)/);
+    if (!match) return null;
+
+    const ruleResult = RecurrenceRule.parse(match[3].trim());
+    if (!ruleResult) return null;
+
+    // The start date is optional (defaults to today)
+    const parsed = DateTimeParser.parse(ruleResult.rest);
+    if (!parsed.time || !parsed.rest) return null;
+
+    return {
+      intervieweeName: match[1],
+      interviewerName: match[2],
+      rule: ruleResult.rule,
+      startDate: parsed.date,
+      time: parsed.time,
+      reason: parsed.rest
+    };
+  }
+
+  // Parse series update command (format: 週期 更新 {系列ID} {欄位} {新值})
+  // 週期 更新 {系列ID} {欄位} {新值}; 強制週期 更新 … ignores interviewer conflicts
+  static parseSeriesUpdateCommand(text) {
+    const match = text.match(/^(強制)?週期\s+更新\s+(\d+)\s+([^\s]+)\s+(.+)/);
+    if (!match) return null;
+
+    return {
+      id: parseInt(match[2]),
+      field: match[3],
+      value: match[4],
+      force: Boolean(match[1])
+    };
+  }
+
+  // Parse update command (format: 更新 {id} {field} {value})
+  static parseUpdateCommand(text) {
+    const regex = /更新\s+(\d+)\s+([^\s]+)\s+(.+)/;
+    const match = text.match(regex);
+    
+    if (!match) return null;
+    
+    return {
+      id: parseInt(match[1]),
+      field: match[2],
+      value: match[3]
+    };
+  }
+
+  // Parse custom reminder command (format: 提醒 {日期} {時間} {訊息})
+  static parseReminderCommand(text) {
+    const regex = /^提醒\s+([\s\S]+)/;
+    const match = text.match(regex);
+
+    if (!match) return null;
+
+    const parsed = DateTimeParser.parse(match[1]);
+    return {
+      date: parsed.date,
+      time: parsed.time,
+      message: parsed.rest
+    };
+  }
+
+  // Parse cancel reminder command (format: 取消提醒 {id})
+  static parseCancelReminderCommand(text) {
+    const regex = /取消提醒\s+(\d+)/;
+    const match = text.match(regex);
+
+    if (!match) return null;
+
+    return {
+      id: parseInt(match[1])
+    };
+  }
+
+  // Parse delete command (format: 刪除 {id})
+  static parseDeleteCommand(text) {
+    const regex = /刪除\s+(\d+)/;
+    const match = text.match(regex);
+    
+    if (!match) return null;
+    
+    return {
+      id: parseInt(match[1])
+    };
+  }
+
+  // Parse 空檔 新增 {面談者} {每週日|日期} {HH:mm}-{HH:mm} [{N}分鐘]; null when malformed
+  static parseAvailabilityAddCommand(text, now = moment.tz('Asia/Taipei')) {
+    const match = text.match(/^空檔\s+新增\s+(\S+)\s+(\S+)\s+(\d{1,2}[:：]\d{2})\s*[-–—~～到至]\s*(\d{1,2}[:：]\d{2})(?:\s+(\d+)\s*分(?:鐘)?)?$/);
+    if (!match) return null;
+
+    let weekday = null;
+    let slotDate = null;
+    const weekly = match[2].match(/^每(?:個)?(?:週|周|星期|禮拜)([一二三四五六日天])$/);
+    if (weekly) {
+      weekday = DateTimeParser.WEEKDAYS[weekly[1]];
+    } else {
+      const date = DateTimeParser.parseDate(match[2], now);
+      if (!date || date.rest) return null;
+      slotDate = date.date.format('YYYY-MM-DD');
+    }
+
+    const start = DateTimeParser.parseTime(match[3]);
+    const end = DateTimeParser.parseTime(match[4]);
+    if (!start || !end) return null;
+
+    return {
+      interviewerName: match[1],
+      weekday,
+      slotDate,
+      startTime: start.time,
+      endTime: end.time,
+      slotMinutes: match[5] ? parseInt(match[5], 10) : AVAILABILITY_DEFAULT_SLOT_MINUTES
+    };
+  }
+
+  // Parse 預約 [{面談者} [{日期} [{時間}]]]; {} for a bare 預約, null when malformed
+  static parseBookingCommand(text, now = moment.tz('Asia/Taipei')) {
+    const match = text.match(/^預約(?:\s+(\S+)(?:\s+(.+))?)?$/);
+    if (!match) return null;
+    if (!match[1]) return {};
+    if (!match[2]) return { interviewerName: match[1] };
+
+    const dateTime = DateTimeParser.parse(match[2], now);
+    if (!dateTime.date || dateTime.rest) return null;
+    return { interviewerName: match[1], date: dateTime.date, time: dateTime.time };
+  }
+}
+
+// LINE Flex Message builders for interview cards
+class FlexMessageBuilder {
+  // LINE allows at most 12 bubbles per carousel and 5 messages per reply
+  static get MAX_BUBBLES() { return 12; }
+  static get MAX_MESSAGES() { return 5; }
+
+  static fieldRow(label, value) {
+    return {
+      type: 'box',
+      layout: 'baseline',
+      spacing: 'sm',
+      contents: [
+        { type: 'text', text: label, size: 'sm', color: '#888888', flex: 3 },
+        { type: 'text', text: String(value), size: 'sm', color: '#333333', wrap: true, flex: 5 }
+      ]
+    };
+  }
+
+  static postbackButton(label, data, style = 'secondary', color) {
+    const button = { type: 'button', style, height: 'sm', action: { type: 'postback', label, data, displayText: label } };
+    if (color) button.color = color;
+    return button;
+  }
+
+  // Buttons for edit, reschedule (datetime picker), mark done and delete
+  static interviewActions(interview) {
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : '00:00';
+    const reschedule = {
+      type: 'button',
+      style: 'secondary',
+      height: 'sm',
+      action: {
+        type: 'datetimepicker',
+        label: '改期',
+        data: `action=reschedule&id=${interview.id}`,
+        mode: 'datetime',
+        initial: `${date}T${time}`
+      }
+    };
+
+    const rows = [[this.postbackButton('編輯', `action=edit&id=${interview.id}`), reschedule]];
+    // Outcome buttons only make sense while the interview is still scheduled
+    if (!interview.status || interview.status === 'scheduled') {
+      rows.push([
+        this.postbackButton('完成', `action=complete&id=${interview.id}`, 'primary', '#5CB85C'),
+        this.postbackButton('未到', `action=no-show&id=${interview.id}`)
+      ]);
+      rows.push([
+        this.postbackButton('取消面談', `action=cancel&id=${interview.id}`),
+        this.postbackButton('刪除', `action=delete&id=${interview.id}`, 'primary', '#D9534F')
+      ]);
+    } else {
+      rows.push([this.postbackButton('刪除', `action=delete&id=${interview.id}`, 'primary', '#D9534F')]);
+    }
+
+    return {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: rows.map(contents => ({ type: 'box', layout: 'horizontal', spacing: 'sm', contents }))
+    };
+  }
+
+  // One bubble per interview; extraRows are appended to the body (e.g. reminder status)
+  static interviewBubble(interview, extraRows = []) {
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
+
+    return {
+      type: 'bubble',
+      size: 'kilo',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          { type: 'text', text: interview.interviewee_name, weight: 'bold', size: 'lg', wrap: true },
+          { type: 'text', text: `ID: ${interview.id}　${STATUS_LABELS[interview.status] || STATUS_LABELS.scheduled}`, size: 'xs', color: '#888888' }
+        ]
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          this.fieldRow('面談者', interview.interviewer_name || '未指定'),
+          this.fieldRow('日期', date),
+          this.fieldRow('時間', time),
+          this.fieldRow('理由', interview.reason || '無'),
+          ...(interview.series_id ? [this.fieldRow('週期', '🔁 系列 ' + interview.series_id)] : []),
+          ...extraRows
+        ]
+      },
+      footer: this.interviewActions(interview)
+    };
+  }
+
+  // Split bubbles into carousel messages that fit in one reply
+  static carouselMessages(bubbles, altText) {
+    const messages = [];
+    const maxBubbles = this.MAX_BUBBLES * (this.MAX_MESSAGES - 1);
+    const shown = bubbles.slice(0, maxBubbles);
+
+    for (let i = 0; i < shown.length; i += this.MAX_BUBBLES) {
+      messages.push({
+        type: 'flex',
+        altText,
+        contents: { type: 'carousel', contents: shown.slice(i, i + this.MAX_BUBBLES) }
+      });
+    }
+
+    if (bubbles.length > maxBubbles) {
+      messages.push({ type: 'text', text: `…共 ${bubbles.length} 筆面談，僅顯示前 ${maxBubbles} 筆。` });
+    }
+    return messages;
+  }
+}
+
+// Message handling
+async function handleMessage(event) {
+  const { text } = event.message;
+  const userId = event.source.userId;
+  const actor = AuditLog.actorFromSource(event.source);
+  // In a group or room, lists show the chat's shared interviews
+  const context = InterviewManager.contextFromActor(userId, actor);
+
+  try {
+    // Handle different commands (each checks the caller's role first)
+    const listQuery = MessageParser.parseListQuery(text);
+    if (listQuery) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleListCommand(event.source, context, listQuery, event.replyToken);
+    } else if (/^(查看|搜尋)/.test(text)) {
+      await client.replyMessage(event.replyToken, { type: 'text', text: LIST_USAGE });
+    } else if (/^匯出(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleExportCommand(text, context, event.replyToken);
+    } else if (text === '下一頁') {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleNextPageCommand(event.source, context, event.replyToken);
+    } else if (/^取消\s+\d+$/.test(text) && !(await PermissionManager.can(userId, 'edit'))) {
+      // Without the edit permission 取消 {ID} still cancels the sender's own 預約 booking
+      if (await requirePermission(userId, 'book', event.replyToken)) await handleCancelBookingCommand(text, event.replyToken, actor);
+    } else if (/^(完成|未到|取消)\s+\d+$/.test(text)) {
+      if (await requirePermission(userId, 'edit', event.replyToken)) await handleStatusCommand(text, event.replyToken, actor);
+    } else if (text.trim() === '新增') {
+      if (await requirePermission(userId, 'create', event.replyToken)) await startAddWizard(userId, SessionManager.getContextId(event.source), event.replyToken);
+    } else if (text.startsWith('新增') || text.startsWith('強制新增')) {
+      if (await requirePermission(userId, 'create', event.replyToken)) await handleAddCommand(text, userId, event.replyToken, actor);
+    } else if (text.startsWith('更新') || text.startsWith('強制更新')) {
+      if (await requirePermission(userId, 'edit', event.replyToken)) await handleUpdateCommand(text, userId, event.replyToken, actor);
+    } else if (text.startsWith('刪除')) {
+      if (await requirePermission(userId, 'delete', event.replyToken)) await handleDeleteCommand(text, userId, event.replyToken, actor);
+    } else if (text === '提醒狀態') {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleReminderStatusCommand(context, event.replyToken);
+    } else if (text === '提醒清單') {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleReminderListCommand(userId, event.replyToken);
+    } else if (text.startsWith('取消提醒')) {
+      if (await requirePermission(userId, 'create', event.replyToken)) await handleCancelReminderCommand(text, userId, event.replyToken);
+    } else if (/^提醒\s/.test(text)) {
+      if (await requirePermission(userId, 'create', event.replyToken)) await handleAddReminderCommand(text, userId, event.replyToken);
+    } else if (/^週期\s*清單$/.test(text)) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleSeriesListCommand(context, event.replyToken);
+    } else if (/^週期\s+新增/.test(text)) {
+      if (await requirePermission(userId, 'create', event.replyToken)) await handleSeriesAddCommand(text, userId, event.replyToken, context);
+    } else if (/^(強制)?週期\s+更新/.test(text)) {
+      if (await requirePermission(userId, 'edit', event.replyToken)) await handleSeriesUpdateCommand(text, event.replyToken, actor);
+    } else if (/^週期\s+取消/.test(text)) {
+      if (await requirePermission(userId, 'edit', event.replyToken)) await handleSeriesCancelCommand(text, event.replyToken, actor);
+    } else if (text.startsWith('週期')) {
+      await client.replyMessage(event.replyToken, { type: 'text', text: SERIES_USAGE });
+    } else if (/^訂閱(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleSubscriptionCommand(text, event.source, event.replyToken);
+    } else if (/^行事曆(\s*重設)?$/.test(text)) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleCalendarCommand(text, event.source, event.replyToken);
+    } else if (text.startsWith('歷史')) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleHistoryCommand(text, context, event.replyToken);
+    } else if (text === '復原') {
+      if (await requirePermission(userId, 'edit', event.replyToken)) await handleUndoCommand(actor, event.replyToken);
+    } else if (/^我是(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleRegisterMemberCommand(text, event.source, event.replyToken);
+    } else if (/^別名(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleAliasCommand(text, userId, event.replyToken);
+    } else if (text === '成員') {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleMemberListCommand(event.replyToken);
+    } else if (/^成員\s/.test(text)) {
+      if (await requirePermission(userId, 'manage_roles', event.replyToken)) await handleMemberAdminCommand(text, userId, event.replyToken);
+    } else if (/^空檔(\s|$)/.test(text)) {
+      await handleAvailabilityCommand(text, actor, event.replyToken);
+    } else if (/^預約連結(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'view', event.replyToken)) await handleBookingLinkCommand(text, event.replyToken);
+    } else if (/^預約(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'book', event.replyToken)) await handleBookingCommand(text, event.source, event.replyToken);
+    } else if (/^發送失敗(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'manage_roles', event.replyToken)) await handleDeadLetterCommand(text, event.replyToken);
+    } else if (/^收件者狀態(\s|$)/.test(text)) {
+      if (await requirePermission(userId, 'manage_roles', event.replyToken)) await handleRecipientReportCommand(text, event.replyToken);
+    } else if (text === '我的角色') {
+      await handleMyRoleCommand(userId, event.replyToken);
+    } else if (text.startsWith('角色')) {
+      if (await requirePermission(userId, 'manage_roles', event.replyToken)) await handleRoleCommand(text, userId, event.replyToken);
+    }
+    // Note: No else clause - unrecognized commands are handled in webhook
+  } catch (error) {
+    console.error('Error handling message:', error);
+    await client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '抱歉，處理您的訊息時發生錯誤。請稍後再試。'
+    });
+  }
+}
+
+// Reply with a refusal and return false when the user's role lacks the permission
+async function requirePermission(userId, permission, replyToken) {
+  const role = await PermissionManager.getRole(userId);
+  if ((ROLE_PERMISSIONS[role] || []).includes(permission)) return true;
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '⛔ 您沒有權限執行此操作（目前角色：' + (ROLE_LABELS[role] || role) + '）。\n請輸入「我的角色」取得您的 ID，並請會長設定權限。'
+  });
+  return false;
+}
+
+// Command handlers
+const LIST_USAGE = '查看指令：\n查看 全部\n查看 已排定／已完成／未到／已取消\n查看 今天、查看 明天、查看 本週、查看 下週\n查看 2024-03-15、查看 2024-03-01~2024-03-31\n查看 面談者 {姓名}、查看 對象 {姓名}\n搜尋 {關鍵字}（搜尋面談理由）\n結果較多時輸入「下一頁」查看更多';
+
+// One page fills every reply message but the last, which holds the 下一頁 prompt
+const LIST_PAGE_SIZE = FlexMessageBuilder.MAX_BUBBLES * (FlexMessageBuilder.MAX_MESSAGES - 1);
+const LIST_PAGING_FLOW = 'list-paging';
+
+// Show one page of a 查看/搜尋 query (see MessageParser.parseListQuery) starting at offset.
+// When more remain, the query and next offset are kept in the user's session for 下一頁.
+async function handleListCommand(source, context, query, replyToken, offset = 0) {
+  const result = await InterviewManager.searchInterviews({ ...query.filters, context, offset, limit: LIST_PAGE_SIZE });
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取清單時發生錯誤。'
+    });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: offset > 0 ? '已經沒有更多面談了。' : query.empty
+    });
+    return;
+  }
+
+  const shownUntil = offset + result.data.length;
+  const title = (context.type === 'user' ? '' : '👥 ') + query.title;
+  const bubbles = result.data.map(interview => FlexMessageBuilder.interviewBubble(interview));
+  const messages = FlexMessageBuilder.carouselMessages(bubbles, `${title}（${offset + 1}–${shownUntil}／${result.count} 筆）`);
+
+  const contextId = SessionManager.getContextId(source);
+  const session = source.userId ? await SessionManager.getSession(source.userId, contextId) : { success: false };
+  const current = session.success ? session.data : null;
+  if (result.count > shownUntil) {
+    const progress = `${title}：第 ${offset + 1}–${shownUntil} 筆，共 ${result.count} 筆。`;
+    // An unfinished 新增 wizard is never replaced by paging state
+    if (session.success && !(current && current.flow === ADD_WIZARD_FLOW)) {
+      await SessionManager.saveSession(source.userId, contextId, LIST_PAGING_FLOW, 'page', { query, offset: shownUntil });
+      messages.push({ type: 'text', text: progress + '\n輸入「下一頁」查看更多。', quickReply: buildQuickReply(['下一頁']) });
+    } else {
+      messages.push({ type: 'text', text: progress + '\n請先完成或取消目前的新增流程，再重新查詢即可翻頁。' });
+    }
+  } else if (current && current.flow === LIST_PAGING_FLOW) {
+    await SessionManager.endSession(source.userId, contextId);
+  }
+
+  await client.replyMessage(replyToken, messages);
+}
+
+// 下一頁: continue the last 查看/搜尋 list in this chat
+async function handleNextPageCommand(source, context, replyToken) {
+  const session = source.userId ? await SessionManager.getSession(source.userId, SessionManager.getContextId(source)) : { success: false };
+  if (!session.success || !session.data || session.data.flow !== LIST_PAGING_FLOW) {
+    await client.replyMessage(replyToken, { type: 'text', text: '沒有可以翻頁的清單，請先使用「查看」或「搜尋」。' });
+    return;
+  }
+  await handleListCommand(source, context, session.data.data.query, replyToken, session.data.data.offset);
+}
+
+// Build the reply listing interviews that clash with a requested slot
+function formatConflictMessage(interviewerName, conflicts, text) {
+  let message = '⚠️ 面談時間衝突！\n\n面談者 ' + interviewerName + ' 在此時段（前後 ' + INTERVIEW_DURATION_MINUTES + ' 分鐘內）已有以下面談：\n\n';
+  conflicts.forEach((interview, index) => {
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
+    message += `${index + 1}. ID: ${interview.id}\n`;
+    message += `   面談對象: ${interview.interviewee_name}\n`;
+    message += `   日期: ${date}\n`;
+    message += `   時間: ${time}\n\n`;
+  });
+  if (text) {
+    message += '若仍要儲存，請在指令前加上「強制」：\n強制' + text.trim();
+  }
+  return message.trim();
+}
+
+// Validate and sanitize new interview fields; shared by 新增 and calendar imports.
+// Returns { data } with the sanitized fields or { error } with the message to show.
+function validateInterviewInput(input) {
+  if (!InputValidator.validateName(input.intervieweeName)) {
+    return { error: '面談對象姓名無效！請輸入有效的姓名。' };
+  }
+
+  if (!InputValidator.validateName(input.interviewerName)) {
+    return { error: '面談者姓名無效！請輸入有效的姓名。' };
+  }
+
+  if (!InputValidator.validateDate(input.date)) {
+    return { error: '日期格式錯誤！請使用 YYYY-MM-DD，或如「明天」、「下週日」、「3/15」。' };
+  }
+
+  if (!InputValidator.validateTime(input.time)) {
+    return { error: '時間格式錯誤！請使用 HH:mm，或如「下午3點」、「早上九點半」。' };
+  }
+
+  return {
+    data: {
+      intervieweeName: InputValidator.sanitizeString(input.intervieweeName),
+      interviewerName: InputValidator.sanitizeString(input.interviewerName),
+      date: input.date,
+      time: input.time,
+      reason: InputValidator.sanitizeString(input.reason)
+    }
+  };
+}
+
+async function handleAddCommand(text, userId, replyToken, actor) {
+  const parsed = MessageParser.parseAddCommand(text);
+  const force = text.startsWith('強制');
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：新增 {面談對象} {面談者} {日期} {時間} {理由}\n例如：新增 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談'
+    });
+    return;
+  }
+
+  const validation = validateInterviewInput(parsed);
+  if (validation.error) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: validation.error
+    });
+    return;
+  }
+  const sanitizedData = validation.data;
+
+  if (!force) {
+    const conflictResult = await InterviewManager.findConflicts(sanitizedData.interviewerName, sanitizedData.date, sanitizedData.time);
+    if (conflictResult.success && conflictResult.data.length > 0) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: formatConflictMessage(sanitizedData.interviewerName, conflictResult.data, text)
+      });
+      return;
+    }
+  }
+
+  const result = await InterviewManager.addInterview(
+    userId,
+    sanitizedData.intervieweeName,
+    sanitizedData.interviewerName,
+    sanitizedData.date,
+    sanitizedData.time,
+    sanitizedData.reason,
+    actor
+  );
+
+  if (result.success) {
+    // Echo the resolved absolute date and time so natural-language input can be double-checked
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談已成功新增！\n\n面談對象: ' + sanitizedData.intervieweeName + '\n面談者: ' + sanitizedData.interviewerName + '\n時間: ' + DateTimeParser.formatDisplay(sanitizedData.date, sanitizedData.time) + '\n理由: ' + sanitizedData.reason + '\n\nID: ' + result.data.id
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '新增面談時發生錯誤。'
+    });
+  }
+}
+
+async function handleUpdateCommand(text, userId, replyToken, actor) {
+  const parsed = MessageParser.parseUpdateCommand(text);
+  const force = text.startsWith('強制');
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 約翰'
+    });
+    return;
+  }
+
+  // Map Chinese field name to database column
+  const dbField = fieldMap[parsed.field];
+  if (!dbField) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無效的欄位！可用欄位：面談對象、面談者、日期、時間、理由、提醒'
+    });
+    return;
+  }
+
+  const updates = {};
+  let valueToStore = parsed.value;
+  let displayValue = parsed.value;
+
+  // Dates and times accept natural language (明天, 下週日, 3/15, 下午3點); a date may carry a time too
+  if (dbField === 'interview_date') {
+    const dateTime = DateTimeParser.parse(parsed.value);
+    if (!dateTime.date || dateTime.rest || !InputValidator.validateDate(dateTime.date)) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '日期格式錯誤！請使用 YYYY-MM-DD，或如「明天」、「下週日」、「3/15」。'
+      });
+      return;
+    }
+    valueToStore = dateTime.date;
+    if (dateTime.time) updates.interview_time = dateTime.time;
+    displayValue = DateTimeParser.formatDisplay(dateTime.date, dateTime.time);
+  }
+
+  if (dbField === 'interview_time') {
+    const timeResult = DateTimeParser.parseTime(parsed.value.trim());
+    if (!timeResult || timeResult.rest.trim() || !InputValidator.validateTime(timeResult.time)) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '時間格式錯誤！請使用 HH:mm，或如「下午3點」、「早上九點半」。'
+      });
+      return;
+    }
+    valueToStore = timeResult.time;
+    displayValue = timeResult.time.substring(0, 5);
+  }
+
+  // Per-interview reminder offsets, e.g. "7d,24h,3h,30m"; "預設" restores the global default
+  if (dbField === 'reminder_offsets') {
+    if (parsed.value.trim() === '預設') {
+      valueToStore = null;
+    } else {
+      valueToStore = ReminderOffsets.parseList(parsed.value);
+      if (!valueToStore) {
+        await client.replyMessage(replyToken, {
+          type: 'text',
+          text: '提醒格式錯誤！請使用逗號分隔的時間，例如：7d,24h,3h,30m'
+        });
+        return;
+      }
+    }
+  }
+
+  updates[dbField] = valueToStore;
+
+  // Only interviews in this chat's list can be changed from here
+  const context = InterviewManager.contextFromActor(userId, actor);
+
+  // Rescheduling or reassigning may double-book the interviewer
+  if (!force && ['interview_date', 'interview_time', 'interviewer_name'].includes(dbField)) {
+    const existing = await InterviewManager.getInterviewById(context, parsed.id);
+    if (!existing.success || !existing.data) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '更新面談時發生錯誤。請確認 ID 是否正確。'
+      });
+      return;
+    }
+
+    const merged = { ...existing.data, ...updates };
+    if (merged.interviewer_name) {
+      const conflictResult = await InterviewManager.findConflicts(merged.interviewer_name, merged.interview_date, merged.interview_time, parsed.id, merged.duration_minutes);
+      if (conflictResult.success && conflictResult.data.length > 0) {
+        await client.replyMessage(replyToken, {
+          type: 'text',
+          text: formatConflictMessage(merged.interviewer_name, conflictResult.data, text)
+        });
+        return;
+      }
+    }
+  }
+
+  // Authorized roles may edit any interview in the chat's list, not only their own
+  const result = await InterviewManager.updateInterview(context, parsed.id, updates, actor);
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談已成功更新！\n\nID: ' + parsed.id + '\n' + parsed.field + ': ' + displayValue
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '更新面談時發生錯誤。請確認 ID 是否正確。'
+    });
+  }
+}
+
+// 完成 {ID} / 未到 {ID} / 取消 {ID}
+async function handleStatusCommand(text, replyToken, actor) {
+  const match = text.match(/^(完成|未到|取消)\s+(\d+)$/);
+  if (!match) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：完成 {ID}、未到 {ID} 或 取消 {ID}\n例如：完成 1'
+    });
+    return;
+  }
+
+  await setInterviewStatus(actor, parseInt(match[2]), STATUS_COMMANDS[match[1]], replyToken);
+}
+
+// Shared by the status commands and the card buttons
+async function setInterviewStatus(actor, interviewId, status, replyToken) {
+  const context = InterviewManager.contextFromActor(actor.userId, actor);
+  const result = await InterviewManager.updateInterview(context, interviewId, { status }, actor);
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談 ID ' + interviewId + ' 狀態已更新為：' + STATUS_LABELS[status]
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '更新面談狀態時發生錯誤。請確認 ID 是否正確。'
+    });
+  }
+}
+
+async function handleDeleteCommand(text, userId, replyToken, actor) {
+  const parsed = MessageParser.parseDeleteCommand(text);
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：刪除 {ID}\n例如：刪除 1'
+    });
+    return;
+  }
+
+  // Authorized roles may delete any interview in the chat's list, not only their own
+  const result = await InterviewManager.deleteInterview(InterviewManager.contextFromActor(userId, actor), parsed.id, actor);
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談 ID ' + parsed.id + ' 已成功刪除！'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '刪除面談時發生錯誤。請確認 ID 是否正確。'
+    });
+  }
+}
+
+const SERIES_USAGE = '週期面談指令：\n週期 新增 {面談對象} {面談者} {規則} {開始日期} {時間} {理由}\n例如：週期 新增 約翰 陳佑庭 每月第1個週日 2024-01-07 10:00 青年面談\n規則：每週、每週六、每2週、隔週、每月第2個週日、每月最後一個週六、每3個月第1個週日、每季第1個週日\n週期 清單\n週期 更新 {系列ID} {欄位} {新值}（欄位：面談對象、面談者、時間、理由、提醒、結束）\n週期 取消 {系列ID}';
+
+async function handleSeriesAddCommand(text, userId, replyToken, context) {
+  const parsed = MessageParser.parseSeriesAddCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！\n\n' + SERIES_USAGE
+    });
+    return;
+  }
+
+  if (!InputValidator.validateName(parsed.intervieweeName) || !InputValidator.validateName(parsed.interviewerName)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '姓名無效！請輸入有效的面談對象與面談者姓名。'
+    });
+    return;
+  }
+
+  const startDate = parsed.startDate || moment.tz('Asia/Taipei').format('YYYY-MM-DD');
+  if (!InputValidator.validateDate(startDate) || !InputValidator.validateTime(parsed.time)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '日期或時間格式錯誤！例如：2024-01-07 10:00、下週日 早上十點。'
+    });
+    return;
+  }
+
+  const interviewerName = InputValidator.sanitizeString(parsed.interviewerName);
+  const rule = { ...parsed.rule };
+  if (!rule.weekday) rule.weekday = moment.tz(startDate, 'YYYY-MM-DD', 'Asia/Taipei').isoWeekday();
+
+  const result = await SeriesManager.createSeries(userId, {
+    context_type: context.type,
+    context_id: context.id,
+    interviewee_name: InputValidator.sanitizeString(parsed.intervieweeName),
+    interviewer_name: interviewerName,
+    interview_time: parsed.time,
+    reason: InputValidator.sanitizeString(parsed.reason),
+    start_date: startDate,
+    ...rule
+  });
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '新增週期面談時發生錯誤。'
+    });
+    return;
+  }
+
+  const { series, occurrences } = result.data;
+  let message = '✅ 週期面談已建立！\n\n系列 ID: ' + series.id + '\n面談對象: ' + series.interviewee_name + '\n面談者: ' + series.interviewer_name +
+    '\n週期: ' + RecurrenceRule.describe(series) + ' ' + series.interview_time.substring(0, 5) + '\n理由: ' + series.reason + '\n\n';
+
+  if (occurrences.length === 0) {
+    message += SERIES_HORIZON_DAYS + ' 天內沒有符合的日期，之後會自動建立面談。';
+  } else {
+    message += `已建立未來 ${SERIES_HORIZON_DAYS} 天內的 ${occurrences.length} 次面談：\n`;
+    const conflictDates = [];
+    for (const occurrence of occurrences) {
+      message += `• ${DateTimeParser.formatDisplay(occurrence.interview_date, occurrence.interview_time)}（ID: ${occurrence.id}）\n`;
+      const conflictResult = await InterviewManager.findConflicts(interviewerName, occurrence.interview_date, occurrence.interview_time, occurrence.id);
+      if (conflictResult.success && conflictResult.data.length > 0) conflictDates.push(occurrence.interview_date);
+    }
+    if (conflictDates.length > 0) {
+      message += '\n⚠️ 面談者在以下日期已有其他面談：' + conflictDates.join('、') + '\n';
+    }
+  }
+
+  message += '\n單次面談可用「更新 {ID}」、「取消 {ID}」調整；整個系列請用「週期 更新 ' + series.id + ' …」或「週期 取消 ' + series.id + '」。';
+  await client.replyMessage(replyToken, { type: 'text', text: message.trim() });
+}
+
+async function handleSeriesListCommand(context, replyToken) {
+  const result = await SeriesManager.getSeriesList(context);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取週期面談清單時發生錯誤。'
+    });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '目前沒有週期面談。'
+    });
+    return;
+  }
+
+  let message = '🔁 週期面談：\n\n';
+  for (const series of result.data) {
+    const upcoming = await SeriesManager.getUpcomingOccurrences(series.id);
+    const next = upcoming.success && upcoming.data.length > 0 ? upcoming.data[0] : null;
+    message += `系列 ID: ${series.id}\n`;
+    message += `   面談對象: ${series.interviewee_name}\n`;
+    message += `   面談者: ${series.interviewer_name || '未指定'}\n`;
+    message += `   週期: ${RecurrenceRule.describe(series)} ${series.interview_time.substring(0, 5)}\n`;
+    if (series.end_date) message += `   結束: ${series.end_date}\n`;
+    message += `   下一次: ${next ? DateTimeParser.formatDisplay(next.interview_date, next.interview_time) + '（ID: ' + next.id + '）' : '無'}\n\n`;
+  }
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message.trim()
+  });
+}
+
+async function handleSeriesUpdateCommand(text, replyToken, actor) {
+  const parsed = MessageParser.parseSeriesUpdateCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：週期 更新 {系列ID} {欄位} {新值}\n例如：週期 更新 1 時間 下午3點'
+    });
+    return;
+  }
+
+  const column = seriesFieldMap[parsed.field];
+  if (!column) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無效的欄位！可用欄位：' + Object.keys(seriesFieldMap).join('、') + '\n（改單次面談的日期請用「更新 {ID} 日期 …」）'
+    });
+    return;
+  }
+
+  const value = parsed.value.trim();
+  let valueToStore = InputValidator.sanitizeString(value);
+  let displayValue = valueToStore;
+  let error = null;
+
+  if (column === 'interview_time') {
+    const timeResult = DateTimeParser.parseTime(value);
+    if (!timeResult || timeResult.rest.trim() || !InputValidator.validateTime(timeResult.time)) {
+      error = '時間格式錯誤！請使用 HH:mm，或如「下午3點」、「早上九點半」。';
+    } else {
+      valueToStore = timeResult.time;
+      displayValue = timeResult.time.substring(0, 5);
+    }
+  } else if (column === 'reminder_offsets') {
+    valueToStore = value === '預設' ? null : ReminderOffsets.parseList(value);
+    if (value !== '預設' && !valueToStore) error = '提醒格式錯誤！請使用逗號分隔的時間，例如：7d,24h,3h,30m';
+  } else if (column === 'end_date') {
+    // 無 removes the end date
+    if (value === '無') {
+      valueToStore = null;
+    } else {
+      const dateResult = DateTimeParser.parse(value);
+      if (!dateResult.date || dateResult.time || dateResult.rest || !InputValidator.validateDate(dateResult.date)) {
+        error = '日期格式錯誤！請使用 YYYY-MM-DD，或如「3/15」；輸入「無」取消結束日期。';
+      } else {
+        valueToStore = dateResult.date;
+        displayValue = DateTimeParser.formatDisplay(dateResult.date);
+      }
+    }
+  } else if (!InputValidator.validateName(value)) {
+    error = parsed.field + '無效！';
+  }
+
+  if (error) {
+    await client.replyMessage(replyToken, { type: 'text', text: error });
+    return;
+  }
+
+  // Only series in this chat's list can be changed from here
+  const series = await SeriesManager.getSeriesById(parsed.id, InterviewManager.contextFromActor(actor.userId, actor));
+  if (!series.success || !series.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '更新週期面談時發生錯誤。請確認系列 ID 是否正確。'
+    });
+    return;
+  }
+
+  // Moving the time or changing the interviewer may double-book future occurrences
+  if (!parsed.force && ['interview_time', 'interviewer_name'].includes(column)) {
+    const conflictResult = await SeriesManager.findUpdateConflicts(parsed.id, { [column]: valueToStore });
+    if (!conflictResult.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '檢查時段衝突時發生錯誤。請稍後再試。' });
+      return;
+    }
+    if (conflictResult.data.length > 0) {
+      await client.replyMessage(replyToken, { type: 'text', text: formatSeriesConflictMessage(conflictResult.data, text) });
+      return;
+    }
+  }
+
+  const result = await SeriesManager.updateSeries(parsed.id, { [column]: valueToStore }, actor);
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 系列 ' + parsed.id + ' 已更新！\n' + parsed.field + ': ' + displayValue + '\n\n已同步調整 ' + result.data.changedCount + ' 次未來的面談（個別修改過的面談保留原設定）。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '更新週期面談時發生錯誤。請確認系列 ID 是否正確。'
+    });
+  }
+}
+
+// Occurrences a 週期 更新 would double-book, from SeriesManager.findUpdateConflicts
+function formatSeriesConflictMessage(conflicting, text) {
+  let message = '⚠️ 面談時間衝突！\n\n更新後以下 ' + conflicting.length + ' 次面談會與面談者的其他面談重疊：\n\n';
+  conflicting.slice(0, 20).forEach(({ occurrence, conflicts }) => {
+    message += `• ${DateTimeParser.formatDisplay(occurrence.interview_date, occurrence.interview_time)}（ID: ${occurrence.id}，面談者 ${occurrence.interviewer_name}）\n`;
+    conflicts.forEach(interview => {
+      message += `   與 ID ${interview.id}（${interview.interviewee_name}，${interview.interview_time.substring(0, 5)}）重疊\n`;
+    });
+  });
+  if (conflicting.length > 20) message += `…還有 ${conflicting.length - 20} 次未列出。\n`;
+  message += '\n若仍要儲存，請在指令前加上「強制」：\n強制' + text.trim();
+  return message.trim();
+}
+
+async function handleSeriesCancelCommand(text, replyToken, actor) {
+  const match = text.match(/^週期\s+取消\s+(\d+)$/);
+
+  if (!match) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：週期 取消 {系列ID}\n只取消其中一次請用：取消 {ID}'
+    });
+    return;
+  }
+
+  const seriesId = parseInt(match[1]);
+  const series = await SeriesManager.getSeriesById(seriesId, InterviewManager.contextFromActor(actor.userId, actor));
+  const result = series.success && series.data ? await SeriesManager.cancelSeries(seriesId, actor) : series;
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 系列 ' + seriesId + ' 已停止，' + result.data.cancelledCount + ' 次未來的面談已標示為已取消。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '取消週期面談時發生錯誤。請確認系列 ID 是否正確。'
+    });
+  }
+}
+
+const SUBSCRIPTION_USAGE = '訂閱指令：\n訂閱（查看目前設定）\n訂閱 全部\n訂閱 面談者 {姓名}（只收該面談者的面談提醒）\n訂閱 本群組（在群組中使用：只收在本群組建立的面談）\n訂閱 群組 {群組ID}\n訂閱 關閉（不再接收自動提醒）';
+
+// 訂閱 settings apply to the chat the command is sent in (the user in 1:1, otherwise the group or room)
+async function handleSubscriptionCommand(text, source, replyToken) {
+  const subscriberType = source.type === 'group' || source.type === 'room' ? source.type : 'user';
+  const subscriberId = SessionManager.getContextId(source);
+  const args = text.replace(/^訂閱\s*/, '').trim();
+
+  // Changing what a whole group receives needs the edit permission
+  if (args && subscriberType !== 'user' && !(await requirePermission(source.userId, 'edit', replyToken))) return;
+
+  let scope;
+  let filterValue = null;
+  let match;
+  if (!args) {
+    const result = await SubscriptionManager.getSubscription(subscriberId);
+    if (!result.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '獲取訂閱設定時發生錯誤。' });
+      return;
+    }
+    let message = '🔔 目前訂閱：' + SubscriptionManager.describe(result.data);
+    if (subscriberType !== 'user') message += '\n本群組 ID：' + subscriberId;
+    await client.replyMessage(replyToken, { type: 'text', text: message + '\n\n' + SUBSCRIPTION_USAGE });
+    return;
+  } else if (args === '全部') {
+    scope = 'all';
+  } else if (args === '關閉' || args === '取消') {
+    scope = 'none';
+  } else if ((match = args.match(/^面談者\s+(.+)$/)) && InputValidator.validateName(match[1])) {
+    scope = 'interviewer';
+    filterValue = InputValidator.sanitizeString(match[1]);
+  } else if (args === '本群組' && subscriberType !== 'user') {
+    scope = 'group';
+    filterValue = subscriberId;
+  } else if ((match = args.match(/^群組\s+([CR][0-9a-f]{32})$/))) {
+    scope = 'group';
+    filterValue = match[1];
+  } else {
+    await client.replyMessage(replyToken, { type: 'text', text: '格式錯誤！\n\n' + SUBSCRIPTION_USAGE });
+    return;
+  }
+
+  const result = await SubscriptionManager.setSubscription(subscriberId, subscriberType, scope, filterValue, source.userId);
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '更新訂閱設定時發生錯誤。' });
+    return;
+  }
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '✅ 訂閱已更新：' + SubscriptionManager.describe({ scope, filter_value: filterValue }) +
+      (scope === 'none' ? '\n\n自動提醒與面談清單將不再發送到這裡。輸入「訂閱 全部」可恢復。' : '')
+  });
+}
+
+// 行事曆 (feed link for this chat) / 行事曆 重設 (revoke and issue a new link)
+async function handleCalendarCommand(text, source, replyToken) {
+  const ownerType = source.type === 'group' || source.type === 'room' ? source.type : 'user';
+  const ownerId = SessionManager.getContextId(source);
+  const reset = /^行事曆\s*重設$/.test(text);
+
+  const result = reset
+    ? await CalendarManager.resetFeed(ownerType, ownerId, source.userId)
+    : await CalendarManager.getOrCreateFeed(ownerType, ownerId, source.userId);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '取得行事曆連結時發生錯誤。'
+    });
+    return;
+  }
+
+  const scope = ownerType === 'user' ? '您新增的' : '所有';
+  let message = (reset ? '🔄 已重設行事曆連結，舊連結已失效。\n\n' : '') +
+    '📅 行事曆訂閱連結（' + scope + '未來面談）：\n' + CalendarManager.feedUrl(result.data.token) +
+    '\n\n在 Google 日曆選擇「透過網址新增」貼上此連結即可自動同步。請勿分享此連結；外流時請輸入「行事曆 重設」。' +
+    '\n\n📥 匯入：直接傳送 .ics 檔案給我，即可將其中的活動新增為面談。';
+  if (!PUBLIC_BASE_URL) {
+    message += '\n\n⚠️ 尚未設定 PUBLIC_BASE_URL，請在連結前加上本服務的網址。';
+  }
+
+  await client.replyMessage(replyToken, { type: 'text', text: message });
+}
+
+// Summary reply for an .ics import
+function formatImportResult(result) {
+  const { created, skipped } = result;
+  let message = `📥 匯入完成：新增 ${created.length} 筆，略過 ${skipped.length} 筆`;
+
+  if (created.length > 0) {
+    message += '\n\n✅ 已新增：\n' + created.map(interview =>
+      `• ${interview.interviewee_name} ${DateTimeParser.formatDisplay(interview.interview_date, interview.interview_time)}（ID: ${interview.id}）`).join('\n');
+  }
+  if (skipped.length > 0) {
+    message += '\n\n⏭️ 略過：\n' + skipped.map(item => `• ${item.summary}：${item.reason}`).join('\n');
+    if (skipped.some(item => item.reason.startsWith('面談者時段衝突'))) {
+      message += '\n\n時段衝突的面談若仍要新增，請使用「強制新增」。';
+    }
+  }
+  return message.length > 4900 ? message.substring(0, 4900) + '…' : message;
+}
+
+// .ics files sent to the bot are imported as interviews
+async function handleFileMessage(event) {
+  const { fileName, fileSize, id: messageId } = event.message;
+  const extension = ((fileName || '').match(/\.(ics|csv)$/i) || [])[1];
+  if (!extension) return null;
+  const isCsv = extension.toLowerCase() === 'csv';
+
+  const userId = event.source.userId;
+  if (!(await requirePermission(userId, 'create', event.replyToken))) return null;
+
+  if (fileSize > 1024 * 1024) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: `檔案過大！請傳送 1MB 以下的 .${isCsv ? 'csv' : 'ics'} 檔案。` });
+  }
+
+  try {
+    const stream = await client.getMessageContent(messageId);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const content = Buffer.concat(chunks);
+
+    const result = isCsv
+      ? await InterviewCsv.importCsv(InterviewCsv.decode(content), userId, AuditLog.actorFromSource(event.source))
+      : await CalendarManager.importCalendar(content.toString('utf8'), userId, AuditLog.actorFromSource(event.source));
+    if (!result.success) throw new Error(result.error);
+
+    return client.replyMessage(event.replyToken, { type: 'text', text: isCsv ? formatCsvImportResult(result.data) : formatImportResult(result.data) });
+  } catch (error) {
+    console.error(`Error importing ${isCsv ? 'CSV' : 'calendar'} file:`, error);
+    return client.replyMessage(event.replyToken, { type: 'text', text: isCsv ? '匯入 CSV 檔案時發生錯誤。' : '匯入行事曆檔案時發生錯誤。' });
+  }
+}
+
+// Reply for a CSV import: what was created, or every row to fix (nothing is created then)
+function formatCsvImportResult(result) {
+  const { created, errors } = result;
+  let message;
+  if (errors.length > 0) {
+    const fileError = errors.find(item => item.line === null);
+    if (fileError) return '❌ ' + fileError.error + '\n\n' + CSV_IMPORT_USAGE;
+
+    message = `❌ 有 ${errors.length} 列需要修正，尚未新增任何面談：\n\n` +
+      errors.slice(0, 30).map(item => `• 第 ${item.line} 列：${item.error}`).join('\n');
+    if (errors.length > 30) message += `\n…還有 ${errors.length - 30} 列`;
+    message += '\n\n修正後請重新傳送整個檔案。';
+    if (errors.some(item => item.error.includes('時段衝突'))) {
+      message += '\n確定要在衝突時段新增的列，可在「強制」欄填入「是」。';
+    }
+  } else {
+    message = `📥 CSV 匯入完成：新增 ${created.length} 筆\n\n` + created.map(interview =>
+      `• ${interview.interviewee_name}（${interview.interviewer_name}）${DateTimeParser.formatDisplay(interview.interview_date, interview.interview_time)}（ID: ${interview.id}）`).join('\n');
+  }
+  return message.length > 4900 ? message.substring(0, 4900) + '…' : message;
+}
+
+const CSV_IMPORT_USAGE = 'CSV 格式：第一列為欄位名稱「面談對象,面談者,日期,時間,理由」，可另加「提醒」與「強制」欄，之後每列一場面談。\n例如：\n面談對象,面談者,日期,時間,理由\n約翰,陳佑庭,2024-01-15,14:30,聖殿推薦書面談';
+
+// 匯出 {查看條件}: link to a CSV of that list (e.g. 匯出 本週, 匯出 面談者 陳佑庭, 匯出 搜尋 聖殿)
+async function handleExportCommand(text, context, replyToken) {
+  const arg = text.replace(/^匯出\s*/, '');
+  const query = MessageParser.parseListQuery(/^搜尋\s/.test(arg) ? arg : '查看 ' + arg);
+  if (!query) {
+    await client.replyMessage(replyToken, { type: 'text', text: '匯出指令：匯出 {查看條件}\n例如：匯出 全部、匯出 本週、匯出 2024-03-01~2024-03-31、匯出 面談者 陳佑庭、匯出 搜尋 聖殿' });
+    return;
+  }
+
+  let message = `📤 ${query.title.replace(/^\S+\s/, '')} CSV 下載連結（1 小時內有效）：\n` + InterviewCsv.exportUrl(query, context);
+  if (!PUBLIC_BASE_URL) {
+    message += '\n\n⚠️ 尚未設定 PUBLIC_BASE_URL，請在連結前加上本服務的網址。';
+  }
+  await client.replyMessage(replyToken, { type: 'text', text: message });
+}
+
+async function handleReminderStatusCommand(context, replyToken) {
+  const result = await InterviewManager.getInterviews(context);
+  
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取清單時發生錯誤。'
+    });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '目前沒有安排的面談。'
+    });
+    return;
+  }
+
+  const deliveriesResult = await InterviewManager.getReminderDeliveries(result.data.map(i => i.id));
+  const deliveries = deliveriesResult.success ? deliveriesResult.data : {};
+  const statusLabels = { sending: '⏳ 發送中', sent: '✅ 已發送', late: '✅ 已補發', skipped: '⏭️ 已略過', dropped: '⏭️ 已逾時略過' };
+
+  const bubbles = result.data.map(interview => {
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
+    const interviewDateTime = moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+    const now = moment.tz('Asia/Taipei');
+    const hoursUntil = interviewDateTime.diff(now, 'hours', true);
+
+    const reminderRows = ReminderOffsets.forInterview(interview).map(offsetMinutes => {
+      const status = (deliveries[interview.id] || {})[offsetMinutes];
+      return FlexMessageBuilder.fieldRow(ReminderOffsets.format(offsetMinutes) + '提醒', statusLabels[status] || '❌ 未發送');
+    });
+    reminderRows.push(FlexMessageBuilder.fieldRow('距離現在', hoursUntil > 0 ? hoursUntil.toFixed(1) + '小時' : '已過期'));
+
+    return FlexMessageBuilder.interviewBubble(interview, [{ type: 'separator' }, ...reminderRows]);
+  });
+
+  await client.replyMessage(replyToken, FlexMessageBuilder.carouselMessages(bubbles, '📋 面談提醒狀態'));
+}
+
+async function handleAddReminderCommand(text, userId, replyToken) {
+  const parsed = MessageParser.parseReminderCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：提醒 {日期} {時間} {訊息}\n例如：提醒 2024-01-15 19:00 主教團會議'
+    });
+    return;
+  }
+
+  if (!InputValidator.validateDate(parsed.date)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '日期格式錯誤！請使用 YYYY-MM-DD，或如「明天」、「下週日」、「3/15」。'
+    });
+    return;
+  }
+
+  if (!InputValidator.validateTime(parsed.time)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '時間格式錯誤！請使用 HH:mm，或如「下午3點」、「早上九點半」。'
+    });
+    return;
+  }
+
+  const message = InputValidator.sanitizeString(parsed.message);
+  if (message.length === 0 || message.length > 500) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '提醒訊息無效！請輸入 1 到 500 字的訊息。'
+    });
+    return;
+  }
+
+  const reminderTime = moment.tz(`${parsed.date} ${parsed.time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+  if (!reminderTime.isAfter(moment.tz('Asia/Taipei'))) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '提醒時間必須在未來！'
+    });
+    return;
+  }
+
+  const result = await CustomReminderManager.addReminder(userId, reminderTime, message);
+
+  if (result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 提醒已成功新增！\n\n時間: ' + DateTimeParser.formatDisplay(parsed.date, parsed.time) + '\n訊息: ' + message + '\n\nID: ' + result.data.id
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '新增提醒時發生錯誤。'
+    });
+  }
+}
+
+async function handleReminderListCommand(userId, replyToken) {
+  const result = await CustomReminderManager.getPendingReminders(userId);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取提醒清單時發生錯誤。'
+    });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '目前沒有待發送的提醒。'
+    });
+    return;
+  }
+
+  let message = '⏰ 待發送提醒：\n\n';
+  result.data.forEach((reminder, index) => {
+    const reminderTime = moment(reminder.reminder_time).tz('Asia/Taipei').format('YYYY-MM-DD HH:mm');
+    message += `${index + 1}. ID: ${reminder.id}\n`;
+    message += `   時間: ${reminderTime}\n`;
+    message += `   訊息: ${reminder.message}\n\n`;
+  });
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message
+  });
+}
+
+async function handleCancelReminderCommand(text, userId, replyToken) {
+  const parsed = MessageParser.parseCancelReminderCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：取消提醒 {ID}\n例如：取消提醒 1'
+    });
+    return;
+  }
+
+  const result = await CustomReminderManager.cancelReminder(userId, parsed.id);
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 提醒 ID ' + parsed.id + ' 已取消！'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '取消提醒時發生錯誤。請確認 ID 是否正確，且提醒尚未發送。'
+    });
+  }
+}
+
+// Labels for the audit history (interview columns and actions)
+const AUDIT_FIELD_LABELS = {
+  ...Object.fromEntries(Object.entries(fieldMap).map(([label, column]) => [column, label])),
+  status: '狀態'
+};
+const AUDIT_ACTION_LABELS = { create: '新增', update: '更新', delete: '刪除', undo: '復原' };
+
+function formatAuditValue(value, column) {
+  if (value === null || value === undefined || value === '') return '無';
+  if (column === 'status') return STATUS_LABELS[value] || value;
+  if (Array.isArray(value)) return value.map(offset => ReminderOffsets.format(offset)).join('、');
+  return String(value);
+}
+
+// Human-readable list of columns that differ between two snapshots
+function describeAuditChanges(before, after) {
+  return Object.keys(AUDIT_FIELD_LABELS)
+    .filter(column => JSON.stringify((before || {})[column]) !== JSON.stringify((after || {})[column]))
+    .map(column => `   ${AUDIT_FIELD_LABELS[column]}: ${formatAuditValue((before || {})[column], column)} → ${formatAuditValue((after || {})[column], column)}`);
+}
+
+async function handleHistoryCommand(text, context, replyToken) {
+  const match = text.match(/歷史\s+(\d+)/);
+  if (!match) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：歷史 {ID}\n例如：歷史 1'
+    });
+    return;
+  }
+
+  const interviewId = parseInt(match[1]);
+  const [result, interview] = await Promise.all([AuditLog.getHistory(interviewId), InterviewManager.getInterviewById(null, interviewId)]);
+  if (!result.success || !interview.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取歷史紀錄時發生錯誤。' });
+    return;
+  }
+  // Only the history of interviews in this chat's list; a deleted one is judged by its last snapshot
+  const inChat = interview.data
+    ? InterviewManager.inContext(interview.data, context)
+    : result.data.some(entry => InterviewManager.inContext(entry.before_data || entry.after_data, context));
+  if (result.data.length === 0 || !inChat) {
+    await client.replyMessage(replyToken, { type: 'text', text: '面談 ID ' + interviewId + ' 沒有變更紀錄。' });
+    return;
+  }
+
+  let message = '🕘 面談 ID ' + interviewId + ' 變更紀錄：\n\n';
+  result.data.forEach((entry, index) => {
+    const when = moment(entry.created_at).tz('Asia/Taipei').format('YYYY-MM-DD HH:mm');
+    const source = { group: '（群組）', room: '（聊天室）', api: '（API）', 'calendar-import': '（行事曆匯入）' }[entry.source_type] || '';
+    message += `${index + 1}. ${when} ${AUDIT_ACTION_LABELS[entry.action] || entry.action}${entry.undone_at ? '（已復原）' : ''}\n`;
+    message += `   操作者: ${entry.actor_user_id || '系統'}${source}\n`;
+    if (entry.action === 'update' || entry.action === 'undo') {
+      message += describeAuditChanges(entry.before_data, entry.after_data).join('\n') + '\n';
+    }
+    message += '\n';
+  });
+
+  await client.replyMessage(replyToken, { type: 'text', text: message.trim() });
+}
+
+async function handleUndoCommand(actor, replyToken) {
+  const result = await InterviewManager.undoLastChange(actor);
+
+  if (result.success && !result.data) {
+    await client.replyMessage(replyToken, { type: 'text', text: '沒有可以復原的變更。' });
+    return;
+  }
+
+  if (!result.success) {
+    const reason = result.superseded
+      ? '面談 ID ' + result.data.interview_id + ' 之後已被其他人修改，無法復原。'
+      : result.data ? '面談 ID ' + result.data.interview_id + ' 已不存在，無法復原。' : '復原時發生錯誤。請稍後再試。';
+    await client.replyMessage(replyToken, { type: 'text', text: reason });
+    return;
+  }
+
+  const entry = result.data;
+  const descriptions = {
+    create: '已取消新增面談 ID ' + entry.interview_id + '。',
+    update: '已還原面談 ID ' + entry.interview_id + ' 的變更：\n' + describeAuditChanges(entry.after_data, entry.before_data).join('\n'),
+    delete: '已恢復刪除的面談 ID ' + entry.interview_id + '（' + entry.before_data.interviewee_name + '）。'
+  };
+  await client.replyMessage(replyToken, { type: 'text', text: '↩️ ' + descriptions[entry.action] });
+}
+
+// LINE display name of the sender, looked up in the chat the message came from
+async function getSenderDisplayName(source) {
+  try {
+    let profile;
+    if (source.type === 'group') profile = await client.getGroupMemberProfile(source.groupId, source.userId);
+    else if (source.type === 'room') profile = await client.getRoomMemberProfile(source.roomId, source.userId);
+    else profile = await client.getProfile(source.userId);
+    return profile.displayName || null;
+  } catch (error) {
+    console.error('Error getting LINE profile:', error.message);
+    return null;
+  }
+}
+
+// 我是 {姓名}: link the sender's LINE account to the name used as 面談者
+async function handleRegisterMemberCommand(text, source, replyToken) {
+  const match = text.match(/^我是\s+(.+)$/);
+  if (!match || !InputValidator.validateName(match[1])) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：我是 {姓名}\n例如：我是 陳佑庭（請使用在面談中作為「面談者」的姓名）'
+    });
+    return;
+  }
+
+  const name = InputValidator.sanitizeString(match[1]);
+  const displayName = await getSenderDisplayName(source);
+  // Members who can edit interviews were given their role by the president; anyone else's
+  // claim to a name waits for the president's approval
+  const approved = await PermissionManager.can(source.userId, 'edit');
+  const result = await MemberDirectory.register(source.userId, name, displayName, approved);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: result.error === 'name_taken'
+        ? '⚠️「' + name + '」已由其他成員登記。若有誤，請聯絡會長處理。'
+        : '登記姓名時發生錯誤。'
+    });
+    return;
+  }
+
+  const pending = !result.data.approved_at;
+  if (pending) await notifyPresidentOfPendingMember(result.data);
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '✅ 已登記：' + name + (displayName ? '（LINE 名稱：' + displayName + '）' : '') +
+      (pending ? '\n\n⏳ 會長核准後才會開始私訊通知您。' : '') +
+      '\n\n當您被安排為面談者、面談有變更或即將開始時，我會私訊通知您。\n其他稱呼可用「別名 {別名}」加入。' +
+      (source.type !== 'user' ? '\n\n⚠️ 請先加我為好友，才能收到私訊。' : '')
+  });
+}
+
+// Ask the president to approve a pending registration; failures are logged, never thrown
+async function notifyPresidentOfPendingMember(member) {
+  if (!PRESIDENT_LINE_USER_ID) return;
+  try {
+    await client.pushMessage(PRESIDENT_LINE_USER_ID, {
+      type: 'text',
+      text: '🙋 成員登記待核准：' + member.name + (member.display_name ? '（LINE：' + member.display_name + '）' : '') +
+        ((member.aliases || []).length > 0 ? '\n別名：' + member.aliases.join('、') : '') +
+        '\n\n核准：成員 核准 ' + member.name + '\n拒絕：成員 移除 ' + member.name
+    });
+  } catch (error) {
+    console.error('❌ Failed to notify president of pending member:', error.message);
+  }
+}
+
+// 別名 {別名} / 別名 移除 {別名}
+async function handleAliasCommand(text, userId, replyToken) {
+  const match = text.match(/^別名\s+(?:(移除)\s+)?(.+)$/);
+  if (!match || !InputValidator.validateName(match[2])) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：別名 {別名} 或 別名 移除 {別名}\n例如：別名 陳弟兄'
+    });
+    return;
+  }
+
+  const alias = InputValidator.sanitizeString(match[2]);
+  const approved = await PermissionManager.can(userId, 'edit');
+  const result = await MemberDirectory.updateAlias(userId, alias, Boolean(match[1]), approved);
+
+  if (!result.success) {
+    const messages = {
+      not_registered: '請先使用「我是 {姓名}」登記。',
+      name_taken: '⚠️「' + alias + '」已由其他成員使用。'
+    };
+    await client.replyMessage(replyToken, { type: 'text', text: messages[result.error] || '更新別名時發生錯誤。' });
+    return;
+  }
+
+  const aliases = result.data.aliases || [];
+  const pending = !match[1] && !result.data.approved_at;
+  if (pending) await notifyPresidentOfPendingMember(result.data);
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '✅ 別名已更新！\n姓名：' + result.data.name + '\n別名：' + (aliases.length > 0 ? aliases.join('、') : '無') +
+      (pending ? '\n\n⏳ 新別名需會長核准，核准前暫停私訊通知。' : '')
+  });
+}
+
+async function handleMemberListCommand(replyToken) {
+  const result = await MemberDirectory.listMembers();
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取成員清單時發生錯誤。' });
+    return;
+  }
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, { type: 'text', text: '目前沒有已登記的成員。請使用「我是 {姓名}」登記。' });
+    return;
+  }
+
+  let message = '👥 已登記成員：\n\n';
+  result.data.forEach((member, index) => {
+    message += `${index + 1}. ${member.name}`;
+    if (member.display_name && member.display_name !== member.name) message += `（LINE：${member.display_name}）`;
+    if (!member.approved_at) message += '⏳待核准';
+    if ((member.aliases || []).length > 0) message += `\n   別名：${member.aliases.join('、')}`;
+    message += '\n';
+  });
+
+  await client.replyMessage(replyToken, { type: 'text', text: message.trim() });
+}
+
+// 成員 核准 {姓名|ID} / 成員 移除 {姓名|ID} (president): confirm or unlink a registration
+async function handleMemberAdminCommand(text, userId, replyToken) {
+  const match = text.match(/^成員\s+(核准|移除)\s+(\S+)$/);
+  if (!match) {
+    await client.replyMessage(replyToken, { type: 'text', text: '格式錯誤！請使用：成員 核准 {姓名} 或 成員 移除 {姓名}' });
+    return;
+  }
+
+  const member = await MemberDirectory.findMember(match[2]);
+  if (!member.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取成員資料時發生錯誤。' });
+    return;
+  }
+  if (!member.data) {
+    await client.replyMessage(replyToken, { type: 'text', text: '找不到成員「' + match[2] + '」。請用「成員」查看已登記的姓名。' });
+    return;
+  }
+
+  const label = member.data.name + (member.data.display_name ? '（LINE：' + member.data.display_name + '）' : '');
+  if (match[1] === '核准') {
+    const result = await MemberDirectory.approve(member.data.line_user_id, userId);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: result.success ? '✅ 已核准：' + label + '\n之後會私訊通知其面談。' : '核准成員時發生錯誤。'
+    });
+    return;
+  }
+
+  const result = await MemberDirectory.remove(member.data.line_user_id);
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: result.success ? '✅ 已移除登記：' + label + '\n此姓名可重新登記。' : '移除成員時發生錯誤。'
+  });
+}
+
+// 發送失敗 (dead letters) / 發送失敗 重試 {ID} / 發送失敗 重試 全部
+async function handleDeadLetterCommand(text, replyToken) {
+  const retry = text.match(/^發送失敗\s+重試\s+(全部|\d+)$/);
+  if (retry) {
+    const result = await OutboundQueue.requeue(retry[1] === '全部' ? null : parseInt(retry[1]));
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: result.success
+        ? (result.data > 0 ? `✅ 已將 ${result.data} 則訊息重新排入佇列，下次提醒排程時會再發送（已過期的訊息不會重送）。` : '找不到可重送的失敗訊息（已過期的訊息，例如面談已開始的提醒，不會重送）。')
+        : '重新排入佇列時發生錯誤。'
+    });
+    return;
+  }
+
+  const result = await OutboundQueue.getDeadLetters();
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取發送失敗清單時發生錯誤。' });
+    return;
+  }
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, { type: 'text', text: '✅ 目前沒有發送失敗的訊息。' });
+    return;
+  }
+
+  let message = '📮 發送失敗的訊息（最近 ' + result.data.length + ' 則）：\n\n';
+  result.data.forEach(row => {
+    const when = moment(row.updated_at).tz('Asia/Taipei').format('YYYY-MM-DD HH:mm');
+    message += `ID: ${row.id}｜${when}\n`;
+    message += `   內容: ${row.description}\n`;
+    message += `   收件者: ${row.recipient_type} ${row.recipient_id}\n`;
+    message += `   嘗試 ${row.attempts} 次，錯誤: ${row.last_status_code ? row.last_status_code + ' ' : ''}${row.last_error || '未知'}\n`;
+    if (row.expires_at && !moment(row.expires_at).isAfter(moment())) message += '   ⌛ 已過期，無法重送\n';
+    message += '\n';
+  });
+  message += '重新發送：發送失敗 重試 {ID} 或 發送失敗 重試 全部';
+
+  await client.replyMessage(replyToken, { type: 'text', text: message.length > 4900 ? message.substring(0, 4900) + '…' : message });
+}
+
+// 收件者狀態 (recipients with failed deliveries) / 收件者狀態 恢復 {ID}
+async function handleRecipientReportCommand(text, replyToken) {
+  const restore = text.match(/^收件者狀態\s+恢復\s+(\S+)$/);
+  if (restore) {
+    const result = await RecipientHealth.reactivate(restore[1]);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: result.success
+        ? `✅ 已恢復 ${restore[1]}，之後的提醒會再發送給此收件者。`
+        : result.error === 'not_found' ? '找不到該收件者的失敗紀錄。' : '恢復收件者時發生錯誤。'
+    });
+    return;
+  }
+
+  const result = await RecipientHealth.getReport();
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取收件者狀態時發生錯誤。' });
+    return;
+  }
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, { type: 'text', text: '✅ 所有收件者都能正常接收提醒。' });
+    return;
+  }
+
+  const typeLabels = { user: '使用者', group: '群組', room: '聊天室' };
+  let message = '📡 收件者狀態（連續 ' + RECIPIENT_FAILURE_THRESHOLD + ' 次無法送達即停用）：\n\n';
+  result.data.forEach(row => {
+    const when = moment(row.last_failed_at).tz('Asia/Taipei').format('YYYY-MM-DD HH:mm');
+    message += `${row.deactivated_at ? '🚫 已停用' : '⚠️ 發送失敗'}｜${typeLabels[row.recipient_type] || row.recipient_type} ${row.recipient_id}\n`;
+    if (row.configured) message += '   此 ID 來自環境變數設定（PRESIDENT_LINE_USER_ID／GROUP_ID／GROUP_IDS），請確認後移除或修正\n';
+    message += `   連續失敗 ${row.failure_count} 次，最後於 ${when}：${row.last_status_code ? row.last_status_code + ' ' : ''}${row.last_error || '未知'}\n\n`;
+  });
+  message += '恢復發送：收件者狀態 恢復 {ID}';
+
+  await client.replyMessage(replyToken, { type: 'text', text: message.length > 4900 ? message.substring(0, 4900) + '…' : message });
+}
+
+async function handleMyRoleCommand(userId, replyToken) {
+  const role = await PermissionManager.getRole(userId);
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '👤 您的角色：' + (ROLE_LABELS[role] || role) + '\n\n您的 ID：\n' + userId
+  });
+}
+
+// Admin commands (president only): 角色 設定 {ID} {角色} / 角色 移除 {ID} / 角色 清單
+async function handleRoleCommand(text, userId, replyToken) {
+  const roleNames = Object.values(ROLE_LABELS).join('、');
+  const parts = text.trim().split(/\s+/);
+  const subcommand = parts[1];
+
+  if (subcommand === '清單') {
+    const result = await PermissionManager.listRoles();
+    if (!result.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '獲取角色清單時發生錯誤。' });
+      return;
+    }
+
+    let message = '👥 角色清單：\n\n';
+    if (PRESIDENT_LINE_USER_ID) message += '會長（設定檔）: ' + PRESIDENT_LINE_USER_ID + '\n';
+    result.data.forEach(row => {
+      message += (ROLE_LABELS[row.role] || row.role) + ': ' + row.user_id + '\n';
+    });
+    message += '\n未設定者預設為：' + (ROLE_LABELS[DEFAULT_MEMBER_ROLE] || DEFAULT_MEMBER_ROLE);
+    await client.replyMessage(replyToken, { type: 'text', text: message });
+    return;
+  }
+
+  if (subcommand === '設定' && parts.length === 4) {
+    const targetId = parts[2];
+    const role = PermissionManager.parseRole(parts[3]);
+    if (!ReminderManager.isValidLineUserId(targetId) || !role) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '格式錯誤！ID 需為 LINE 使用者 ID（U 開頭），角色可用：' + roleNames
+      });
+      return;
+    }
+
+    const result = await PermissionManager.setRole(targetId, role, userId);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: result.success ? '✅ 已將 ' + targetId + ' 設為' + ROLE_LABELS[role] + '！' : '設定角色時發生錯誤。'
+    });
+    return;
+  }
+
+  if (subcommand === '移除' && parts.length === 3) {
+    const result = await PermissionManager.removeRole(parts[2]);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: result.success && result.data
+        ? '✅ 已移除 ' + parts[2] + ' 的角色，恢復為' + (ROLE_LABELS[DEFAULT_MEMBER_ROLE] || DEFAULT_MEMBER_ROLE) + '。'
+        : '移除角色時發生錯誤。請確認 ID 是否正確。'
+    });
+    return;
+  }
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '格式錯誤！請使用：\n角色 清單\n角色 設定 {ID} {角色}\n角色 移除 {ID}\n\n可用角色：' + roleNames
+  });
+}
+
+// Postback handling (buttons on interview cards)
+async function handlePostback(event) {
+  const params = new URLSearchParams(event.postback.data);
+  const action = params.get('action');
+  const interviewId = parseInt(params.get('id'), 10);
+  const userId = event.source.userId;
+  const actor = AuditLog.actorFromSource(event.source);
+  // Cards only act on interviews in the list of the chat they were pressed in
+  const context = InterviewManager.contextFromActor(userId, actor);
+
+  // Card buttons need the same role as the equivalent typed command
+  const permissions = { edit: 'edit', reschedule: 'edit', complete: 'edit', 'no-show': 'edit', cancel: 'edit', delete: 'delete', 'confirm-delete': 'delete', 'wizard-datetime': 'create' };
+  const statusActions = { complete: 'completed', 'no-show': 'no_show', cancel: 'cancelled' };
+
+  try {
+    if (permissions[action] && !(await requirePermission(userId, permissions[action], event.replyToken))) return;
+
+    if (action === 'edit') {
+      await handleEditPostback(context, interviewId, event.replyToken);
+    } else if (action === 'reschedule') {
+      // The datetime picker returns params.datetime; the "仍要改期" confirmation carries it in the data
+      const datetime = (event.postback.params && event.postback.params.datetime) || params.get('datetime');
+      await handleReschedulePostback(actor, interviewId, datetime, params.get('force') === '1', event.replyToken);
+    } else if (statusActions[action]) {
+      await setInterviewStatus(actor, interviewId, statusActions[action], event.replyToken);
+    } else if (action === 'delete') {
+      await handleDeletePostback(context, interviewId, event.replyToken);
+    } else if (action === 'confirm-delete') {
+      await handleConfirmDeletePostback(actor, interviewId, event.replyToken);
+    } else if (action === 'wizard-datetime') {
+      await handleWizardDatetimePostback(event);
+    }
+    // Note: 'edit-field' and 'noop' only fill in text or dismiss a confirmation - nothing to reply
+  } catch (error) {
+    console.error('Error handling postback:', error);
+    await client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '抱歉，處理您的操作時發生錯誤。請稍後再試。'
+    });
+  }
+}
+
+async function handleEditPostback(context, interviewId, replyToken) {
+  const existing = await InterviewManager.getInterviewById(context, interviewId);
+  if (!existing.success || !existing.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到此面談。請確認面談是否已被刪除。'
+    });
+    return;
+  }
+
+  // Each quick reply pre-fills "更新 {ID} {欄位} " in the input box so only the new value needs typing
+  const items = Object.keys(fieldMap).map(field => ({
+    type: 'action',
+    action: {
+      type: 'postback',
+      label: field,
+      data: `action=edit-field&id=${interviewId}&field=${encodeURIComponent(field)}`,
+      inputOption: 'openKeyboard',
+      fillInText: `更新 ${interviewId} ${field} `
+    }
+  }));
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '✏️ 請選擇要修改的欄位（ID: ' + interviewId + '），再輸入新值。',
+    quickReply: { items }
+  });
+}
+
+async function handleReschedulePostback(actor, interviewId, datetime, force, replyToken) {
+  const newDateTime = moment.tz(datetime, 'YYYY-MM-DDTHH:mm', true, 'Asia/Taipei');
+  if (!datetime || !newDateTime.isValid()) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '日期時間無效，請重新選擇。'
+    });
+    return;
+  }
+
+  const context = InterviewManager.contextFromActor(actor.userId, actor);
+  const existing = await InterviewManager.getInterviewById(context, interviewId);
+  if (!existing.success || !existing.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到此面談。請確認面談是否已被刪除。'
+    });
+    return;
+  }
+
+  const updates = {
+    interview_date: newDateTime.format('YYYY-MM-DD'),
+    interview_time: newDateTime.format('HH:mm:ss')
+  };
+
+  if (!force && existing.data.interviewer_name) {
+    const conflictResult = await InterviewManager.findConflicts(existing.data.interviewer_name, updates.interview_date, updates.interview_time, interviewId, existing.data.duration_minutes);
+    if (conflictResult.success && conflictResult.data.length > 0) {
+      await client.replyMessage(replyToken, [
+        {
+          type: 'text',
+          text: formatConflictMessage(existing.data.interviewer_name, conflictResult.data)
+        },
+        {
+          type: 'template',
+          altText: '仍要改期嗎？',
+          template: {
+            type: 'confirm',
+            text: '仍要將面談 ID ' + interviewId + ' 改到 ' + newDateTime.format('YYYY-MM-DD HH:mm') + ' 嗎？',
+            actions: [
+              { type: 'postback', label: '仍要改期', data: `action=reschedule&id=${interviewId}&force=1&datetime=${datetime}`, displayText: '仍要改期' },
+              { type: 'postback', label: '取消', data: 'action=noop', displayText: '取消' }
+            ]
+          }
+        }
+      ]);
+      return;
+    }
+  }
+
+  const result = await InterviewManager.updateInterview(context, interviewId, updates, actor);
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談已成功改期！\n\nID: ' + interviewId + '\n日期: ' + updates.interview_date + '\n時間: ' + newDateTime.format('HH:mm')
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '改期時發生錯誤。請稍後再試。'
+    });
+  }
+}
+
+async function handleDeletePostback(context, interviewId, replyToken) {
+  const existing = await InterviewManager.getInterviewById(context, interviewId);
+  if (!existing.success || !existing.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到此面談。請確認面談是否已被刪除。'
+    });
+    return;
+  }
+
+  await client.replyMessage(replyToken, {
+    type: 'template',
+    altText: '確定要刪除面談嗎？',
+    template: {
+      type: 'confirm',
+      text: '確定要刪除面談 ID ' + interviewId + '（' + existing.data.interviewee_name.substring(0, 50) + '）嗎？',
+      actions: [
+        { type: 'postback', label: '刪除', data: `action=confirm-delete&id=${interviewId}`, displayText: '刪除' },
+        { type: 'postback', label: '取消', data: 'action=noop', displayText: '取消' }
+      ]
+    }
+  });
+}
+
+async function handleConfirmDeletePostback(actor, interviewId, replyToken) {
+  const result = await InterviewManager.deleteInterview(InterviewManager.contextFromActor(actor.userId, actor), interviewId, actor);
+
+  if (result.success && result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談 ID ' + interviewId + ' 已成功刪除！'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '刪除面談時發生錯誤。請確認 ID 是否正確。'
+    });
+  }
+}
+
+// Guided 新增 wizard: asks for each field in turn, one step per message
+const ADD_WIZARD_FLOW = 'add-interview';
+
+// Quick reply items that send their label as a message
+function buildQuickReply(labels, extraActions = []) {
+  return {
+    items: [
+      ...extraActions.map(action => ({ type: 'action', action })),
+      ...labels.map(label => ({ type: 'action', action: { type: 'message', label: label.substring(0, 20), text: label } }))
+    ]
+  };
+}
+
+async function startAddWizard(userId, contextId, replyToken) {
+  const saved = await SessionManager.saveSession(userId, contextId, ADD_WIZARD_FLOW, 'interviewee', {});
+  if (!saved.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無法開始新增流程。請稍後再試，或使用：新增 {面談對象} {面談者} {日期} {時間} {理由}'
+    });
+    return;
+  }
+  await promptAddWizardStep(userId, 'interviewee', {}, replyToken);
+}
+
+// Ask for the given step; notice (e.g. a validation error) is shown above the question
+async function promptAddWizardStep(userId, step, data, replyToken, notice = '') {
+  const prefix = notice ? notice + '\n\n' : '';
+  let message;
+
+  if (step === 'interviewee') {
+    message = { type: 'text', text: prefix + '📝 新增面談（隨時輸入「取消」可結束）\n\n請輸入面談對象姓名：', quickReply: buildQuickReply(['取消']) };
+  } else if (step === 'interviewer') {
+    const names = await InterviewManager.getRecentInterviewerNames(userId);
+    message = { type: 'text', text: prefix + '請輸入面談者姓名：', quickReply: buildQuickReply([...names.data.filter(name => name.length <= 20), '取消'].slice(0, 13)) };
+  } else if (step === 'datetime') {
+    const picker = {
+      type: 'datetimepicker',
+      label: '選擇日期時間',
+      data: 'action=wizard-datetime',
+      mode: 'datetime',
+      min: moment.tz('Asia/Taipei').format('YYYY-MM-DDTHH:mm')
     };
+    message = { type: 'text', text: prefix + '請選擇面談日期與時間，或直接輸入（如「2024-01-15 14:30」、「明天 下午3點」）：', quickReply: buildQuickReply(['取消'], [picker]) };
+  } else if (step === 'reason') {
+    message = { type: 'text', text: prefix + '請輸入面談理由（沒有請選「無」）：', quickReply: buildQuickReply(['無', '取消']) };
+  } else {
+    const summary = '請確認面談資料：\n\n面談對象: ' + data.intervieweeName + '\n面談者: ' + data.interviewerName + '\n時間: ' + DateTimeParser.formatDisplay(data.date, data.time) + '\n理由: ' + (data.reason || '無');
+    message = { type: 'text', text: prefix + summary, quickReply: buildQuickReply(data.conflict ? ['強制儲存', '取消'] : ['確認', '取消']) };
   }
+
+  await client.replyMessage(replyToken, message);
 }
 
-// Message handling
-async function handleMessage(event) {
-  const { text } = event.message;
+// Route free text to the user's active session, if any; other messages are ignored
+async function handleSessionMessage(event) {
   const userId = event.source.userId;
+  if (!userId) return null;
+  const contextId = SessionManager.getContextId(event.source);
 
   try {
-    // Handle different commands
-    if (text === '查看 全部' || text === '查看全部') {
-      await handleListCommand(userId, event.replyToken);
-    } else if (text.startsWith('新增')) {
-      await handleAddCommand(text, userId, event.replyToken);
-    } else if (text.startsWith('更新')) {
-      await handleUpdateCommand(text, userId, event.replyToken);
-    } else if (text.startsWith('刪除')) {
-      await handleDeleteCommand(text, userId, event.replyToken);
-    } else if (text === '提醒狀態') {
-      await handleReminderStatusCommand(userId, event.replyToken);
+    const session = await SessionManager.getSession(userId, contextId);
+    if (!session.success || !session.data) return null;
+
+    const text = event.message.text.trim();
+    if (text === '取消') {
+      await SessionManager.endSession(userId, contextId);
+      return client.replyMessage(event.replyToken, { type: 'text', text: '已取消。' });
     }
-    // Note: No else clause - unrecognized commands are handled in webhook
+
+    if (session.data.flow === ADD_WIZARD_FLOW) {
+      return handleAddWizardInput(AuditLog.actorFromSource(event.source), contextId, session.data, { text }, event.replyToken);
+    }
+    if (session.data.flow === BOOKING_FLOW) {
+      return handleBookingInput(AuditLog.actorFromSource(event.source), contextId, session.data, text, event.replyToken);
+    }
+    return null;
   } catch (error) {
-    console.error('Error handling message:', error);
+    console.error('Error handling session message:', error);
     await client.replyMessage(event.replyToken, {
       type: 'text',
       text: '抱歉，處理您的訊息時發生錯誤。請稍後再試。'
@@ -398,271 +4916,906 @@ async function handleMessage(event) {
   }
 }
 
-// Command handlers
-async function handleListCommand(userId, replyToken) {
-  const result = await InterviewManager.getInterviews(userId);
-  
-  if (!result.success) {
+async function handleWizardDatetimePostback(event) {
+  const userId = event.source.userId;
+  const contextId = SessionManager.getContextId(event.source);
+  const session = await SessionManager.getSession(userId, contextId);
+
+  if (!session.success || !session.data || session.data.flow !== ADD_WIZARD_FLOW || session.data.step !== 'datetime') {
+    await client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '此新增流程已結束，請重新輸入「新增」。'
+    });
+    return;
+  }
+
+  await handleAddWizardInput(AuditLog.actorFromSource(event.source), contextId, session.data, { datetime: event.postback.params && event.postback.params.datetime }, event.replyToken);
+}
+
+// Validate the answer for the current step, then save and ask the next question
+async function handleAddWizardInput(actor, contextId, session, input, replyToken) {
+  const userId = actor.userId;
+  const data = { ...session.data };
+  const text = input.text || '';
+  let nextStep;
+
+  if (session.step === 'interviewee' || session.step === 'interviewer') {
+    if (!InputValidator.validateName(text)) {
+      const label = session.step === 'interviewee' ? '面談對象' : '面談者';
+      await promptAddWizardStep(userId, session.step, data, replyToken, label + '姓名無效！請輸入有效的姓名。');
+      return;
+    }
+    if (session.step === 'interviewee') {
+      data.intervieweeName = InputValidator.sanitizeString(text);
+      nextStep = 'interviewer';
+    } else {
+      data.interviewerName = InputValidator.sanitizeString(text);
+      nextStep = 'datetime';
+    }
+  } else if (session.step === 'datetime') {
+    // Picker returns "YYYY-MM-DDTHH:mm"; typed answers may be natural language (明天 下午3點)
+    const dateTime = DateTimeParser.parse(input.datetime ? input.datetime.replace('T', ' ') : text);
+    const date = dateTime.rest ? null : dateTime.date;
+    const time = dateTime.time;
+    if (!date || !InputValidator.validateDate(date) || !InputValidator.validateTime(time)) {
+      await promptAddWizardStep(userId, 'datetime', data, replyToken, '日期時間格式錯誤！');
+      return;
+    }
+    data.date = date;
+    data.time = time;
+    nextStep = 'reason';
+  } else if (session.step === 'reason') {
+    data.reason = text === '無' ? '' : InputValidator.sanitizeString(text);
+    nextStep = 'confirm';
+  } else {
+    if (text !== '確認' && text !== '強制儲存') {
+      await promptAddWizardStep(userId, 'confirm', data, replyToken, '請選擇「確認」或「取消」。');
+      return;
+    }
+    await finishAddWizard(actor, contextId, data, text === '強制儲存', replyToken);
+    return;
+  }
+
+  const saved = await SessionManager.saveSession(userId, contextId, ADD_WIZARD_FLOW, nextStep, data);
+  if (!saved.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '儲存進度時發生錯誤。請稍後再試。' });
+    return;
+  }
+  await promptAddWizardStep(userId, nextStep, data, replyToken);
+}
+
+async function finishAddWizard(actor, contextId, data, force, replyToken) {
+  const userId = actor.userId;
+  if (!force) {
+    const conflictResult = await InterviewManager.findConflicts(data.interviewerName, data.date, data.time);
+    if (conflictResult.success && conflictResult.data.length > 0) {
+      const conflictData = { ...data, conflict: true };
+      await SessionManager.saveSession(userId, contextId, ADD_WIZARD_FLOW, 'confirm', conflictData);
+      await promptAddWizardStep(userId, 'confirm', conflictData, replyToken, formatConflictMessage(data.interviewerName, conflictResult.data) + '\n\n若仍要儲存，請選擇「強制儲存」。');
+      return;
+    }
+  }
+
+  const result = await InterviewManager.addInterview(userId, data.intervieweeName, data.interviewerName, data.date, data.time, data.reason, actor);
+  await SessionManager.endSession(userId, contextId);
+
+  if (result.success) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '獲取清單時發生錯誤。'
+      text: '✅ 面談已成功新增！\n\n面談對象: ' + data.intervieweeName + '\n面談者: ' + data.interviewerName + '\n時間: ' + DateTimeParser.formatDisplay(data.date, data.time) + '\n理由: ' + (data.reason || '無') + '\n\nID: ' + result.data.id
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '新增面談時發生錯誤。'
+    });
+  }
+}
+
+// Block length when 空檔 新增 does not give one
+const AVAILABILITY_DEFAULT_SLOT_MINUTES = 30;
+const AVAILABILITY_USAGE = '空檔指令：\n空檔 新增 {面談者} {每週日|日期} {開始}-{結束} [{N}分鐘]\n例如：空檔 新增 陳佑庭 每週日 12:00-14:00 15分鐘（未指定時每段 ' + AVAILABILITY_DEFAULT_SLOT_MINUTES + ' 分鐘）\n空檔 清單 [{面談者}]\n空檔 刪除 {ID}\n\n預約 {面談者}：選擇空檔建立面談\n預約連結 {面談者}：產生給面談對象的預約連結';
+const BOOKING_USAGE = '預約指令：\n預約（選擇面談者）\n預約 {面談者}（選擇日期）\n預約 {面談者} {日期}（選擇時段）\n預約 {面談者} {日期} {時間}\n例如：預約 陳佑庭 下週日 12:15';
+const BOOKING_FLOW = 'booking';
+
+// Availability of a 面談者 may be managed by anyone who can edit interviews, or by that 面談者
+// themselves (registered with 我是 under that name or alias), whatever their role
+async function requireAvailabilityPermission(userId, interviewerName, replyToken) {
+  if (await PermissionManager.can(userId, 'edit')) return true;
+  const member = await MemberDirectory.getMember(userId);
+  if (member.success && member.data && member.data.approved_at &&
+    (member.data.name === interviewerName || (member.data.aliases || []).includes(interviewerName))) return true;
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '⛔ 只有面談者本人（請先用「我是 {姓名}」登記並經會長核准）或可編輯面談的成員能管理「' + interviewerName + '」的空檔。'
+  });
+  return false;
+}
+
+// 空檔 清單 [{面談者}] / 空檔 新增 ... / 空檔 刪除 {ID}
+async function handleAvailabilityCommand(text, actor, replyToken) {
+  const userId = actor.userId;
+  let match;
+  if ((match = text.match(/^空檔(?:\s+清單)?(?:\s+(\S+))?$/)) && !['新增', '刪除'].includes(match[1])) {
+    if (!await requirePermission(userId, 'view', replyToken)) return;
+    const result = await AvailabilityManager.listWindows(match[1] || null);
+    if (!result.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '獲取空檔時發生錯誤。' });
+      return;
+    }
+    if (result.data.length === 0) {
+      await client.replyMessage(replyToken, { type: 'text', text: '目前沒有開放的空檔。\n\n' + AVAILABILITY_USAGE });
+      return;
+    }
+
+    let message = '🗓️ 面談者空檔：\n';
+    let current = null;
+    result.data.forEach(window => {
+      if (window.interviewer_name !== current) {
+        current = window.interviewer_name;
+        message += '\n👤 ' + current + '\n';
+      }
+      message += `  ${window.id}. ${AvailabilityManager.describeWindow(window)}\n`;
     });
+    message += '\n輸入「預約 {面談者}」選擇時段，「空檔 刪除 {ID}」移除空檔。';
+    await client.replyMessage(replyToken, { type: 'text', text: message.trim() });
     return;
   }
 
-  if (result.data.length === 0) {
+  if ((match = text.match(/^空檔\s+刪除\s+(\d+)$/))) {
+    const existing = await AvailabilityManager.getWindowById(parseInt(match[1], 10));
+    if (!existing.success || !existing.data) {
+      await client.replyMessage(replyToken, { type: 'text', text: '找不到此空檔。請用「空檔 清單」確認 ID。' });
+      return;
+    }
+    if (!await requireAvailabilityPermission(userId, existing.data.interviewer_name, replyToken)) return;
+
+    const result = await AvailabilityManager.removeWindow(existing.data.id);
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '目前沒有安排的面談。'
+      text: result.success
+        ? '✅ 已刪除空檔：' + existing.data.interviewer_name + ' ' + AvailabilityManager.describeWindow(existing.data) + '\n已預約的面談不受影響。'
+        : '刪除空檔時發生錯誤。'
     });
     return;
   }
 
-  let message = '📋 全部面談：\n\n';
-  result.data.forEach((interview, index) => {
-    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
-    // Format time to show only HH:mm for display
-    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
-    message += `${index + 1}. ID: ${interview.id}\n`;
-    message += `   面談對象: ${interview.interviewee_name}\n`;
-    message += `   面談者: ${interview.interviewer_name || '未指定'}\n`;
-    message += `   日期: ${date}\n`;
-    message += `   時間: ${time}\n`;
-    message += `   理由: ${interview.reason || '無'}\n\n`;
+  const window = /^空檔\s+新增/.test(text) ? MessageParser.parseAvailabilityAddCommand(text) : null;
+  if (!window) {
+    await client.replyMessage(replyToken, { type: 'text', text: AVAILABILITY_USAGE });
+    return;
+  }
+
+  const spanMinutes = moment.duration(window.endTime).asMinutes() - moment.duration(window.startTime).asMinutes();
+  let error = null;
+  if (!InputValidator.validateName(window.interviewerName)) error = '面談者姓名無效！';
+  else if (spanMinutes <= 0) error = '結束時間必須晚於開始時間！';
+  else if (window.slotMinutes < 5 || window.slotMinutes > 240) error = '每段時間須介於 5 到 240 分鐘！';
+  else if (window.slotMinutes > spanMinutes) error = '每段時間不可超過空檔長度！';
+  else if (window.slotDate && window.slotDate < moment.tz('Asia/Taipei').format('YYYY-MM-DD')) error = '不能新增過去日期的空檔！';
+  if (error) {
+    await client.replyMessage(replyToken, { type: 'text', text: error + '\n\n' + AVAILABILITY_USAGE });
+    return;
+  }
+
+  window.interviewerName = InputValidator.sanitizeString(window.interviewerName);
+  if (!await requireAvailabilityPermission(userId, window.interviewerName, replyToken)) return;
+
+  // Bookings land in this chat's list, so a window published in the clerk's group books into the group
+  const context = InterviewManager.contextFromActor(userId, actor);
+  const result = await AvailabilityManager.addWindow(window, userId, context);
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '新增空檔時發生錯誤。' });
+    return;
+  }
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '✅ 已新增空檔（ID: ' + result.data.id + '）：\n' + window.interviewerName + ' ' + AvailabilityManager.describeWindow(result.data) +
+      '\n\n面談對象可輸入「預約 ' + window.interviewerName + '」選擇時段，或使用「預約連結 ' + window.interviewerName + '」取得連結。' +
+      '\n預約的面談會加入' + (context.type === 'user' ? '您的' : '此群組的') + '面談清單，可用「查看 預約」查看。'
   });
+}
+
+// Short quick reply label for a date, e.g. "3/17（週日）"
+function formatBookingDate(date) {
+  const day = moment.tz(date, 'YYYY-MM-DD', 'Asia/Taipei');
+  return day.format('M/D') + '（週' + '日一二三四五六'[day.day()] + '）';
+}
+
+// 預約: pick a 面談者, then a date, then a free slot (each step offered as quick replies),
+// then answer the questions of the booking flow
+async function handleBookingCommand(text, source, replyToken) {
+  const parsed = MessageParser.parseBookingCommand(text);
+  if (!parsed) {
+    await client.replyMessage(replyToken, { type: 'text', text: BOOKING_USAGE });
+    return;
+  }
+
+  if (!parsed.interviewerName) {
+    const names = await AvailabilityManager.getInterviewerNames();
+    if (!names.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '獲取空檔時發生錯誤。' });
+      return;
+    }
+    if (names.data.length === 0) {
+      await client.replyMessage(replyToken, { type: 'text', text: '目前沒有面談者開放預約時段。' });
+      return;
+    }
+    const actions = names.data.slice(0, 13).map(name => ({ type: 'message', label: name.substring(0, 20), text: '預約 ' + name }));
+    await client.replyMessage(replyToken, { type: 'text', text: '📅 請選擇要預約的面談者：\n' + names.data.join('、'), quickReply: buildQuickReply([], actions) });
+    return;
+  }
+
+  const name = parsed.interviewerName;
+  if (parsed.date && !parsed.time) {
+    const slots = await AvailabilityManager.getFreeSlots(name, { date: parsed.date });
+    if (!slots.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '獲取空檔時發生錯誤。' });
+      return;
+    }
+    if (slots.data.length === 0) {
+      await client.replyMessage(replyToken, { type: 'text', text: '「' + name + '」在 ' + DateTimeParser.formatDisplay(parsed.date) + ' 沒有可預約的時段。\n輸入「預約 ' + name + '」查看其他日期。' });
+      return;
+    }
+    const actions = slots.data.slice(0, 13).map(slot => ({
+      type: 'message',
+      label: slot.time.substring(0, 5) + '（' + slot.minutes + '分）',
+      text: `預約 ${name} ${slot.date} ${slot.time.substring(0, 5)}`
+    }));
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '📅 ' + name + ' ' + DateTimeParser.formatDisplay(parsed.date) + ' 可預約時段：\n' + slots.data.map(slot => slot.time.substring(0, 5)).join('、') +
+        '\n\n請點選時段，或輸入「預約 ' + name + ' ' + parsed.date + ' {時間}」。',
+      quickReply: buildQuickReply([], actions)
+    });
+    return;
+  }
+
+  if (!parsed.date) {
+    const slots = await AvailabilityManager.getFreeSlots(name);
+    if (!slots.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '獲取空檔時發生錯誤。' });
+      return;
+    }
+    if (slots.data.length === 0) {
+      await client.replyMessage(replyToken, { type: 'text', text: '「' + name + '」近 ' + BOOKING_HORIZON_DAYS + ' 天沒有可預約的時段。' });
+      return;
+    }
+    const counts = new Map();
+    slots.data.forEach(slot => counts.set(slot.date, (counts.get(slot.date) || 0) + 1));
+    const dates = [...counts.keys()];
+    const actions = dates.slice(0, 13).map(date => ({ type: 'message', label: formatBookingDate(date), text: `預約 ${name} ${date}` }));
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '📅 ' + name + ' 近 ' + BOOKING_HORIZON_DAYS + ' 天可預約的日期：\n' + dates.map(date => `${formatBookingDate(date)} ${counts.get(date)} 個時段`).join('\n') + '\n\n請選擇日期。',
+      quickReply: buildQuickReply([], actions)
+    });
+    return;
+  }
+
+  const slot = await AvailabilityManager.findFreeSlot(name, parsed.date, parsed.time);
+  if (!slot.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取空檔時發生錯誤。' });
+    return;
+  }
+  if (!slot.data) {
+    await client.replyMessage(replyToken, { type: 'text', text: '⚠️ 此時段已被預約或不在開放時段內。\n輸入「預約 ' + name + ' ' + parsed.date + '」查看可預約的時段。' });
+    return;
+  }
+  if (!source.userId) {
+    await client.replyMessage(replyToken, { type: 'text', text: '無法取得您的 LINE 帳號，請加我為好友後再預約。' });
+    return;
+  }
+
+  // Suggest the sender's own name: an interviewee booking for themselves is the common case
+  const member = await MemberDirectory.getMember(source.userId);
+  const suggestedName = member.success && member.data ? member.data.name : await getSenderDisplayName(source);
+  const data = { interviewerName: name, date: slot.data.date, time: slot.data.time, minutes: slot.data.minutes, suggestedName };
+  const saved = await SessionManager.saveSession(source.userId, SessionManager.getContextId(source), BOOKING_FLOW, 'interviewee', data);
+  if (!saved.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '無法開始預約流程。請稍後再試。' });
+    return;
+  }
+  await promptBookingStep('interviewee', data, replyToken);
+}
+
+async function promptBookingStep(step, data, replyToken, notice = '') {
+  const prefix = notice ? notice + '\n\n' : '';
+  let message;
+
+  if (step === 'interviewee') {
+    const names = data.suggestedName && data.suggestedName.length <= 20 ? [data.suggestedName] : [];
+    message = {
+      type: 'text',
+      text: prefix + '📅 預約 ' + data.interviewerName + ' ' + DateTimeParser.formatDisplay(data.date, data.time) + '（' + data.minutes + ' 分鐘）\n（隨時輸入「取消」可結束）\n\n請輸入面談對象姓名：',
+      quickReply: buildQuickReply([...names, '取消'])
+    };
+  } else {
+    message = { type: 'text', text: prefix + '請輸入面談理由（沒有請選「無」）：', quickReply: buildQuickReply(['無', '取消']) };
+  }
+
+  await client.replyMessage(replyToken, message);
+}
+
+async function handleBookingInput(actor, contextId, session, text, replyToken) {
+  const userId = actor.userId;
+  const data = { ...session.data };
+
+  if (session.step === 'interviewee') {
+    if (!InputValidator.validateName(text)) {
+      await promptBookingStep('interviewee', data, replyToken, '面談對象姓名無效！請輸入有效的姓名。');
+      return;
+    }
+    data.intervieweeName = InputValidator.sanitizeString(text);
+    const saved = await SessionManager.saveSession(userId, contextId, BOOKING_FLOW, 'reason', data);
+    if (!saved.success) {
+      await client.replyMessage(replyToken, { type: 'text', text: '儲存進度時發生錯誤。請稍後再試。' });
+      return;
+    }
+    await promptBookingStep('reason', data, replyToken);
+    return;
+  }
+
+  data.reason = text === '無' ? '' : InputValidator.sanitizeString(text);
+  await SessionManager.endSession(userId, contextId);
+
+  // Someone else may have taken the slot while this flow was open (or the window was removed);
+  // bookInterview checks again atomically, for bookings confirmed at the same moment
+  const slotTaken = '⚠️ 此時段剛剛已被預約。\n輸入「預約 ' + data.interviewerName + ' ' + data.date + '」重新選擇時段。';
+  const slot = await AvailabilityManager.findFreeSlot(data.interviewerName, data.date, data.time);
+  if (!slot.success || !slot.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: slot.success ? slotTaken : '預約時發生錯誤。請稍後再試。'
+    });
+    return;
+  }
+
+  // The booking goes to the list of the chat the window was published in, where the clerk can manage it
+  const bookingActor = slot.data.context ? { ...actor, context: slot.data.context } : actor;
+  const result = await InterviewManager.bookInterview(userId, data.intervieweeName, data.interviewerName, data.date, data.time, data.reason, slot.data.minutes, bookingActor);
+  if (!result.success || !result.data) {
+    await client.replyMessage(replyToken, { type: 'text', text: result.success ? slotTaken : '預約時發生錯誤。請稍後再試。' });
+    return;
+  }
 
   await client.replyMessage(replyToken, {
     type: 'text',
-    text: message
+    text: '✅ 預約完成！\n\n面談對象: ' + data.intervieweeName + '\n面談者: ' + data.interviewerName + '\n時間: ' + DateTimeParser.formatDisplay(data.date, data.time) + '（' + slot.data.minutes + ' 分鐘）\n理由: ' + (data.reason || '無') + '\n\nID: ' + result.data.id +
+      '\n如需取消，請輸入「取消 ' + result.data.id + '」或聯絡書記。'
   });
 }
 
-async function handleAddCommand(text, userId, replyToken) {
-  const parsed = MessageParser.parseAddCommand(text);
-  
-  if (!parsed) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '格式錯誤！請使用：新增 {面談對象} {面談者} {日期} {時間} {理由}\n例如：新增 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談'
-    });
+// 取消 {ID} from someone who may not edit: only an upcoming slot they booked themselves with 預約
+// (bookings are the interviews with duration_minutes). The booking is in the list of the chat the
+// window was published in, not the booker's, so it is looked up in any chat.
+async function handleCancelBookingCommand(text, replyToken, actor) {
+  const interviewId = parseInt(text.match(/^取消\s+(\d+)$/)[1]);
+  const existing = await InterviewManager.getInterviewById(null, interviewId);
+  if (!existing.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '取消預約時發生錯誤。請稍後再試。' });
     return;
   }
 
-  // Validate and sanitize inputs
-  if (!InputValidator.validateName(parsed.intervieweeName)) {
+  const interview = existing.data;
+  if (!interview || interview.user_id !== actor.userId || !interview.duration_minutes) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '面談對象姓名無效！請輸入有效的姓名。'
+      text: '⛔ 您只能取消自己預約的面談。請確認 ID 是否正確，或聯絡書記。'
     });
     return;
   }
 
-  if (!InputValidator.validateName(parsed.interviewerName)) {
+  const start = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+  if (interview.status !== 'scheduled' || !start.isAfter(moment.tz('Asia/Taipei'))) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '面談者姓名無效！請輸入有效的姓名。'
+      text: (interview.status === 'scheduled' ? '此預約已開始' : '此預約目前狀態為「' + STATUS_LABELS[interview.status] + '」') + '，無法取消。如有需要請聯絡書記。'
     });
     return;
   }
 
-  if (!InputValidator.validateDate(parsed.date)) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '日期格式錯誤！請使用 YYYY-MM-DD 格式。'
-    });
+  await setInterviewStatus({ ...actor, context: { type: interview.context_type, id: interview.context_id } }, interviewId, 'cancelled', replyToken);
+}
+
+// 預約連結 [{面談者}]: a line.me link that opens a chat with the bot with the 預約 command filled in
+async function handleBookingLinkCommand(text, replyToken) {
+  const match = text.match(/^預約連結(?:\s+(\S+))?$/);
+  if (!match) {
+    await client.replyMessage(replyToken, { type: 'text', text: '格式錯誤！請使用：預約連結 {面談者}' });
     return;
   }
-
-  if (!InputValidator.validateTime(parsed.time)) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '時間格式錯誤！請使用 HH:mm 格式。'
-    });
+  if (!LINE_BOT_BASIC_ID) {
+    await client.replyMessage(replyToken, { type: 'text', text: '尚未設定 LINE_BOT_BASIC_ID，無法產生預約連結。請聯絡管理員。' });
     return;
   }
 
-  // Sanitize inputs
-  const sanitizedData = {
-    intervieweeName: InputValidator.sanitizeString(parsed.intervieweeName),
-    interviewerName: InputValidator.sanitizeString(parsed.interviewerName),
-    date: parsed.date,
-    time: parsed.time,
-    reason: InputValidator.sanitizeString(parsed.reason)
-  };
-
-  const result = await InterviewManager.addInterview(
-    userId,
-    sanitizedData.intervieweeName,
-    sanitizedData.interviewerName,
-    sanitizedData.date,
-    sanitizedData.time,
-    sanitizedData.reason
-  );
+  const name = match[1] || null;
+  const command = name ? '預約 ' + name : '預約';
+  const basicId = LINE_BOT_BASIC_ID.startsWith('@') ? LINE_BOT_BASIC_ID : '@' + LINE_BOT_BASIC_ID;
+  const url = `https://line.me/R/oaMessage/${basicId}/?${encodeURIComponent(command)}`;
 
-  if (result.success) {
-    // Format time to show only HH:mm for display
-    const displayTime = parsed.time.substring(0, 5);
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '✅ 面談已成功新增！\n\n面談對象: ' + sanitizedData.intervieweeName + '\n面談者: ' + sanitizedData.interviewerName + '\n日期: ' + sanitizedData.date + '\n時間: ' + displayTime + '\n理由: ' + sanitizedData.reason + '\n\nID: ' + result.data.id
-    });
-  } else {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '新增面談時發生錯誤。'
-    });
+  let notice = '';
+  if (name) {
+    const windows = await AvailabilityManager.listWindows(name);
+    if (windows.success && windows.data.length === 0) notice = '\n\n⚠️「' + name + '」目前沒有開放的空檔，請先使用「空檔 新增」。';
   }
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '🔗 ' + (name ? name + ' 的' : '') + '預約連結：\n' + url +
+      '\n\n對方點開後會開啟與本帳號的聊天並帶入「' + command + '」，送出即可選擇時段（需先加本帳號為好友）。' + notice
+  });
 }
 
-async function handleUpdateCommand(text, userId, replyToken) {
-  const parsed = MessageParser.parseUpdateCommand(text);
-  
-  if (!parsed) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '格式錯誤！請使用：更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 約翰'
-    });
-    return;
+// Help menu shared by the help command and sendHelpMessage
+const HELP_TEXT = '會長團助理使用說明：\n\n📝 新增面談：\n輸入「新增」依步驟填寫，或一次輸入：\n新增 {面談對象} {面談者} {日期} {時間} {理由}\n例如：新增 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談\n\n📋 查看面談：\n查看 全部（在群組或聊天室中顯示該群組共用的面談清單）\n依狀態查看：查看 已排定／已完成／未到／已取消\n透過預約建立的面談：查看 預約\n依日期查看：查看 今天、查看 本週、查看 下週、查看 2024-03-01~2024-03-31\n依姓名查看：查看 面談者 {姓名}、查看 對象 {姓名}\n搜尋理由：搜尋 {關鍵字}\n結果較多時輸入「下一頁」查看更多\n\n📑 CSV 匯入／匯出：\n傳送 .csv 檔案可一次新增多筆面談（欄位：面談對象,面談者,日期,時間,理由）\n匯出 {查看條件}（如「匯出 本週」）取得 CSV 下載連結\n\n📌 面談結果：\n完成 {ID}、未到 {ID}、取消 {ID}\n例如：完成 1（已取消的面談不會再發送提醒）\n\n✏️ 更新面談：\n更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 彼得\n可用欄位：面談對象、面談者、日期、時間、理由、提醒\n例如：更新 1 提醒 7d,24h,3h,30m（輸入「預設」恢復預設）\n\n🗑️ 刪除面談：\n刪除 {ID}\n例如：刪除 1\n\n📋 查看提醒狀態：\n提醒狀態\n\n⏰ 自訂提醒：\n提醒 {日期} {時間} {訊息}\n例如：提醒 2024-01-15 19:00 主教團會議\n提醒清單\n取消提醒 {ID}\n\n🔔 提醒訂閱：\n訂閱（查看設定）、訂閱 全部、訂閱 面談者 {姓名}、訂閱 本群組、訂閱 關閉\n\n📅 行事曆同步：\n行事曆（取得 .ics 訂閱連結）\n行事曆 重設（讓舊連結失效）\n傳送 .ics 檔案即可匯入面談\n\n🕘 變更紀錄：\n歷史 {ID}（查看面談的變更紀錄）\n復原（復原您的上一個變更，包括恢復已刪除的面談）\n\n🙋 成員登記：\n我是 {姓名}（登記您作為面談者的姓名，之後會私訊通知您的面談）\n別名 {別名}、別名 移除 {別名}\n成員（查看已登記成員）\n會長可使用：成員 核准 {姓名}、成員 移除 {姓名}\n\n🗓️ 空檔與預約：\n空檔 新增 {面談者} {每週日|日期} {開始}-{結束} [{N}分鐘]\n例如：空檔 新增 陳佑庭 每週日 12:00-14:00 15分鐘\n空檔 清單、空檔 刪除 {ID}\n預約（依序選擇面談者、日期與時段）\n預約連結 {面談者}（產生給面談對象的預約連結）\n\n👥 角色與權限：\n我的角色（查看自己的角色與 ID）\n會長可使用：角色 清單、角色 設定 {ID} {角色}、角色 移除 {ID}、發送失敗（查看與重送發送失敗的提醒）、收件者狀態（查看無法送達而停用的收件者）\n角色：會長、諮理、書記（可新增、編輯、刪除）、檢視者（僅可查看、預約及取消自己的預約）\n\n🔁 週期面談：\n週期 新增 {面談對象} {面談者} {規則} {開始日期} {時間} {理由}\n例如：週期 新增 約翰 陳佑庭 每月第1個週日 2024-01-07 10:00 青年面談\n週期 清單、週期 更新 {系列ID} {欄位} {新值}、週期 取消 {系列ID}\n\n⚠️ 時段衝突：\n同一位面談者時段重疊時會列出衝突的面談，若仍要儲存請改用「強制新增」或「強制更新」\n\n💡 注意事項：\n- 日期格式：YYYY-MM-DD，也可用「今天」、「明天」、「下週日」、「3/15」\n- 時間格式：HH:mm，也可用「下午3點」、「早上九點半」\n- ID 可在「查看 全部」清單中查看\n- 「查看 全部」與「提醒狀態」的面談卡片可直接點選編輯、改期、完成或刪除\n- 系統會自動發送' + ReminderOffsets.getDefault().map(offset => ReminderOffsets.format(offset)).join('、') + '前的提醒通知';
+
+async function sendHelpMessage(replyToken) {
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: HELP_TEXT
+  });
+}
+
+// Reminder notification functions
+// Sends one message to many LINE recipients: users via multicast (500 per call), groups and rooms
+// via pushMessage with bounded concurrency. Retryable errors are retried with exponential backoff.
+class MessageDelivery {
+  static get MULTICAST_LIMIT() {
+    return 500;
   }
 
-  // Map Chinese field name to database column
-  const dbField = fieldMap[parsed.field];
-  if (!dbField) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '無效的欄位！可用欄位：面談對象、面談者、日期、時間、理由'
-    });
-    return;
+  // 429 (rate limit), 5xx and network errors are worth another try; other 4xx are not
+  static isRetryable(error) {
+    return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
   }
 
-  const updates = {};
-  let valueToStore = parsed.value;
+  // Retry-After header (seconds) from LINE if present, otherwise 500ms, 1s, 2s, ...
+  static retryDelay(error, attempt) {
+    const headers = error.originalError && error.originalError.response ? error.originalError.response.headers || {} : {};
+    const retryAfter = parseInt(headers['retry-after'], 10);
+    return retryAfter > 0 ? Math.min(retryAfter, 10) * 1000 : 500 * Math.pow(2, attempt);
+  }
 
-  // Handle time formatting for database storage
-  if (dbField === 'interview_time') {
-    // Replace full-width colon with standard colon
-    valueToStore = parsed.value.replace('：', ':');
-    // Add seconds if not provided
-    if (valueToStore.match(/^\d{2}:\d{2}$/)) {
-      valueToStore += ':00';
+  // Run a push or multicast, retrying it under one X-Line-Retry-Key: if an attempt reached LINE but
+  // its response was lost, LINE answers the retry with 409 instead of delivering the messages twice.
+  // operation must make its LINE call synchronously, as the SDK applies the key to the next request.
+  static async withRetry(operation, retryKey = crypto.randomUUID()) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        client.setRequestOptionOnce({ retryKey });
+        return await operation();
+      } catch (error) {
+        // Already accepted under this key
+        if (error.statusCode === 409) return null;
+        if (attempt >= DELIVERY_MAX_RETRIES || !this.isRetryable(error)) throw error;
+        const delay = this.retryDelay(error, attempt);
+        console.warn(`⏳ LINE API ${error.statusCode || error.message}, retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
   }
 
-  updates[dbField] = valueToStore;
+  static errorDetail(error) {
+    const response = error.originalError && error.originalError.response;
+    return (response && response.data && response.data.message) || error.message;
+  }
 
-  // Validate date/time if updating those fields
-  if (dbField === 'interview_date' && !moment.tz(parsed.value, 'YYYY-MM-DD', true, 'Asia/Taipei').isValid()) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '日期格式錯誤！請使用 YYYY-MM-DD 格式。'
-    });
-    return;
+  // 'transient': may succeed later (429, 5xx, network)
+  // 'recipient': the recipient cannot be reached (blocked the bot, left or unknown group, bad ID)
+  // 'request': anything else, e.g. a bad token or malformed message - not the recipient's fault
+  static classifyError(error, detail = this.errorDetail(error)) {
+    if (this.isRetryable(error)) return 'transient';
+    if (error.statusCode === 403 || error.statusCode === 404) return 'recipient';
+    if (error.statusCode === 400 && /'to'|failed to send messages|not found/i.test(detail || '')) return 'recipient';
+    return 'request';
   }
 
-  if (dbField === 'interview_time' && 
-      !moment.tz(valueToStore, ['HH:mm', 'HH:mm:ss'], true, 'Asia/Taipei').isValid()) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '時間格式錯誤！請使用 HH:mm 格式。'
+  // Text messages holding header, blocks and footer, a new message starting whenever one would pass
+  // maxLength; blocks that do not fit in the MAX_MESSAGES of one push are counted in the footer instead
+  static packText(header, blocks, footer, maxLength = 4500) {
+    const texts = [header];
+    let packed = 0;
+    for (const block of blocks) {
+      if (texts[texts.length - 1].length + block.length > maxLength) {
+        if (texts.length === FlexMessageBuilder.MAX_MESSAGES) break;
+        texts.push('');
+      }
+      texts[texts.length - 1] += block;
+      packed++;
+    }
+    if (packed < blocks.length) texts[texts.length - 1] += `…還有 ${blocks.length - packed} 筆未列出。\n`;
+    texts[texts.length - 1] += footer;
+    return texts.map(text => ({ type: 'text', text: text.trim() }));
+  }
+
+  // Run worker over items with at most limit in flight
+  static async runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index]);
+      }
     });
-    return;
+    await Promise.all(runners);
+    return results;
+  }
+
+  // Push to one user, group or room and describe the outcome
+  static async pushTo(id, type, messages, description) {
+    try {
+      await this.withRetry(() => client.pushMessage(id, messages));
+      console.log(`📨 Sent ${description} to ${type} ${id}`);
+      return { id, type, status: 'sent' };
+    } catch (error) {
+      const detail = this.errorDetail(error);
+      console.error(`❌ Failed to send ${description} to ${type} ${id}:`, detail);
+      return { id, type, status: 'failed', category: this.classifyError(error, detail), statusCode: error.statusCode, error: detail };
+    }
   }
 
-  const result = await InterviewManager.updateInterview(userId, parsed.id, updates);
+  // Deliver messages to { userIds, groupIds } (group IDs may also be room IDs); failed deliveries are
+  // queued for retry until expiresAt (a moment, null = no limit).
+  // Returns { sentCount, outcomes: [{ id, type, status: 'sent' | 'failed' | 'invalid', statusCode, error }], errors }
+  static async send(messages, recipients, description, expiresAt = null) {
+    const outcomes = [];
+    const userIds = [...new Set(recipients.userIds || [])];
+    const groupIds = [...new Set(recipients.groupIds || [])];
 
-  if (result.success) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '✅ 面談已成功更新！\n\nID: ' + parsed.id + '\n' + parsed.field + ': ' + parsed.value
+    const validUserIds = [];
+    userIds.forEach(id => {
+      if (ReminderManager.isValidLineUserId(id)) {
+        validUserIds.push(id);
+      } else {
+        console.warn(`⚠️ Skipping user ${id} - not a valid LINE user ID format`);
+        outcomes.push({ id, type: 'user', status: 'invalid', category: 'recipient', error: 'Invalid LINE user ID format' });
+      }
     });
-  } else {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '更新面談時發生錯誤。請確認 ID 是否正確。'
+
+    // Multicast does not report per-user delivery, so every user in a successful batch counts as sent
+    for (let i = 0; i < validUserIds.length; i += this.MULTICAST_LIMIT) {
+      const batch = validUserIds.slice(i, i + this.MULTICAST_LIMIT);
+      try {
+        await this.withRetry(() => client.multicast(batch, messages));
+        batch.forEach(id => outcomes.push({ id, type: 'user', status: 'sent' }));
+        console.log(`📨 Sent ${description} to ${batch.length} users via multicast`);
+      } catch (error) {
+        const detail = this.errorDetail(error);
+        console.error(`❌ Failed to multicast ${description} to ${batch.length} users:`, detail);
+        if (batch.length > 1 && !this.isRetryable(error)) {
+          // LINE rejected the whole batch without saying which user caused it (e.g. one stale ID),
+          // so push to each user to deliver to the rest and find the bad recipient
+          console.log(`🔎 Pushing ${description} to ${batch.length} users one by one`);
+          outcomes.push(...await this.runWithConcurrency(batch, DELIVERY_CONCURRENCY, id => this.pushTo(id, 'user', messages, description)));
+        } else {
+          const category = this.classifyError(error, detail);
+          batch.forEach(id => outcomes.push({ id, type: 'user', status: 'failed', category, statusCode: error.statusCode, error: detail }));
+        }
+      }
+    }
+
+    const groupOutcomes = await this.runWithConcurrency(groupIds, DELIVERY_CONCURRENCY, async id => {
+      const type = id.startsWith('R') ? 'room' : 'group';
+      if (!ReminderManager.isValidLineGroupId(id) && !ReminderManager.isValidLineRoomId(id)) {
+        console.warn(`⚠️ Skipping ${type} ${id} - not a valid LINE ${type} ID format`);
+        return { id, type, status: 'invalid', category: 'recipient', error: `Invalid LINE ${type} ID format` };
+      }
+      return this.pushTo(id, type, messages, description);
     });
+    outcomes.push(...groupOutcomes);
+
+    await RecipientHealth.recordOutcomes(outcomes);
+
+    // Anyone LINE could not reach goes to the outbound queue for a later retry (or straight to dead
+    // letters). Invalid IDs were never sent: they are logged above and counted by RecipientHealth,
+    // which leaves them out once deactivated, so queueing them would only add a dead letter per send.
+    const failed = outcomes.filter(outcome => outcome.status !== 'sent');
+    const undelivered = failed.filter(outcome => outcome.status === 'failed');
+    if (undelivered.length > 0) await OutboundQueue.enqueueFailures(messages, undelivered, description, expiresAt);
+
+    const errors = failed
+      .map(outcome => `${outcome.type === 'user' ? 'User' : outcome.type === 'room' ? 'Room' : 'Group'} ${outcome.id}: ${outcome.error}`);
+
+    return {
+      sentCount: outcomes.filter(outcome => outcome.status === 'sent').length,
+      outcomes,
+      errors
+    };
   }
 }
 
-async function handleDeleteCommand(text, userId, replyToken) {
-  const parsed = MessageParser.parseDeleteCommand(text);
-  
-  if (!parsed) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '格式錯誤！請使用：刪除 {ID}\n例如：刪除 1'
-    });
-    return;
+// Durable retry queue for failed pushes (outbound_messages table)
+class OutboundQueue {
+  // Minutes until the next attempt after the given number of attempts: 10, 20, 40, ...
+  static backoffMinutes(attempts) {
+    return OUTBOUND_RETRY_BASE_MINUTES * Math.pow(2, Math.max(0, attempts - 1));
   }
 
-  const result = await InterviewManager.deleteInterview(userId, parsed.id);
+  // Store failed delivery outcomes; non-retryable failures are dead right away, and so are
+  // messages already past expiresAt
+  static async enqueueFailures(messages, outcomes, description, expiresAt = null) {
+    try {
+      const now = moment();
+      const expired = expiresAt && !moment(expiresAt).isAfter(now);
+      const rows = outcomes.map(outcome => {
+        const retryable = outcome.status === 'failed' && MessageDelivery.isRetryable(outcome) && OUTBOUND_MAX_ATTEMPTS > 1 && !expired;
+        return {
+          recipient_id: outcome.id,
+          recipient_type: outcome.type,
+          messages,
+          description,
+          status: retryable ? 'pending' : 'dead',
+          attempts: 1,
+          next_attempt_at: now.clone().add(this.backoffMinutes(1), 'minutes').toISOString(),
+          last_error: outcome.error || null,
+          last_status_code: outcome.statusCode || null,
+          expires_at: expiresAt ? moment(expiresAt).toISOString() : null
+        };
+      });
 
-  if (result.success) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '✅ 面談 ID ' + parsed.id + ' 已成功刪除！'
-    });
-  } else {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '刪除面談時發生錯誤。請確認 ID 是否正確。'
-    });
+      const { error } = await supabase
+        .from('outbound_messages')
+        .insert(rows);
+
+      if (error) throw error;
+      console.log(`📥 Queued ${rows.length} failed deliveries of ${description}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error queueing failed deliveries:', error);
+      return { success: false, error: error.message };
+    }
   }
-}
 
-async function handleReminderStatusCommand(userId, replyToken) {
-  const result = await InterviewManager.getInterviews(userId);
-  
-  if (!result.success) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '獲取清單時發生錯誤。'
-    });
-    return;
+  // Retry pending messages that are due; returns counts of sent and newly dead messages.
+  // Rows are claimed first (claim_outbound_messages(), see database/migration_outbound_claims.sql) so
+  // overlapping runs never push the same row; a crashed run's claim is taken over after
+  // REMINDER_CLAIM_TIMEOUT_MINUTES, and the row's retry key stops LINE from delivering it twice.
+  static async processQueue(limit = 100) {
+    try {
+      const { data, error } = await supabase.rpc('claim_outbound_messages', {
+        p_limit: limit,
+        p_stale_after_minutes: REMINDER_CLAIM_TIMEOUT_MINUTES
+      });
+
+      if (error) throw error;
+
+      let sentCount = 0;
+      let deadCount = 0;
+      let expiredCount = 0;
+      for (const row of data || []) {
+        const attempts = row.attempts + 1;
+        let updates;
+        if (row.expires_at && !moment(row.expires_at).isAfter(moment())) {
+          // e.g. a reminder for an interview that has already started
+          updates = { status: 'dead', last_error: 'Expired before it could be delivered', last_status_code: null };
+          expiredCount++;
+          deadCount++;
+          console.warn(`⌛ ${row.description} to ${row.recipient_type} ${row.recipient_id} expired - moved to dead letters`);
+        } else {
+          try {
+            await MessageDelivery.withRetry(() => client.pushMessage(row.recipient_id, row.messages), row.retry_key);
+            updates = { status: 'sent', attempts, sent_at: new Date().toISOString() };
+            sentCount++;
+            await RecipientHealth.recordOutcomes([{ id: row.recipient_id, type: row.recipient_type, status: 'sent' }]);
+            console.log(`📨 Retried ${row.description} to ${row.recipient_type} ${row.recipient_id} (attempt ${attempts})`);
+          } catch (sendError) {
+            const dead = attempts >= OUTBOUND_MAX_ATTEMPTS || !MessageDelivery.isRetryable(sendError);
+            updates = {
+              status: dead ? 'dead' : 'pending',
+              attempts,
+              next_attempt_at: moment().add(this.backoffMinutes(attempts), 'minutes').toISOString(),
+              last_error: MessageDelivery.errorDetail(sendError),
+              last_status_code: sendError.statusCode || null
+            };
+            if (dead) deadCount++;
+            await RecipientHealth.recordOutcomes([{
+              id: row.recipient_id,
+              type: row.recipient_type,
+              status: 'failed',
+              category: MessageDelivery.classifyError(sendError, updates.last_error),
+              statusCode: updates.last_status_code,
+              error: updates.last_error
+            }]);
+            console.error(`❌ Retry ${attempts} of ${row.description} to ${row.recipient_type} ${row.recipient_id} failed${dead ? ' - moved to dead letters' : ''}:`, updates.last_error);
+          }
+        }
+
+        const { error: updateError } = await supabase
+          .from('outbound_messages')
+          .update({ ...updates, updated_at: new Date().toISOString() })
+          .eq('id', row.id);
+        if (updateError) console.error('Error updating outbound message:', updateError);
+      }
+
+      return { success: true, data: { retriedCount: (data || []).length - expiredCount, sentCount, deadCount, expiredCount } };
+    } catch (error) {
+      console.error('Error processing outbound queue:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  if (result.data.length === 0) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '目前沒有安排的面談。'
-    });
-    return;
+  static async getDeadLetters(limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('outbound_messages')
+        .select('*')
+        .eq('status', 'dead')
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting dead letters:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  let message = '📋 面談提醒狀態：\n\n';
-  result.data.forEach((interview, index) => {
-    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
-    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
-    const interviewDateTime = moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
-    const now = moment.tz('Asia/Taipei');
-    const hoursUntil = interviewDateTime.diff(now, 'hours', true);
-    
-    message += `${index + 1}. ID: ${interview.id}\n`;
-    message += '   面談對象: ' + interview.interviewee_name + '\n';
-    message += '   面談者: ' + (interview.interviewer_name || '未指定') + '\n';
-    message += '   日期: ' + date + '\n';
-    message += '   時間: ' + time + '\n';
-    message += '   理由: ' + (interview.reason || '無') + '\n';
-    message += '   24小時提醒: ' + (interview.reminder_24h_sent ? '✅ 已發送' : '❌ 未發送') + '\n';
-    message += '   3小時提醒: ' + (interview.reminder_3h_sent ? '✅ 已發送' : '❌ 未發送') + '\n';
-    message += '   距離現在: ' + (hoursUntil > 0 ? hoursUntil.toFixed(1) + '小時' : '已過期') + '\n\n';
-  });
+  // Put dead messages back in the queue (messageId null = all of them); expired ones stay dead
+  static async requeue(messageId = null) {
+    try {
+      const now = new Date().toISOString();
+      let query = supabase
+        .from('outbound_messages')
+        .update({ status: 'pending', attempts: 0, next_attempt_at: now, updated_at: now })
+        .eq('status', 'dead')
+        .or(`expires_at.is.null,expires_at.gt.${now}`);
+      if (messageId) query = query.eq('id', messageId);
 
-  await client.replyMessage(replyToken, {
-    type: 'text',
-    text: message
-  });
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+      return { success: true, data: data.length };
+    } catch (error) {
+      console.error('Error requeueing dead letters:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
-async function sendHelpMessage(replyToken) {
-  const helpText = '會長團助理使用說明：\n\n📝 新增面談：\n新增 {面談對象} {面談者} {日期} {時間} {理由}\n例如：新增 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談\n\n📋 查看全部：\n查看 全部\n\n✏️ 更新面談：\n更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 彼得\n可用欄位：面談對象、面談者、日期、時間、理由\n\n🗑️ 刪除面談：\n刪除 {ID}\n例如：刪除 1\n\n📋 查看提醒狀態：\n提醒狀態\n\n💡 注意事項：\n- 日期格式：YYYY-MM-DD\n- 時間格式：HH:mm\n- ID 可在「查看 全部」清單中查看\n- 系統會自動發送24小時和3小時前的提醒通知';
+class RecipientHealth {
+  // IDs configured through env vars; they cannot be deactivated in the database, only flagged
+  static configuredIds() {
+    const ids = new Set();
+    if (PRESIDENT_LINE_USER_ID) ids.add(PRESIDENT_LINE_USER_ID);
+    const singleGroup = (process.env.GROUP_ID || '').trim();
+    if (singleGroup) ids.add(singleGroup);
+    (process.env.GROUP_IDS || '').split(',').map(s => s.trim()).filter(Boolean).forEach(id => ids.add(id));
+    return ids;
+  }
 
-  await client.replyMessage(replyToken, {
-    type: 'text',
-    text: helpText
-  });
+  // Successful sends reset a recipient's count; permanent recipient failures add to it
+  static async recordOutcomes(outcomes) {
+    const sentIds = outcomes.filter(outcome => outcome.status === 'sent').map(outcome => outcome.id);
+    if (sentIds.length > 0) await this.clear(sentIds);
+
+    for (const outcome of outcomes) {
+      if (outcome.status !== 'sent' && outcome.category === 'recipient') await this.recordFailure(outcome);
+    }
+  }
+
+  static async recordFailure(outcome) {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('recipient_failures')
+        .select('*')
+        .eq('recipient_id', outcome.id)
+        .maybeSingle();
+      if (fetchError) throw fetchError;
+
+      const now = new Date().toISOString();
+      const failureCount = (existing ? existing.failure_count : 0) + 1;
+      const deactivate = failureCount >= RECIPIENT_FAILURE_THRESHOLD && !(existing && existing.deactivated_at);
+      const { error } = await supabase
+        .from('recipient_failures')
+        .upsert({
+          recipient_id: outcome.id,
+          recipient_type: outcome.type,
+          failure_count: failureCount,
+          last_status_code: outcome.statusCode || null,
+          last_error: outcome.error || null,
+          first_failed_at: existing ? existing.first_failed_at : now,
+          last_failed_at: now,
+          deactivated_at: deactivate ? now : (existing ? existing.deactivated_at : null)
+        }, { onConflict: 'recipient_id' });
+      if (error) throw error;
+
+      if (deactivate) {
+        if (outcome.type === 'user') await ContactTracker.setUserInactive(outcome.id);
+        else await ContactTracker.setGroupInactive(outcome.id);
+        console.warn(`🚫 Deactivated ${outcome.type} ${outcome.id} after ${failureCount} failed deliveries: ${outcome.error}`);
+      }
+      return { success: true, data: { failureCount, deactivated: deactivate } };
+    } catch (error) {
+      console.error('Error recording recipient failure:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async clear(recipientIds) {
+    try {
+      const { error } = await supabase
+        .from('recipient_failures')
+        .delete()
+        .in('recipient_id', recipientIds);
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing recipient failures:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDeactivatedIds() {
+    try {
+      const { data, error } = await supabase
+        .from('recipient_failures')
+        .select('recipient_id')
+        .not('deactivated_at', 'is', null);
+      if (error) throw error;
+      return new Set(data.map(row => row.recipient_id));
+    } catch (error) {
+      console.error('Error getting deactivated recipients:', error);
+      return new Set();
+    }
+  }
+
+  // Drop deactivated IDs from { userIds, groupIds }
+  static async filterActive(recipients) {
+    const deactivated = await this.getDeactivatedIds();
+    if (deactivated.size === 0) return recipients;
+    return {
+      userIds: recipients.userIds.filter(id => !deactivated.has(id)),
+      groupIds: recipients.groupIds.filter(id => !deactivated.has(id))
+    };
+  }
+
+  // Every recipient with recorded failures, deactivated ones first
+  static async getReport() {
+    try {
+      const { data, error } = await supabase
+        .from('recipient_failures')
+        .select('*')
+        .order('deactivated_at', { ascending: false, nullsFirst: false })
+        .order('failure_count', { ascending: false });
+      if (error) throw error;
+      const configured = this.configuredIds();
+      return { success: true, data: data.map(row => ({ ...row, configured: configured.has(row.recipient_id) })) };
+    } catch (error) {
+      console.error('Error getting recipient report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Let a recipient receive reminders again (e.g. after fixing GROUP_IDS or the user unblocking the bot)
+  static async reactivate(recipientId) {
+    try {
+      const { data, error } = await supabase
+        .from('recipient_failures')
+        .delete()
+        .eq('recipient_id', recipientId)
+        .select('recipient_type');
+      if (error) throw error;
+      if (data.length === 0) return { success: false, error: 'not_found' };
+
+      const isUser = data[0].recipient_type === 'user';
+      const { error: updateError } = await supabase
+        .from(isUser ? 'line_users' : 'line_groups')
+        .update({ active: true, updated_at: new Date().toISOString() })
+        .eq(isUser ? 'user_id' : 'group_id', recipientId);
+      if (updateError) throw updateError;
+      return { success: true };
+    } catch (error) {
+      console.error('Error reactivating recipient:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
-// Reminder notification functions
 class ReminderManager {
   // Validate LINE user ID format
   static isValidLineUserId(userId) {
@@ -757,76 +5910,69 @@ class ReminderManager {
   }
 
   // Send reminder message to every user and every group
-  static async sendReminderMessage(interview, reminderType) {
+  // remainingMinutes is given for late (catch-up) reminders so the actual time left is shown
+  static async sendReminderMessage(interview, offsetMinutes, remainingMinutes = null) {
     try {
       const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
       const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
-      const hoursText = reminderType === '24h' ? '24小時' : '3小時';
+      const hoursText = ReminderOffsets.format(offsetMinutes);
+      const timeLeftText = remainingMinutes === null ? hoursText : ReminderOffsets.format(Math.max(1, Math.round(remainingMinutes)));
+      const title = remainingMinutes === null ? '🔔 面談提醒通知' : '🔔 面談提醒通知（補發）';
       
-      const message = '🔔 面談提醒通知\n\n您有一個面談即將在' + hoursText + '後舉行：\n\n👤 面談對象：' + interview.interviewee_name + '\n👨‍💼 面談者：' + (interview.interviewer_name || '未指定') + '\n📅 日期：' + date + '\n⏰ 時間：' + time + '\n📝 理由：' + (interview.reason || '無') + '\n\n請做好準備！';
-
-      let sentCount = 0;
-      const errors = [];
-
-      const { userIds, groupIds } = await this.getReminderRecipientIds();
+      const message = title + '\n\n您有一個面談即將在' + timeLeftText + '後舉行：\n\n👤 面談對象：' + interview.interviewee_name + '\n👨‍💼 面談者：' + (interview.interviewer_name || '未指定') + '\n📅 日期：' + date + '\n⏰ 時間：' + time + '\n📝 理由：' + (interview.reason || '無') + '\n\n請做好準備！';
 
-      // Send to every user (all distinct users from interviews + president)
-      for (const userId of userIds) {
-        if (!this.isValidLineUserId(userId)) {
-          console.warn(`⚠️ Skipping user ${userId} - not a valid LINE user ID format`);
-          errors.push(`User ${userId}: Invalid LINE user ID format`);
-          continue;
-        }
-        try {
-          await client.pushMessage(userId, {
-            type: 'text',
-            text: message
-          });
-          sentCount++;
-          console.log(`📨 Sent ${reminderType} reminder to user ${userId} for interview ${interview.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder to user ${userId}:`, error);
-          if (error.originalError && error.originalError.response) {
-            console.error('LINE API error details:', error.originalError.response.data);
-          }
-          errors.push(`User ${userId}: ${error.message}`);
-        }
-      }
+      // The assigned interviewer gets the reminder too, even when not a tracked recipient
+      const interviewerUserId = await MemberDirectory.findUserIdByName(interview.interviewer_name);
+      return await this.pushToRecipients(message, `${hoursText} reminder for interview ${interview.id}`, interview, interviewerUserId ? [interviewerUserId] : []);
+    } catch (error) {
+      console.error('Error sending reminder message:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      // Send to every group
-      for (const groupId of groupIds) {
-        if (!this.isValidLineGroupId(groupId)) {
-          console.warn(`⚠️ Skipping group ${groupId} - not a valid LINE group ID format`);
-          errors.push(`Group ${groupId}: Invalid LINE group ID format`);
-          continue;
-        }
-        try {
-          await client.pushMessage(groupId, {
-            type: 'text',
-            text: message
-          });
-          sentCount++;
-          console.log(`📨 Sent ${reminderType} reminder to group ${groupId} for interview ${interview.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder to group ${groupId}:`, error);
-          if (error.originalError && error.originalError.response) {
-            console.error('LINE API error details:', error.originalError.response.data);
-          }
-          errors.push(`Group ${groupId}: ${error.message}`);
-        }
-      }
+  // Send a custom reminder (from the reminders table) to every user and every group
+  static async sendCustomReminderMessage(reminder) {
+    try {
+      const reminderTime = moment(reminder.reminder_time).tz('Asia/Taipei').format('YYYY-MM-DD HH:mm');
+      const message = '⏰ 提醒通知\n\n' + reminder.message + '\n\n📅 ' + reminderTime;
 
-      return { 
-        success: sentCount > 0, 
-        sentCount,
-        errors: errors.length > 0 ? errors : undefined
-      };
+      return await this.pushToRecipients(message, `custom reminder ${reminder.id}`);
     } catch (error) {
-      console.error('Error sending reminder message:', error);
+      console.error('Error sending custom reminder message:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // Push a text message to every reminder recipient; description is used for logging
+  // interview (when the message is about one) is matched against each recipient's 訂閱 setting
+  static async pushToRecipients(message, description, interview = null, directUserIds = []) {
+    const recipients = await RecipientHealth.filterActive(
+      await SubscriptionManager.filterRecipients(await this.getReminderRecipientIds(), interview, directUserIds)
+    );
+    // A reminder retried after its interview has started is useless
+    const expiresAt = interview ? moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei') : null;
+    const result = recipients.userIds.length + recipients.groupIds.length > 0
+      ? await MessageDelivery.send([{ type: 'text', text: message }], recipients, description, expiresAt)
+      : { sentCount: 0, outcomes: [], errors: [] };
+
+    // Nobody left to send to (all turned it off with 訂閱, were deactivated or have an invalid ID):
+    // the reminder is handled too, as the next run would find nobody either
+    if (result.outcomes.every(outcome => outcome.status === 'invalid')) {
+      console.warn(`📭 No recipients for ${description}`);
+      return { success: true, sentCount: 0, noRecipients: true, outcomes: result.outcomes };
+    }
+
+    // Failed recipients are in the outbound queue, so a reminder counts as handled once anyone was tried;
+    // it only fails (with error) when sending throws
+    return {
+      success: true,
+      sentCount: result.sentCount,
+      outcomes: result.outcomes,
+      errors: result.errors.length > 0 ? result.errors : undefined
+    };
+  }
+
+
   // Send the full interview list to every user and every group (for cron "list reminder")
   static async sendInterviewListToEveryone() {
     const result = await InterviewManager.getAllUpcomingInterviews();
@@ -834,54 +5980,26 @@ class ReminderManager {
       return { success: false, error: result.error, sentCount: 0 };
     }
     const interviews = result.data || [];
-    let message = '📋 全部面談提醒\n\n';
-    if (interviews.length === 0) {
-      message += '目前沒有即將舉行的面談。\n';
-    } else {
-      const maxLen = 4500;
-      for (let i = 0; i < interviews.length; i++) {
-        const interview = interviews[i];
-        const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
-        const time = interview.interview_time ? String(interview.interview_time).substring(0, 5) : (interview.interview_time || '');
-        const block = `${i + 1}. ID: ${interview.id}\n   面談對象: ${interview.interviewee_name}\n   面談者: ${interview.interviewer_name || '未指定'}\n   日期: ${date}\n   時間: ${time}\n   理由: ${interview.reason || '無'}\n\n`;
-        if (message.length + block.length > maxLen) {
-          message += `…共 ${interviews.length} 筆面談，僅顯示部分。\n`;
-          break;
-        }
-        message += block;
-      }
-    }
-    message += '\n輸入「查看 全部」可查看完整清單。';
-
-    const { userIds, groupIds } = await this.getReminderRecipientIds();
-    let sentCount = 0;
-    const errors = [];
+    const blocks = interviews.map((interview, i) => {
+      const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+      const time = interview.interview_time ? String(interview.interview_time).substring(0, 5) : (interview.interview_time || '');
+      return `${i + 1}. ID: ${interview.id}\n   面談對象: ${interview.interviewee_name}\n   面談者: ${interview.interviewer_name || '未指定'}\n   日期: ${date}\n   時間: ${time}\n   理由: ${interview.reason || '無'}\n\n`;
+    });
+    const messages = MessageDelivery.packText(
+      '📋 全部面談提醒\n\n',
+      blocks.length > 0 ? blocks : ['目前沒有即將舉行的面談。\n'],
+      '\n輸入「查看 全部」可查看完整清單。'
+    );
 
-    for (const userId of userIds) {
-      if (!this.isValidLineUserId(userId)) continue;
-      try {
-        await client.pushMessage(userId, { type: 'text', text: message });
-        sentCount++;
-      } catch (error) {
-        console.error(`Failed to send interview list to user ${userId}:`, error);
-        errors.push(`User ${userId}: ${error.message}`);
-      }
-    }
-    for (const groupId of groupIds) {
-      if (!this.isValidLineGroupId(groupId)) continue;
-      try {
-        await client.pushMessage(groupId, { type: 'text', text: message });
-        sentCount++;
-      } catch (error) {
-        console.error(`Failed to send interview list to group ${groupId}:`, error);
-        errors.push(`Group ${groupId}: ${error.message}`);
-      }
-    }
+    // Recipients who turned reminders off with 訂閱 關閉, or were deactivated after repeated failures, are left out
+    const recipients = await RecipientHealth.filterActive(await SubscriptionManager.filterRecipients(await this.getReminderRecipientIds(), null));
+    const { sentCount, outcomes, errors } = await MessageDelivery.send(messages, recipients, 'interview list');
 
     return {
       success: true,
       sentCount,
       interviewCount: interviews.length,
+      outcomes,
       errors: errors.length > 0 ? errors : undefined
     };
   }
@@ -891,6 +6009,16 @@ class ReminderManager {
     try {
       console.log('🕐 Processing reminders...');
       
+      // Retry earlier failed deliveries that are due
+      const queueResult = await OutboundQueue.processQueue();
+      const queue = queueResult.success ? queueResult.data : { retriedCount: 0, sentCount: 0, deadCount: 0 };
+
+      // Create upcoming occurrences of recurring series first so they get their reminders
+      const seriesResult = await SeriesManager.materializeAll();
+      if (seriesResult.success && seriesResult.data > 0) {
+        console.log(`🔁 Created ${seriesResult.data} recurring interview occurrences`);
+      }
+
       const result = await InterviewManager.getInterviewsNeedingReminders();
       
       if (!result.success) {
@@ -898,57 +6026,74 @@ class ReminderManager {
         return { success: false, error: result.error };
       }
 
-      const { interviews24h, interviews3h } = result.data;
+      const { dueReminders, staleReminders } = result.data;
       let totalSent = 0;
       let errors = [];
 
-      console.log(`📋 Found ${interviews24h.length} interviews needing 24h reminders`);
-      console.log(`📋 Found ${interviews3h.length} interviews needing 3h reminders`);
+      console.log(`📋 Found ${dueReminders.length} interview reminders due`);
 
-      // Process 24-hour reminders
-      for (const interview of interviews24h) {
-        try {
-          console.log(`🔄 Processing 24h reminder for interview ${interview.id}: ${interview.interviewee_name} on ${interview.interview_date} at ${interview.interview_time}`);
-          const reminderResult = await this.sendReminderMessage(interview, '24h');
-          if (reminderResult.success) {
-            await InterviewManager.markReminderSent(interview.id, '24h');
-            totalSent += reminderResult.sentCount || 1;
-            console.log(`✅ Sent 24h reminder for interview ${interview.id} to ${reminderResult.sentCount} recipients`);
-            if (reminderResult.errors) {
-              errors.push(...reminderResult.errors);
-            }
-          } else {
-            console.error(`❌ Failed to send 24h reminder for interview ${interview.id}:`, reminderResult.error);
-            errors.push(`24h reminder for interview ${interview.id}: ${reminderResult.error}`);
-          }
-        } catch (error) {
-          console.error(`❌ Error processing 24h reminder for interview ${interview.id}:`, error);
-          errors.push(`24h reminder for interview ${interview.id}: ${error.message}`);
-        }
+      // Reminders missed for too long (or made pointless by a later one) are recorded and not sent
+      for (const { interview, offsetMinutes, reason } of staleReminders) {
+        await InterviewManager.markReminderSent(interview.id, offsetMinutes, 'dropped');
+        console.warn(`🗑️ Dropped missed ${ReminderOffsets.format(offsetMinutes)} reminder for interview ${interview.id} (${reason})`);
       }
 
-      // Process 3-hour reminders
-      for (const interview of interviews3h) {
+      for (const { interview, offsetMinutes, late, remainingMinutes } of dueReminders) {
+        const label = ReminderOffsets.format(offsetMinutes);
         try {
-          console.log(`🔄 Processing 3h reminder for interview ${interview.id}: ${interview.interviewee_name} on ${interview.interview_date} at ${interview.interview_time}`);
-          const reminderResult = await this.sendReminderMessage(interview, '3h');
-          if (reminderResult.success) {
-            await InterviewManager.markReminderSent(interview.id, '3h');
-            totalSent += reminderResult.sentCount || 1;
-            console.log(`✅ Sent 3h reminder for interview ${interview.id} to ${reminderResult.sentCount} recipients`);
+          // Only the run that wins the claim sends, so overlapping cron calls cannot double-send
+          const claim = await InterviewManager.claimReminder(interview.id, offsetMinutes);
+          if (!claim.success || !claim.data) {
+            console.log(`⏭️ ${label} reminder for interview ${interview.id} ${claim.success ? 'is already claimed by another run' : 'could not be claimed'}`);
+            if (!claim.success) errors.push(`${label} reminder for interview ${interview.id}: ${claim.error}`);
+            continue;
+          }
+
+          console.log(`🔄 Processing ${late ? 'late ' : ''}${label} reminder for interview ${interview.id}: ${interview.interviewee_name} on ${interview.interview_date} at ${interview.interview_time}`);
+          const reminderResult = await this.sendReminderMessage(interview, offsetMinutes, late ? remainingMinutes : null);
+          if (reminderResult.success && reminderResult.noRecipients) {
+            await InterviewManager.completeReminderClaim(interview.id, offsetMinutes, 'dropped');
+            console.warn(`🗑️ Dropped ${label} reminder for interview ${interview.id} (no recipients)`);
+          } else if (reminderResult.success) {
+            await InterviewManager.completeReminderClaim(interview.id, offsetMinutes, late ? 'late' : 'sent');
+            // Test interviews have served their purpose once their last reminder is out
+            const offsets = ReminderOffsets.forInterview(interview);
+            if (interview.user_id === TEST_INTERVIEW_USER_ID && offsetMinutes === offsets[offsets.length - 1]) {
+              await InterviewManager.deleteInterview(InterviewManager.contextFromId(TEST_INTERVIEW_USER_ID), interview.id);
+              console.log(`🧹 Deleted test interview ${interview.id}`);
+            }
+            totalSent += reminderResult.sentCount;
+            console.log(`✅ Sent ${late ? 'late ' : ''}${label} reminder for interview ${interview.id} to ${reminderResult.sentCount} recipients`);
             if (reminderResult.errors) {
               errors.push(...reminderResult.errors);
             }
           } else {
-            console.error(`❌ Failed to send 3h reminder for interview ${interview.id}:`, reminderResult.error);
-            errors.push(`3h reminder for interview ${interview.id}: ${reminderResult.error}`);
+            await InterviewManager.releaseReminderClaim(interview.id, offsetMinutes);
+            console.error(`❌ Failed to send ${label} reminder for interview ${interview.id}:`, reminderResult.error);
+            errors.push(`${label} reminder for interview ${interview.id}: ${reminderResult.error}`);
           }
         } catch (error) {
-          console.error(`❌ Error processing 3h reminder for interview ${interview.id}:`, error);
-          errors.push(`3h reminder for interview ${interview.id}: ${error.message}`);
+          console.error(`❌ Error processing ${label} reminder for interview ${interview.id}:`, error);
+          errors.push(`${label} reminder for interview ${interview.id}: ${error.message}`);
         }
       }
 
+      // Test interviews whose reminder never went out (e.g. the cron was down) are removed once past
+      await InterviewManager.deletePastTestInterviews();
+
+      // Process custom reminders from the reminders table
+      const customResult = await this.processCustomReminders();
+      totalSent += customResult.totalSent;
+      if (customResult.errors) {
+        errors.push(...customResult.errors);
+      }
+
+      // Daily and weekly agendas whose send time has come
+      const digests = await DigestManager.runDue();
+      digests.forEach(digest => {
+        if (digest.errors) errors.push(...digest.errors);
+      });
+
       if (totalSent > 0) {
         console.log(`📨 Total reminders sent: ${totalSent}`);
       } else {
@@ -958,6 +6103,10 @@ class ReminderManager {
       return {
         success: true,
         totalSent,
+        customSent: customResult.totalSent,
+        droppedCount: staleReminders.length,
+        queue,
+        digests,
         errors: errors.length > 0 ? errors : undefined
       };
     } catch (error) {
@@ -965,6 +6114,209 @@ class ReminderManager {
       return { success: false, error: error.message };
     }
   }
+
+  // Deliver due rows from the reminders table and mark them sent
+  static async processCustomReminders() {
+    let totalSent = 0;
+    const errors = [];
+
+    const result = await CustomReminderManager.getDueReminders();
+    if (!result.success) {
+      errors.push(`Custom reminders: ${result.error}`);
+      return { totalSent, errors };
+    }
+
+    console.log(`📋 Found ${result.data.length} due custom reminders`);
+
+    for (const reminder of result.data) {
+      try {
+        const claim = await CustomReminderManager.claimReminder(reminder.id);
+        if (!claim.success || !claim.data) {
+          console.log(`⏭️ Custom reminder ${reminder.id} ${claim.success ? 'is already claimed by another run' : 'could not be claimed'}`);
+          if (!claim.success) errors.push(`Custom reminder ${reminder.id}: ${claim.error}`);
+          continue;
+        }
+
+        const reminderResult = await this.sendCustomReminderMessage(reminder);
+        if (reminderResult.success) {
+          await CustomReminderManager.markReminderSent(reminder.id);
+          totalSent += reminderResult.sentCount;
+          console.log(`✅ Sent custom reminder ${reminder.id} to ${reminderResult.sentCount} recipients`);
+          if (reminderResult.errors) {
+            errors.push(...reminderResult.errors);
+          }
+        } else {
+          await CustomReminderManager.releaseReminder(reminder.id);
+          console.error(`❌ Failed to send custom reminder ${reminder.id}:`, reminderResult.error);
+          errors.push(`Custom reminder ${reminder.id}: ${reminderResult.error}`);
+        }
+      } catch (error) {
+        console.error(`❌ Error processing custom reminder ${reminder.id}:`, error);
+        errors.push(`Custom reminder ${reminder.id}: ${error.message}`);
+      }
+    }
+
+    return { totalSent, errors: errors.length > 0 ? errors : undefined };
+  }
+}
+
+// Scheduled agendas: 'daily' lists today's interviews by interviewer, 'weekly' the next 7 days by date.
+// digest_runs records each period so a digest goes out at most once however often the cron runs.
+class DigestManager {
+  static get TYPES() {
+    return ['daily', 'weekly'];
+  }
+
+  // 'HH:mm' -> minutes after midnight; null when unset or invalid
+  static parseTime(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || +match[1] > 23 || +match[2] > 59) return null;
+    return +match[1] * 60 + +match[2];
+  }
+
+  // Dates a digest sent at now covers; key identifies the period in digest_runs
+  static period(type, now = moment.tz('Asia/Taipei')) {
+    const from = now.clone().startOf('day');
+    const to = type === 'weekly' ? from.clone().add(6, 'days') : from;
+    return { key: from.format('YYYY-MM-DD'), from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') };
+  }
+
+  // Scheduled, on the right weekday, and past today's send time
+  static isDue(type, now = moment.tz('Asia/Taipei')) {
+    const minutes = this.parseTime(type === 'weekly' ? DIGEST_WEEKLY_TIME : DIGEST_DAILY_TIME);
+    if (minutes === null) return false;
+    if (type === 'weekly' && now.day() !== DIGEST_WEEKLY_DAY) return false;
+    return now.hours() * 60 + now.minutes() >= minutes;
+  }
+
+  // DIGEST_RECIPIENTS, or everyone who gets reminders (minus 訂閱 關閉) when unset
+  static async getRecipients() {
+    const configured = DIGEST_RECIPIENTS.split(',').map(id => id.trim()).filter(Boolean);
+    if (configured.length > 0) {
+      return RecipientHealth.filterActive({
+        userIds: configured.filter(id => id.startsWith('U')),
+        groupIds: configured.filter(id => !id.startsWith('U'))
+      });
+    }
+    return RecipientHealth.filterActive(await SubscriptionManager.filterRecipients(await ReminderManager.getReminderRecipientIds(), null));
+  }
+
+  static line(interview, withInterviewer) {
+    const time = interview.interview_time ? String(interview.interview_time).substring(0, 5) : '';
+    return `   ${time} ${interview.interviewee_name}` + (withInterviewer ? `（${interview.interviewer_name || '未指定'}）` : '') + `｜${interview.reason || '無'}\n`;
+  }
+
+  // Group interviews (already in date and time order) by a key, keeping first-seen order
+  static groupBy(interviews, keyOf) {
+    const groups = new Map();
+    interviews.forEach(interview => {
+      const key = keyOf(interview);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(interview);
+    });
+    return groups;
+  }
+
+  static buildMessages(type, period, interviews) {
+    const blocks = [];
+    let header;
+    let footer;
+    if (type === 'daily') {
+      header = `☀️ 今日面談 ${DateTimeParser.formatDisplay(period.from)}\n共 ${interviews.length} 場\n\n`;
+      this.groupBy(interviews, interview => interview.interviewer_name || '未指定').forEach((list, interviewer) => {
+        blocks.push(`👨‍💼 ${interviewer}（${list.length}）\n` + list.map(interview => this.line(interview, false)).join('') + '\n');
+      });
+      footer = '輸入「查看 今天」可查看面談卡片。';
+    } else {
+      header = `📆 本週面談 ${period.from}～${period.to}\n共 ${interviews.length} 場\n\n`;
+      this.groupBy(interviews, interview => moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD')).forEach((list, date) => {
+        blocks.push(`📅 ${DateTimeParser.formatDisplay(date)}\n` + list.map(interview => this.line(interview, true)).join('') + '\n');
+      });
+      footer = `輸入「查看 ${period.from}~${period.to}」可查看面談卡片。`;
+    }
+    return MessageDelivery.packText(header, blocks, footer);
+  }
+
+  // Record the period's run; false when it is already recorded (force takes it over instead).
+  // A run still 'sending' after REMINDER_CLAIM_TIMEOUT_MINUTES crashed and is taken over
+  // (claim_digest_run(), see database/migration_digest_claims.sql).
+  static async claimRun(type, periodKey, force) {
+    const { data, error } = await supabase.rpc('claim_digest_run', {
+      p_digest_type: type,
+      p_period_key: periodKey,
+      p_force: force,
+      p_stale_after_minutes: REMINDER_CLAIM_TIMEOUT_MINUTES
+    });
+    if (error) throw error;
+    return data === true;
+  }
+
+  static async finishRun(type, periodKey, updates) {
+    const { error } = await supabase
+      .from('digest_runs')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('digest_type', type)
+      .eq('period_key', periodKey);
+    if (error) console.error('Error updating digest run:', error);
+  }
+
+  static async releaseRun(type, periodKey) {
+    const { error } = await supabase
+      .from('digest_runs')
+      .delete()
+      .eq('digest_type', type)
+      .eq('period_key', periodKey);
+    if (error) console.error('Error releasing digest run:', error);
+  }
+
+  // Send the digest for the period containing now, unless it already went out (force sends it again).
+  // Nothing is sent when the period has no scheduled interviews.
+  static async send(type, { force = false, now = moment.tz('Asia/Taipei') } = {}) {
+    const period = this.period(type, now);
+    let claimed = false;
+    try {
+      claimed = await this.claimRun(type, period.key, force);
+      if (!claimed) return { success: true, type, period: period.key, status: 'already_sent', sentCount: 0 };
+
+      const result = await InterviewManager.searchInterviews({ from: period.from, to: period.to, status: 'scheduled' });
+      if (!result.success) throw new Error(result.error);
+
+      if (result.data.length === 0) {
+        await this.finishRun(type, period.key, { status: 'empty', interview_count: 0, sent_count: 0 });
+        console.log(`📭 No interviews for the ${type} digest of ${period.key}`);
+        return { success: true, type, period: period.key, status: 'empty', interviewCount: 0, sentCount: 0 };
+      }
+
+      const messages = this.buildMessages(type, period, result.data);
+      const expiresAt = moment.tz(period.to, 'YYYY-MM-DD', 'Asia/Taipei').endOf('day');
+      const delivery = await MessageDelivery.send(messages, await this.getRecipients(), `${type} digest ${period.key}`, expiresAt);
+      await this.finishRun(type, period.key, { status: 'sent', interview_count: result.data.length, sent_count: delivery.sentCount });
+      console.log(`📨 Sent ${type} digest of ${period.key} (${result.data.length} interviews) to ${delivery.sentCount} recipients`);
+      return {
+        success: true,
+        type,
+        period: period.key,
+        status: 'sent',
+        interviewCount: result.data.length,
+        sentCount: delivery.sentCount,
+        errors: delivery.errors.length > 0 ? delivery.errors : undefined
+      };
+    } catch (error) {
+      // Let the next run try again
+      if (claimed) await this.releaseRun(type, period.key);
+      console.error(`Error sending ${type} digest:`, error);
+      return { success: false, type, period: period.key, error: error.message, errors: [`${type} digest: ${error.message}`] };
+    }
+  }
+
+  // Send every digest that is due; called on each reminder run
+  static async runDue(now = moment.tz('Asia/Taipei')) {
+    const results = [];
+    for (const type of this.TYPES) {
+      if (this.isDue(type, now)) results.push(await this.send(type, { now }));
+    }
+    return results;
+  }
 }
 
 // Webhook endpoint
@@ -994,22 +6346,50 @@ app.post('/callback', line.middleware(lineConfig), async (req, res) => {
         if (isHelp(userMessage)) {
           const instructionMenu = {
             type: 'text',
-            text: '會長團助理使用說明：\n\n📝 新增面談：\n新增 {面談對象} {面談者} {日期} {時間} {理由}\n例如：新增 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談\n\n📋 查看全部：\n查看 全部\n\n✏️ 更新面談：\n更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 彼得\n可用欄位：面談對象、面談者、日期、時間、理由\n\n🗑️ 刪除面談：\n刪除 {ID}\n例如：刪除 1\n\n📋 查看提醒狀態：\n提醒狀態\n\n💡 注意事項：\n- 日期格式：YYYY-MM-DD\n- 時間格式：HH:mm\n- ID 可在「查看 全部」清單中查看\n- 系統會自動發送24小時和3小時前的提醒通知'
+            text: HELP_TEXT
           };
           return client.replyMessage(event.replyToken, instructionMenu);
         }
 
         // Handle CRUD commands
-if (userMessage === '查看 全部' || userMessage === '查看全部' ||
+if (userMessage.startsWith('查看') ||
+            /^搜尋(\s|$)/.test(userMessage) ||
+            userMessage === '下一頁' ||
+            /^匯出(\s|$)/.test(userMessage) ||
             userMessage.startsWith('新增') ||
             userMessage.startsWith('更新') || 
+            userMessage.startsWith('強制新增') ||
+            userMessage.startsWith('強制更新') ||
             userMessage.startsWith('刪除') || 
-            userMessage === '提醒狀態') {
+            userMessage === '提醒狀態' ||
+            userMessage === '提醒清單' ||
+            /^提醒\s/.test(userMessage) ||
+            userMessage.startsWith('取消提醒') ||
+            /^(完成|未到|取消)\s+\d+$/.test(userMessage) ||
+            userMessage.startsWith('週期') ||
+            userMessage.startsWith('強制週期') ||
+            /^行事曆(\s*重設)?$/.test(userMessage) ||
+            /^訂閱(\s|$)/.test(userMessage) ||
+            userMessage.startsWith('歷史') ||
+            userMessage === '復原' ||
+            userMessage === '我的角色' ||
+            /^我是(\s|$)/.test(userMessage) ||
+            /^別名(\s|$)/.test(userMessage) ||
+            /^成員(\s|$)/.test(userMessage) ||
+            /^空檔(\s|$)/.test(userMessage) ||
+            /^預約(連結)?(\s|$)/.test(userMessage) ||
+            /^發送失敗(\s|$)/.test(userMessage) ||
+            /^收件者狀態(\s|$)/.test(userMessage) ||
+            userMessage.startsWith('角色')) {
           return handleMessage(event);
         }
 
-        // If the message is not recognized, do nothing
-        return Promise.resolve(null);
+        // Answers to an ongoing multi-turn conversation (e.g. the 新增 wizard)
+        return handleSessionMessage(event);
+      } else if (event.type === 'message' && event.message.type === 'file') {
+        return handleFileMessage(event);
+      } else if (event.type === 'postback') {
+        return handlePostback(event);
       } else if (event.type === 'follow') {
         const userId = event.source.type === 'user' ? event.source.userId : null;
         if (userId) ContactTracker.recordUser(userId);
@@ -1022,14 +6402,15 @@ if (userMessage === '查看 全部' || userMessage === '查看全部' ||
         if (userId) ContactTracker.setUserInactive(userId);
         return Promise.resolve(null);
       } else if (event.type === 'join') {
-        const groupId = event.source.type === 'group' ? event.source.groupId : null;
+        // Rooms are tracked alongside groups; their IDs start with R
+        const groupId = event.source.groupId || event.source.roomId || null;
         if (groupId) ContactTracker.recordGroup(groupId);
         return client.replyMessage(event.replyToken, {
           type: 'text',
           text: '👋 您好！我是面談助理！請輸入「help」或「幫助」查看功能選單。'
         });
       } else if (event.type === 'leave') {
-        const groupId = event.source.type === 'group' ? event.source.groupId : null;
+        const groupId = event.source.groupId || event.source.roomId || null;
         if (groupId) ContactTracker.setGroupInactive(groupId);
         return Promise.resolve(null);
       } else {
@@ -1045,13 +6426,330 @@ if (userMessage === '查看 全部' || userMessage === '查看全部' ||
   }
 });
 
+// iCalendar feed for calendar apps; the token in the URL is the only credential
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const feedResult = await CalendarManager.getFeedByToken(req.params.token);
+    if (!feedResult.success) return res.status(500).end();
+    if (!feedResult.data) return res.status(404).send('Calendar not found');
+
+    const result = await CalendarManager.getFeedInterviews(feedResult.data);
+    if (!result.success) return res.status(500).end();
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="interviews.ics"');
+    res.send(ICalendar.buildFeed(result.data, '面談行事曆'));
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).end();
+  }
+});
+
+// CSV download from a 匯出 link; the signature in the URL is the only credential
+app.get('/export/interviews.csv', async (req, res) => {
+  try {
+    const link = InterviewCsv.verifyExportLink(req.query);
+    if (!link) return res.status(403).send('This download link is invalid or has expired');
+
+    const result = await InterviewManager.searchInterviews({ ...link.filters, context: link.context, limit: InterviewCsv.EXPORT_LIMIT });
+    if (!result.success) return res.status(500).end();
+    sendInterviewCsv(res, result.data);
+  } catch (error) {
+    console.error('Error serving CSV export:', error);
+    res.status(500).end();
+  }
+});
+
+// REST API authentication with the keys in API_KEYS
+class ApiKeyAuth {
+  // { key: clientName } from "name:key,name2:key2"
+  static getKeys() {
+    const keys = {};
+    API_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) keys[entry.slice(separator + 1)] = entry.slice(0, separator);
+    });
+    return keys;
+  }
+
+  // Client name for the key in "Authorization: Bearer <key>" or "X-API-Key", or null
+  static authenticate(req) {
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+    if (!key) return null;
+
+    const provided = Buffer.from(String(key));
+    for (const [candidate, name] of Object.entries(this.getKeys())) {
+      const expected = Buffer.from(candidate);
+      if (expected.length === provided.length && crypto.timingSafeEqual(expected, provided)) return name;
+    }
+    return null;
+  }
+
+  static middleware(req, res, next) {
+    const clientName = ApiKeyAuth.authenticate(req);
+    if (!clientName) {
+      return res.status(401).json({ error: 'Missing or invalid API key' });
+    }
+    // Changes made through the API show up in 歷史 as api:{client name}
+    req.actor = { userId: `api:${clientName}`, sourceType: 'api', sourceId: clientName };
+    next();
+  }
+}
+
+// Columns accepted by POST/PATCH /api/interviews
+const API_INTERVIEW_FIELDS = ['interviewee_name', 'interviewer_name', 'interview_date', 'interview_time', 'reason', 'reminder_offsets', 'status'];
+
+// Query string filters of GET /api/interviews; returns { filters } for searchInterviews or { error }
+function parseApiInterviewFilters(query) {
+  const { from, to, interviewer, status, user_id: userId, context_id: contextId } = query;
+  if ((from && !InputValidator.validateDate(from)) || (to && !InputValidator.validateDate(to))) {
+    return { error: 'from and to must be YYYY-MM-DD' };
+  }
+  if (status && !STATUS_LABELS[status]) {
+    return { error: 'status must be one of ' + Object.keys(STATUS_LABELS).join(', ') };
+  }
+  return { filters: { userId, contextId, from, to, interviewerName: interviewer, status } };
+}
+
+function sendInterviewCsv(res, interviews) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="interviews-${moment.tz('Asia/Taipei').format('YYYYMMDD')}.csv"`);
+  res.send(InterviewCsv.toCsv(interviews));
+}
+
+// Validate REST API interview fields; returns { data: columns to store } or { error }
+function validateApiInterviewFields(body, partial) {
+  const data = {};
+  for (const field of API_INTERVIEW_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+
+    if (field === 'interviewee_name' || field === 'interviewer_name') {
+      if (!InputValidator.validateName(value)) return { error: `${field} must be a non-empty name of at most 100 characters` };
+      data[field] = InputValidator.sanitizeString(value);
+    } else if (field === 'interview_date') {
+      if (!InputValidator.validateDate(value)) return { error: 'interview_date must be YYYY-MM-DD' };
+      data[field] = value;
+    } else if (field === 'interview_time') {
+      if (!InputValidator.validateTime(value)) return { error: 'interview_time must be HH:mm or HH:mm:ss' };
+      data[field] = value.length === 5 ? value + ':00' : value;
+    } else if (field === 'reason') {
+      data[field] = InputValidator.sanitizeString(String(value || ''));
+    } else if (field === 'reminder_offsets') {
+      // null restores the default; accepts [1440, 180] or "24h,3h"
+      if (value === null) {
+        data[field] = null;
+      } else {
+        const offsets = Array.isArray(value) ? ReminderOffsets.parseList(value.map(offset => `${offset}m`).join(',')) : ReminderOffsets.parseList(String(value));
+        if (!offsets) return { error: 'reminder_offsets must be an array of minutes or a string such as "24h,3h"' };
+        data[field] = offsets;
+      }
+    } else if (field === 'status') {
+      if (!STATUS_LABELS[value]) return { error: 'status must be one of ' + Object.keys(STATUS_LABELS).join(', ') };
+      data[field] = value;
+    }
+  }
+
+  if (!partial) {
+    const missing = ['interviewee_name', 'interviewer_name', 'interview_date', 'interview_time'].filter(field => data[field] === undefined);
+    if (missing.length > 0) return { error: 'Missing required fields: ' + missing.join(', ') };
+  }
+  return { data };
+}
+
+const api = express.Router();
+api.use(ApiKeyAuth.middleware);
+api.use(express.json({ limit: '100kb' }));
+
+// GET /api/interviews?from=YYYY-MM-DD&to=YYYY-MM-DD&interviewer=名字&status=scheduled&user_id=U...&context_id=C...&limit=100
+api.get('/interviews', async (req, res) => {
+  const { filters, error } = parseApiInterviewFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const limit = Math.min(parseInt(req.query.limit, 10) || 500, 500);
+
+  const result = await InterviewManager.searchInterviews({ ...filters, limit });
+  if (!result.success) return res.status(500).json({ error: result.error });
+  res.json({ data: result.data });
+});
+
+// GET /api/interviews/export.csv - same filters as GET /api/interviews, up to 1000 rows
+api.get('/interviews/export.csv', async (req, res) => {
+  const { filters, error } = parseApiInterviewFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const result = await InterviewManager.searchInterviews({ ...filters, limit: InterviewCsv.EXPORT_LIMIT });
+  if (!result.success) return res.status(500).json({ error: result.error });
+  sendInterviewCsv(res, result.data);
+});
+
+// POST /api/interviews/import - CSV body (Content-Type: text/csv). Every row is validated first and
+// nothing is created unless all are valid. ?force=1 ignores conflicts, ?dry_run=1 only validates,
+// ?user_id= and ?context_id= as for POST /api/interviews.
+api.post('/interviews/import', express.raw({ type: ['text/csv', 'text/plain', 'application/octet-stream'], limit: '1mb' }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Request body must be a CSV file (Content-Type: text/csv)' });
+  }
+
+  const actor = req.query.context_id ? { ...req.actor, context: InterviewManager.contextFromId(String(req.query.context_id)) } : req.actor;
+  const dryRun = req.query.dry_run === '1';
+  const result = await InterviewCsv.importCsv(InterviewCsv.decode(req.body), req.query.user_id || req.actor.userId, actor, {
+    force: req.query.force === '1',
+    dryRun
+  });
+  if (!result.success) return res.status(500).json({ error: result.error });
+
+  const { created, errors, valid } = result.data;
+  if (errors.length > 0) return res.status(422).json({ error: 'No interviews were created; fix the rows listed in errors', errors });
+  if (dryRun) return res.json({ valid });
+  res.status(201).json({ created: created.map(interview => interview.id) });
+});
+
+// POST /api/calendar/{token}/import - .ics body (Content-Type: text/calendar) imported into the list of
+// the feed with that token, owned by the feed's creator; ?force=1 ignores conflicts. The feed token is
+// only read access (it sits in calendar apps' settings), so writing needs an API key like the rest of /api.
+api.post('/calendar/:token/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const feedResult = await CalendarManager.getFeedByToken(req.params.token);
+    if (!feedResult.success) return res.status(500).json({ error: feedResult.error });
+    if (!feedResult.data) return res.status(404).json({ error: 'Calendar not found' });
+    if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ error: 'Request body must be an iCalendar file (Content-Type: text/calendar)' });
+    }
+
+    const actor = { ...req.actor, context: { type: feedResult.data.owner_type, id: feedResult.data.owner_id } };
+    const result = await CalendarManager.importCalendar(req.body, feedResult.data.created_by, actor, req.query.force === '1');
+    if (!result.success) return res.status(500).json({ error: result.error });
+
+    res.json({
+      success: true,
+      created: result.data.created.map(interview => interview.id),
+      skipped: result.data.skipped
+    });
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?context_id= (LINE user, group or room) on GET, PATCH and DELETE /api/interviews/{id} answers 404
+// unless the interview is in that chat's list
+function apiContext(req) {
+  return req.query.context_id ? InterviewManager.contextFromId(String(req.query.context_id)) : null;
+}
+
+api.get('/interviews/:id(\\d+)', async (req, res) => {
+  const result = await InterviewManager.getInterviewById(apiContext(req), parseInt(req.params.id));
+  if (!result.success) return res.status(500).json({ error: result.error });
+  if (!result.data) return res.status(404).json({ error: 'Interview not found' });
+  res.json({ data: result.data });
+});
+
+// Body: interviewee_name, interviewer_name, interview_date, interview_time, reason, reminder_offsets?,
+// user_id? (LINE user to own it, default api:{client}), context_id? (LINE user, group or room whose
+// list it goes in, default user_id) and force (true to ignore interviewer conflicts)
+api.post('/interviews', async (req, res) => {
+  const validation = validateApiInterviewFields(req.body || {}, false);
+  if (validation.error) return res.status(400).json({ error: validation.error });
+  const fields = validation.data;
+
+  if (!req.body.force) {
+    const conflictResult = await InterviewManager.findConflicts(fields.interviewer_name, fields.interview_date, fields.interview_time);
+    if (conflictResult.success && conflictResult.data.length > 0) {
+      return res.status(409).json({ error: 'Interviewer has overlapping interviews', conflicts: conflictResult.data });
+    }
+  }
+
+  const { interviewee_name, interviewer_name, interview_date, interview_time, reason, ...extraFields } = fields;
+  const actor = req.body.context_id ? { ...req.actor, context: InterviewManager.contextFromId(String(req.body.context_id)) } : req.actor;
+  const result = await InterviewManager.addInterview(
+    req.body.user_id || req.actor.userId, interviewee_name, interviewer_name, interview_date, interview_time, reason || '', actor, extraFields
+  );
+  if (!result.success) return res.status(500).json({ error: result.error });
+  res.status(201).json({ data: result.data });
+});
+
+api.patch('/interviews/:id(\\d+)', async (req, res) => {
+  const interviewId = parseInt(req.params.id);
+  const validation = validateApiInterviewFields(req.body || {}, true);
+  if (validation.error) return res.status(400).json({ error: validation.error });
+  if (Object.keys(validation.data).length === 0) {
+    return res.status(400).json({ error: 'No updatable fields given: ' + API_INTERVIEW_FIELDS.join(', ') });
+  }
+
+  const context = apiContext(req);
+  const existing = await InterviewManager.getInterviewById(context, interviewId);
+  if (!existing.success) return res.status(500).json({ error: existing.error });
+  if (!existing.data) return res.status(404).json({ error: 'Interview not found' });
+
+  // Rescheduling or reassigning may double-book the interviewer
+  const updates = validation.data;
+  if (!req.body.force && ['interview_date', 'interview_time', 'interviewer_name'].some(field => field in updates)) {
+    const merged = { ...existing.data, ...updates };
+    const conflictResult = await InterviewManager.findConflicts(merged.interviewer_name, merged.interview_date, merged.interview_time, interviewId, merged.duration_minutes);
+    if (conflictResult.success && conflictResult.data.length > 0) {
+      return res.status(409).json({ error: 'Interviewer has overlapping interviews', conflicts: conflictResult.data });
+    }
+  }
+
+  const result = await InterviewManager.updateInterview(context, interviewId, updates, req.actor);
+  if (!result.success) return res.status(500).json({ error: result.error });
+  if (!result.data) return res.status(404).json({ error: 'Interview not found' });
+  res.json({ data: result.data });
+});
+
+api.delete('/interviews/:id(\\d+)', async (req, res) => {
+  const interviewId = parseInt(req.params.id);
+  const result = await InterviewManager.deleteInterview(apiContext(req), interviewId, req.actor);
+  if (!result.success) return res.status(500).json({ error: result.error });
+  if (!result.data) return res.status(404).json({ error: 'Interview not found' });
+  res.status(204).end();
+});
+
+// Malformed JSON and other API errors are answered in JSON
+api.use((err, req, res, next) => {
+  console.error('API error:', err);
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+// JSON body parsing applies to /api only; /callback needs the raw body for signature validation
+app.use('/api', api);
+
 // Health check endpoint
 app.get('/', (req, res) => {
   res.json({ status: 'LINE Interview Bot is running!' });
 });
 
+// CRON_API_KEY check shared by the cron and debug endpoints (X-API-Key header or ?apiKey=)
+function requireCronApiKey(req, res, next) {
+  const expectedApiKey = process.env.CRON_API_KEY;
+  if (!expectedApiKey) return next();
+
+  const apiKey = String(req.headers['x-api-key'] || req.query.apiKey || '');
+  const provided = Buffer.from(apiKey);
+  const expected = Buffer.from(expectedApiKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    console.warn(`⚠️ Invalid API key provided for ${req.path}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// Debug and test endpoints are off in production unless ENABLE_DEBUG_ENDPOINTS=true,
+// and even then only with CRON_API_KEY configured so they are never open
+function requireDebugEnabled(req, res, next) {
+  const isProduction = process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+  if (isProduction && process.env.ENABLE_DEBUG_ENDPOINTS !== 'true') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (isProduction && !process.env.CRON_API_KEY) {
+    return res.status(403).json({ error: 'Set CRON_API_KEY to use debug endpoints in production' });
+  }
+  next();
+}
+
 // Debug endpoint to check interviews and reminder status
-app.get('/debug-reminders', async (req, res) => {
+app.get('/debug-reminders', requireDebugEnabled, requireCronApiKey, async (req, res) => {
   try {
     const result = await InterviewManager.getInterviewsNeedingReminders();
     
@@ -1059,37 +6757,36 @@ app.get('/debug-reminders', async (req, res) => {
       return res.status(500).json({ error: result.error });
     }
 
-    const { interviews24h, interviews3h } = result.data;
+    const { dueReminders, staleReminders } = result.data;
     const now = moment.tz('Asia/Taipei');
     
     // Get all interviews for debugging
-    const allInterviewsResult = await InterviewManager.getInterviews('debug');
+    const allInterviewsResult = await InterviewManager.searchInterviews();
     
     res.json({
       success: true,
       currentTime: now.format('YYYY-MM-DD HH:mm:ss'),
       timezone: 'Asia/Taipei',
-      interviewsNeeding24hReminders: interviews24h.length,
-      interviewsNeeding3hReminders: interviews3h.length,
-      interviews24h: interviews24h.map(i => ({
+      reminderConfig: {
+        default_offsets: ReminderOffsets.getDefault().map(offset => ReminderOffsets.format(offset)),
+        window_minutes: REMINDER_WINDOW_MINUTES,
+        max_lateness_minutes: REMINDER_MAX_LATENESS_MINUTES
+      },
+      remindersDue: dueReminders.length,
+      dueReminders: dueReminders.map(({ interview: i, offsetMinutes, late }) => ({
         id: i.id,
         name: i.interviewee_name,
         date: i.interview_date,
         time: i.interview_time,
+        offset: ReminderOffsets.format(offsetMinutes),
+        late,
         user_id: i.user_id,
-        user_id_valid: ReminderManager.isValidLineUserId(i.user_id),
-        reminder_24h_sent: i.reminder_24h_sent,
-        reminder_3h_sent: i.reminder_3h_sent
+        user_id_valid: ReminderManager.isValidLineUserId(i.user_id)
       })),
-      interviews3h: interviews3h.map(i => ({
+      staleReminders: staleReminders.map(({ interview: i, offsetMinutes, reason }) => ({
         id: i.id,
-        name: i.interviewee_name,
-        date: i.interview_date,
-        time: i.interview_time,
-        user_id: i.user_id,
-        user_id_valid: ReminderManager.isValidLineUserId(i.user_id),
-        reminder_24h_sent: i.reminder_24h_sent,
-        reminder_3h_sent: i.reminder_3h_sent
+        offset: ReminderOffsets.format(offsetMinutes),
+        reason
       })),
       totalInterviewsInDB: allInterviewsResult.success ? allInterviewsResult.data.length : 'Error fetching',
       presidentConfig: {
@@ -1102,6 +6799,7 @@ app.get('/debug-reminders', async (req, res) => {
         group_id_valid: ReminderManager.isValidLineGroupId(process.env.GROUP_ID)
       },
       reminderRecipients: await ReminderManager.getReminderRecipientIds(),
+      recipientFailures: await RecipientHealth.getReport().then(result => result.success ? result.data : { error: result.error }),
       trackedContacts: {
         line_users: await supabase.from('line_users').select('user_id, active, created_at').then(({ data, error }) => error ? { error: error.message } : data),
         line_groups: await supabase.from('line_groups').select('group_id, active, created_at').then(({ data, error }) => error ? { error: error.message } : data)
@@ -1113,16 +6811,18 @@ app.get('/debug-reminders', async (req, res) => {
   }
 });
 
-// Test endpoint to create a sample interview for testing reminders
-app.post('/create-test-interview', async (req, res) => {
+// Test endpoint to create a sample interview for testing reminders; it is deleted after its reminder is sent
+app.post('/create-test-interview', requireDebugEnabled, requireCronApiKey, async (req, res) => {
   try {
     const now = moment.tz('Asia/Taipei');
     
-    // Create an interview exactly 3 hours from now (for 3h reminder testing)
-    const testTime = now.clone().add(3, 'hours');
+    // Create an interview exactly at the shortest default offset from now (e.g. 3h reminder testing)
+    const offsets = ReminderOffsets.getDefault();
+    const offsetMinutes = offsets[offsets.length - 1];
+    const testTime = now.clone().add(offsetMinutes, 'minutes');
     
     const result = await InterviewManager.addInterview(
-      'test-user-123', // Test user ID
+      TEST_INTERVIEW_USER_ID,
       'Test Person',
       'Test Interviewer',
       testTime.format('YYYY-MM-DD'),
@@ -1136,7 +6836,7 @@ app.post('/create-test-interview', async (req, res) => {
         message: 'Test interview created successfully',
         interview: result.data,
         interviewTime: testTime.format('YYYY-MM-DD HH:mm:ss'),
-        hoursFromNow: 3
+        minutesFromNow: offsetMinutes
       });
     } else {
       res.status(500).json({ error: result.error });
@@ -1148,8 +6848,9 @@ app.post('/create-test-interview', async (req, res) => {
 });
 
 // Manual reminder trigger endpoint (for external cron service)
-// GET or POST. Use ?action=interview-list to send interview list to everyone instead of 24h/3h reminders.
-app.all('/trigger-reminders', async (req, res) => {
+// GET or POST. Use ?action=interview-list to send interview list to everyone instead of 24h/3h reminders,
+// or ?action=daily-digest / ?action=weekly-digest to send that digest now (once per period unless &force=1).
+app.all('/trigger-reminders', requireCronApiKey, async (req, res) => {
   try {
     if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
       console.error('trigger-reminders: SUPABASE_URL or SUPABASE_KEY not set');
@@ -1160,13 +6861,6 @@ app.all('/trigger-reminders', async (req, res) => {
       });
     }
 
-    const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-    const expectedApiKey = process.env.CRON_API_KEY;
-    if (expectedApiKey && apiKey !== expectedApiKey) {
-      console.warn('⚠️ Invalid API key provided for reminder trigger');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
     const action = (req.query.action || '').toLowerCase();
 
     if (action === 'interview-list') {
@@ -1190,6 +6884,13 @@ app.all('/trigger-reminders', async (req, res) => {
       });
     }
 
+    const digest = action.match(/^(daily|weekly)-digest$/);
+    if (digest) {
+      const result = await DigestManager.send(digest[1], { force: req.query.force === '1' });
+      const { success, ...details } = result;
+      return res.status(success ? 200 : 500).json({ success, ...details, timestamp: new Date().toISOString() });
+    }
+
     console.log('🕐 Processing reminders via serverless endpoint...');
     const result = await ReminderManager.processReminders();
     if (result.success) {
@@ -1197,6 +6898,9 @@ app.all('/trigger-reminders', async (req, res) => {
         success: true,
         message: 'Reminders processed successfully',
         totalSent: result.totalSent,
+        customSent: result.customSent,
+        droppedCount: result.droppedCount,
+        queue: result.queue,
         errors: result.errors,
         timestamp: new Date().toISOString()
       });
@@ -1256,6 +6960,24 @@ if (process.env.VERCEL !== '1') {
     console.log(`   - Supabase: ${supabaseUrl ? '✅ Configured' : '❌ Missing'}`);
     console.log(`   - President ID: ${PRESIDENT_LINE_USER_ID ? '✅ Configured' : '⚠️ Not set'}`);
   });
+
+  // Local run mode: no external cron needed
+  if (LOCAL_CRON_SCHEDULE) {
+    if (!cron.validate(LOCAL_CRON_SCHEDULE)) {
+      console.error(`❌ LOCAL_CRON_SCHEDULE "${LOCAL_CRON_SCHEDULE}" is not a valid cron expression`);
+    } else {
+      cron.schedule(LOCAL_CRON_SCHEDULE, () => {
+        ReminderManager.processReminders().catch(error => console.error('Local cron run failed:', error));
+      }, { timezone: 'Asia/Taipei' });
+      console.log(`⏰ Local cron: processing reminders and digests on "${LOCAL_CRON_SCHEDULE}"`);
+    }
+  }
 }
 
 module.exports = app;
+// Internals exercised by the unit tests in test/
+module.exports.internals = {
+  DateTimeParser, MessageParser, InterviewManager, SeriesManager, AvailabilityManager, SessionManager, MemberDirectory,
+  InterviewerNotifier, ReminderManager, SubscriptionManager, RecipientHealth, MessageDelivery, OutboundQueue,
+  client, handleBookingInput, handleCancelBookingCommand
+};
@@ -0,0 +1,45 @@
+-- Migration: Atomic self-booking
+-- Description: 預約 checked that a slot was still free and then inserted the interview in a separate
+-- call, so two interviewees confirming the same slot at once could both book it. book_interview_slot()
+-- does both in one transaction under a per-面談者 advisory lock: the second booking waits for the
+-- first, then sees it and inserts nothing.
+--
+-- The INSERT names the same columns as InterviewManager.addInterview in app.js; the others (status,
+-- reminder_offsets, created_at, ...) keep their defaults. A column that addInterview starts writing
+-- has to be added here too. The column list is spelled out rather than passed in as JSONB so that
+-- the function's parameters stay typed and the advisory lock and overlap check can use them.
+
+-- The new interview, or no row when a non-cancelled interview of that 面談者 overlaps the slot.
+-- Interviews without duration_minutes last p_default_duration_minutes (INTERVIEW_DURATION_MINUTES).
+CREATE OR REPLACE FUNCTION book_interview_slot(
+    p_user_id VARCHAR,
+    p_interviewee_name VARCHAR,
+    p_interviewer_name VARCHAR,
+    p_interview_date DATE,
+    p_interview_time TIME,
+    p_reason TEXT,
+    p_duration_minutes INTEGER,
+    p_context_type VARCHAR,
+    p_context_id VARCHAR,
+    p_default_duration_minutes INTEGER DEFAULT 60
+)
+RETURNS SETOF interviews AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('book_interview_slot:' || p_interviewer_name));
+
+    IF EXISTS (
+        SELECT 1 FROM interviews i
+        WHERE i.interviewer_name = p_interviewer_name
+          AND i.status <> 'cancelled'
+          AND i.interview_date + i.interview_time < p_interview_date + p_interview_time + make_interval(mins => p_duration_minutes)
+          AND p_interview_date + p_interview_time < i.interview_date + i.interview_time + make_interval(mins => COALESCE(i.duration_minutes, p_default_duration_minutes))
+    ) THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO interviews (user_id, interviewee_name, interviewer_name, interview_date, interview_time, reason, duration_minutes, context_type, context_id)
+    VALUES (p_user_id, p_interviewee_name, p_interviewer_name, p_interview_date, p_interview_time, p_reason, p_duration_minutes, p_context_type, p_context_id)
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
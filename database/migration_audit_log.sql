@@ -0,0 +1,27 @@
+-- Migration: Audit log for interview changes
+-- Description: Every create/update/delete of an interview is recorded with who made it, from
+-- which chat, and the row before/after. 歷史 {ID} shows an interview's history and 復原 undoes
+-- the caller's last change (including restoring a deleted interview from before_data).
+-- interview_id has no foreign key so entries survive the interview being deleted.
+
+CREATE TABLE IF NOT EXISTS interview_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    interview_id BIGINT NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'undo')),
+    actor_user_id VARCHAR(255),
+    source_type VARCHAR(20),
+    source_id VARCHAR(255),
+    before_data JSONB,
+    after_data JSONB,
+    undone_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN interview_audit_log.source_type IS 'LINE source of the change: user, group or room';
+COMMENT ON COLUMN interview_audit_log.undone_at IS 'Set when the change has been reverted by 復原';
+
+CREATE INDEX IF NOT EXISTS idx_interview_audit_log_interview
+ON interview_audit_log(interview_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_interview_audit_log_actor
+ON interview_audit_log(actor_user_id, created_at);
@@ -0,0 +1,26 @@
+-- Migration: Interviewer availability and self-booking
+-- Description: 面談者 publish open time windows with 空檔 新增, either weekly (weekday, ISO 1 = Monday)
+-- or on one date, split into blocks of slot_minutes. 預約 offers the blocks that no non-cancelled
+-- interview of that 面談者 overlaps and books one as an ordinary interview whose duration_minutes is
+-- the block length, so a booked block disappears and cancelling or deleting the interview frees it.
+
+CREATE TABLE IF NOT EXISTS availability_slots (
+    id BIGSERIAL PRIMARY KEY,
+    interviewer_name VARCHAR(255) NOT NULL,
+    weekday SMALLINT CHECK (weekday BETWEEN 1 AND 7),
+    slot_date DATE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    slot_minutes INTEGER NOT NULL DEFAULT 30 CHECK (slot_minutes BETWEEN 5 AND 240),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((weekday IS NULL) <> (slot_date IS NULL)),
+    CHECK (start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_slots_interviewer ON availability_slots(interviewer_name);
+
+ALTER TABLE interviews ADD COLUMN IF NOT EXISTS duration_minutes INTEGER CHECK (duration_minutes > 0);
+
+COMMENT ON COLUMN availability_slots.weekday IS 'Weekly window on this ISO weekday (1 = Monday, 7 = Sunday); NULL for a one-off window on slot_date';
+COMMENT ON COLUMN interviews.duration_minutes IS 'Length of a booked slot; NULL means INTERVIEW_DURATION_MINUTES';
@@ -0,0 +1,17 @@
+-- Migration: Booking contexts
+-- Description: A 預約 booking used to land in the list of the chat it was made from, usually the
+-- interviewee's 1:1 chat with the bot, where the clerk's group could not see, update or cancel it.
+-- Each availability window now records the chat it was published in with 空檔 新增, and bookings
+-- of its blocks are added to that chat's list. Windows published before this migration book into
+-- the list of the member who published them (created_by); re-add them in the clerk's group to
+-- book there instead.
+
+ALTER TABLE availability_slots
+ADD COLUMN IF NOT EXISTS context_type VARCHAR(10) CHECK (context_type IN ('user', 'group', 'room')),
+ADD COLUMN IF NOT EXISTS context_id VARCHAR(255);
+
+UPDATE availability_slots
+SET context_type = 'user', context_id = created_by
+WHERE context_type IS NULL AND created_by IS NOT NULL;
+
+COMMENT ON COLUMN availability_slots.context_type IS 'Chat whose interview list bookings of this window are added to (see interviews.context_type)';
@@ -0,0 +1,29 @@
+-- Migration: iCalendar feeds and imports
+-- Description: Each user, group or room can get a secret token for an .ics feed of its upcoming
+-- interviews (GET /calendar/{token}.ics) that calendar apps subscribe to. 行事曆 重設 revokes the
+-- old token and issues a new one. Imported events keep their iCalendar UID in interviews.ical_uid
+-- so importing the same file twice does not create duplicates.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id BIGSERIAL PRIMARY KEY,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('user', 'group', 'room')),
+    owner_id VARCHAR(255) NOT NULL,
+    created_by VARCHAR(255),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN calendar_feeds.owner_id IS 'LINE user, group or room ID the feed belongs to';
+COMMENT ON COLUMN calendar_feeds.created_by IS 'LINE user who requested the feed; imports are attributed to them';
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_owner
+ON calendar_feeds(owner_type, owner_id)
+WHERE revoked_at IS NULL;
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS ical_uid TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_interviews_ical_uid
+ON interviews(ical_uid)
+WHERE ical_uid IS NOT NULL;
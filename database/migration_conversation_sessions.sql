@@ -0,0 +1,29 @@
+-- Migration: Multi-turn conversation sessions
+-- Description: Typing just 新增 starts a guided wizard that asks for each field in turn. The
+-- current step and answers are stored here (one session per user per chat) because each
+-- webhook call may run in a fresh serverless instance.
+
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    context_id VARCHAR(255) NOT NULL,
+    flow VARCHAR(50) NOT NULL,
+    step VARCHAR(50) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, context_id)
+);
+
+COMMENT ON COLUMN conversation_sessions.context_id IS 'Chat the session belongs to: user, group or room ID';
+
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_expires_at
+ON conversation_sessions(expires_at);
+
+DROP TRIGGER IF EXISTS update_conversation_sessions_updated_at ON conversation_sessions;
+
+CREATE TRIGGER update_conversation_sessions_updated_at
+BEFORE UPDATE ON conversation_sessions
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,31 @@
+-- Migration: Enable free-form custom reminders
+-- Description: The reminders table is now used by the 提醒 chat commands. get_due_reminders()
+-- is recreated with qualified column names (the unqualified version is ambiguous with its
+-- own OUT parameters in PL/pgSQL and errors when called).
+
+CREATE INDEX IF NOT EXISTS idx_reminders_status_time
+ON reminders(status, reminder_time);
+
+CREATE INDEX IF NOT EXISTS idx_reminders_user_id
+ON reminders(user_id);
+
+DROP FUNCTION IF EXISTS get_due_reminders();
+
+CREATE OR REPLACE FUNCTION get_due_reminders()
+RETURNS TABLE (
+    id BIGINT,
+    user_id VARCHAR(255),
+    message TEXT,
+    reminder_time TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT r.id, r.user_id, r.message, r.reminder_time, r.status, r.created_at
+    FROM reminders r
+    WHERE r.status = 'pending'
+      AND r.reminder_time <= NOW()
+    ORDER BY r.reminder_time ASC;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,26 @@
+-- Migration: Stale digest claims
+-- Description: A digest run claims its period with a 'sending' row in digest_runs and marks it 'sent'
+-- or 'empty' when done. A run that crashed in between left the 'sending' row behind, and since any
+-- existing row meant "already sent" that period's digest never went out. claim_digest_run() now
+-- takes over a 'sending' row whose run has not updated it for p_stale_after_minutes, the same way
+-- claim_interview_reminder() takes over abandoned reminder claims.
+
+-- TRUE when this caller now owns the period's run (new claim, forced resend, or takeover of a stale one)
+CREATE OR REPLACE FUNCTION claim_digest_run(
+    p_digest_type VARCHAR,
+    p_period_key VARCHAR,
+    p_force BOOLEAN DEFAULT FALSE,
+    p_stale_after_minutes INTEGER DEFAULT 10
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO digest_runs (digest_type, period_key, status, updated_at)
+    VALUES (p_digest_type, p_period_key, 'sending', NOW())
+    ON CONFLICT (digest_type, period_key) DO UPDATE
+        SET status = 'sending', updated_at = NOW()
+        WHERE p_force
+           OR (digest_runs.status = 'sending'
+               AND digest_runs.updated_at < NOW() - make_interval(mins => p_stale_after_minutes));
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
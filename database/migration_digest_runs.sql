@@ -0,0 +1,20 @@
+-- Migration: Agenda digest runs
+-- Description: The daily (today's interviews by interviewer) and weekly (next 7 days by date) digests
+-- are sent by the reminder run once their DIGEST_DAILY_TIME / DIGEST_WEEKLY_TIME has passed. One row
+-- per digest and period is claimed before sending, so however often the cron calls
+-- /trigger-reminders each digest goes out at most once. A failed run deletes its row to be retried.
+
+CREATE TABLE IF NOT EXISTS digest_runs (
+    id BIGSERIAL PRIMARY KEY,
+    digest_type VARCHAR(20) NOT NULL CHECK (digest_type IN ('daily', 'weekly')),
+    period_key VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'sent', 'empty')),
+    interview_count INTEGER,
+    sent_count INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (digest_type, period_key)
+);
+
+COMMENT ON COLUMN digest_runs.period_key IS 'First date (YYYY-MM-DD, Asia/Taipei) the digest covers';
+COMMENT ON COLUMN digest_runs.status IS 'sending while in progress, sent, or empty when there were no interviews (nothing sent)';
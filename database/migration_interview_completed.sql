@@ -0,0 +1,15 @@
+-- Migration: Track completed interviews
+-- Description: Interview cards in the chat can mark an interview as done, so interviews get a
+-- status column. Existing rows start as 'scheduled'.
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'scheduled';
+
+ALTER TABLE interviews
+DROP CONSTRAINT IF EXISTS interviews_status_check;
+
+ALTER TABLE interviews
+ADD CONSTRAINT interviews_status_check
+CHECK (status IN ('scheduled', 'completed'));
+
+COMMENT ON COLUMN interviews.status IS 'scheduled or completed';
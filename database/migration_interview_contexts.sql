@@ -0,0 +1,55 @@
+-- Migration: Interview contexts (shared group and room lists)
+-- Description: Every interview and series belongs to the chat it was created in: a user's own
+-- 1:1 list, or the shared list of a LINE group or room. 查看 全部, 提醒狀態, 週期 清單 and calendar
+-- feeds show the interviews of the chat they are used in, so everyone in a group sees its schedule.
+-- Existing rows move to the group/room recorded in group_id, or to their creator's own list.
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS context_type VARCHAR(10),
+ADD COLUMN IF NOT EXISTS context_id VARCHAR(255);
+
+UPDATE interviews
+SET context_type = CASE WHEN group_id LIKE 'R%' THEN 'room' ELSE 'group' END,
+    context_id = group_id
+WHERE context_id IS NULL AND group_id IS NOT NULL;
+
+UPDATE interviews
+SET context_type = 'user',
+    context_id = user_id
+WHERE context_id IS NULL;
+
+ALTER TABLE interviews
+ALTER COLUMN context_type SET NOT NULL,
+ALTER COLUMN context_id SET NOT NULL;
+
+ALTER TABLE interviews
+DROP CONSTRAINT IF EXISTS interviews_context_type_check;
+
+ALTER TABLE interviews
+ADD CONSTRAINT interviews_context_type_check CHECK (context_type IN ('user', 'group', 'room'));
+
+COMMENT ON COLUMN interviews.context_type IS 'Whose list the interview is in: user (1:1 chat), group or room';
+COMMENT ON COLUMN interviews.context_id IS 'LINE user, group or room ID of that list';
+COMMENT ON COLUMN interviews.group_id IS 'Deprecated: replaced by context_type/context_id, no longer written';
+
+CREATE INDEX IF NOT EXISTS idx_interviews_context
+ON interviews(context_type, context_id, interview_date);
+
+ALTER TABLE interview_series
+ADD COLUMN IF NOT EXISTS context_type VARCHAR(10),
+ADD COLUMN IF NOT EXISTS context_id VARCHAR(255);
+
+UPDATE interview_series
+SET context_type = 'user',
+    context_id = user_id
+WHERE context_id IS NULL;
+
+ALTER TABLE interview_series
+ALTER COLUMN context_type SET NOT NULL,
+ALTER COLUMN context_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_interview_series_context
+ON interview_series(context_type, context_id);
+
+-- Rooms the bot is invited to are tracked in line_groups too (IDs starting with R)
+COMMENT ON COLUMN line_groups.group_id IS 'LINE group (C...) or room (R...) ID';
@@ -0,0 +1,44 @@
+-- Migration: Recurring interview series
+-- Description: A series stores a recurrence rule (weekly, every N weeks, or the nth/last weekday
+-- of every N months) plus the interview details. Occurrences are materialized ahead of time as
+-- ordinary interviews rows (series_id + occurrence_date) so reminders, conflicts and the
+-- single-interview commands keep working; materialized_until records how far ahead they exist.
+
+CREATE TABLE IF NOT EXISTS interview_series (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    interviewee_name VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255),
+    interview_time TIME NOT NULL,
+    reason TEXT,
+    reminder_offsets INTEGER[],
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly', 'monthly')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+    week_of_month SMALLINT CHECK (week_of_month BETWEEN 1 AND 5 OR week_of_month = -1),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    materialized_until DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN interview_series.weekday IS 'ISO weekday (Monday = 1, Sunday = 7)';
+COMMENT ON COLUMN interview_series.week_of_month IS 'Monthly series only: 1-5 for the nth weekday, -1 for the last';
+COMMENT ON COLUMN interview_series.materialized_until IS 'Occurrences exist up to and including this date';
+
+CREATE INDEX IF NOT EXISTS idx_interview_series_status
+ON interview_series(status);
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS series_id BIGINT REFERENCES interview_series(id) ON DELETE SET NULL;
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+COMMENT ON COLUMN interviews.occurrence_date IS 'Date the series rule produced; stays the same when one occurrence is rescheduled';
+
+-- One row per series date, so materializing twice never duplicates an occurrence
+CREATE UNIQUE INDEX IF NOT EXISTS idx_interviews_series_occurrence
+ON interviews(series_id, occurrence_date);
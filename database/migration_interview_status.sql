@@ -0,0 +1,19 @@
+-- Migration: Interview status lifecycle
+-- Description: Interviews can now be scheduled, completed, no_show (未到) or cancelled.
+-- Reminders are only sent for scheduled interviews, and cancelled interviews no longer count
+-- as conflicts for the interviewer.
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'scheduled';
+
+ALTER TABLE interviews
+DROP CONSTRAINT IF EXISTS interviews_status_check;
+
+ALTER TABLE interviews
+ADD CONSTRAINT interviews_status_check
+CHECK (status IN ('scheduled', 'completed', 'no_show', 'cancelled'));
+
+COMMENT ON COLUMN interviews.status IS 'scheduled, completed, no_show or cancelled';
+
+CREATE INDEX IF NOT EXISTS idx_interviews_status
+ON interviews(status, interview_date);
@@ -0,0 +1,20 @@
+-- Migration: Member approval
+-- Description: 我是 and 別名 let anyone who adds the bot claim a 面談者 name and then receive that
+-- interviewer's direct messages. A name registered by someone who cannot edit interviews now stays
+-- pending (approved_at NULL) until the president runs 成員 核准 {姓名}; pending members get no direct
+-- messages. 成員 移除 {姓名} unlinks a registration. Existing members are treated as approved.
+
+-- Backfill only when the column is new, so running this again does not approve pending members
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns WHERE table_name = 'members' AND column_name = 'approved_at'
+    ) THEN
+        ALTER TABLE members ADD COLUMN approved_at TIMESTAMP WITH TIME ZONE;
+        UPDATE members SET approved_at = created_at;
+    END IF;
+END $$;
+
+ALTER TABLE members ADD COLUMN IF NOT EXISTS approved_by VARCHAR(255);
+
+COMMENT ON COLUMN members.approved_at IS 'When the president (or a member allowed to edit interviews, registering themselves) approved the name; NULL while pending';
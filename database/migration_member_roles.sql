@@ -0,0 +1,23 @@
+-- Migration: Role-based permissions
+-- Description: Who may view, add, edit and delete interviews. Roles are managed in chat by the
+-- president (PRESIDENT_LINE_USER_ID, always treated as 'president'). Users without a row get
+-- DEFAULT_MEMBER_ROLE (viewer unless configured). Authorized roles may edit and delete any
+-- interview, not only the ones they created.
+
+CREATE TABLE IF NOT EXISTS member_roles (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL UNIQUE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('president', 'counsellor', 'clerk', 'viewer')),
+    granted_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_roles_user_id ON member_roles(user_id);
+
+DROP TRIGGER IF EXISTS update_member_roles_updated_at ON member_roles;
+
+CREATE TRIGGER update_member_roles_updated_at
+BEFORE UPDATE ON member_roles
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
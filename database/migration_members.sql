@@ -0,0 +1,23 @@
+-- Migration: Member directory
+-- Description: Links the names used as 面談者 to LINE accounts so the bot can message the actual
+-- interviewer. Members register themselves with 我是 {姓名}; their LINE display name is looked up
+-- at the same time, and extra names can be added with 別名 {別名}. A 面談者 name is matched
+-- against name, aliases and display name, and only an unambiguous match is messaged.
+
+CREATE TABLE IF NOT EXISTS members (
+    line_user_id VARCHAR(255) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    display_name VARCHAR(255),
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_members_name ON members(name);
+
+DROP TRIGGER IF EXISTS update_members_updated_at ON members;
+
+CREATE TRIGGER update_members_updated_at
+BEFORE UPDATE ON members
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,42 @@
+-- Migration: Outbound queue claims and expiry
+-- Description: Overlapping /trigger-reminders runs both read the pending rows of outbound_messages
+-- and pushed them twice. A run now claims rows first with claim_outbound_messages() (FOR UPDATE
+-- SKIP LOCKED, so two runs never get the same row) and only pushes what it claimed. A claim
+-- ('sending') left by a crashed run is taken over after p_stale_after_minutes, and every push of a
+-- row uses the row's retry_key as X-Line-Retry-Key so LINE does not deliver it twice.
+-- expires_at (the interview start for interview reminders) stops a reminder from being retried or
+-- requeued after it is useless: a row past it becomes 'dead' without being pushed.
+
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS retry_key UUID NOT NULL DEFAULT gen_random_uuid();
+
+ALTER TABLE outbound_messages
+DROP CONSTRAINT IF EXISTS outbound_messages_status_check;
+
+ALTER TABLE outbound_messages
+ADD CONSTRAINT outbound_messages_status_check
+CHECK (status IN ('pending', 'sending', 'sent', 'dead'));
+
+COMMENT ON COLUMN outbound_messages.expires_at IS 'Not delivered after this time (NULL = no limit)';
+COMMENT ON COLUMN outbound_messages.retry_key IS 'X-Line-Retry-Key used for every push of this row';
+
+-- Claim up to p_limit due rows (pending and due, or abandoned claims) for this caller
+CREATE OR REPLACE FUNCTION claim_outbound_messages(p_limit INTEGER DEFAULT 100, p_stale_after_minutes INTEGER DEFAULT 10)
+RETURNS SETOF outbound_messages AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE outbound_messages o
+    SET status = 'sending', claimed_at = NOW(), updated_at = NOW()
+    WHERE o.id IN (
+        SELECT c.id
+        FROM outbound_messages c
+        WHERE (c.status = 'pending' AND c.next_attempt_at <= NOW())
+           OR (c.status = 'sending' AND c.claimed_at < NOW() - make_interval(mins => p_stale_after_minutes))
+        ORDER BY c.next_attempt_at ASC
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING o.*;
+END;
+$$ LANGUAGE plpgsql;
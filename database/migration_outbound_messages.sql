@@ -0,0 +1,31 @@
+-- Migration: Outbound message queue
+-- Description: Reminder pushes that fail for a recipient are stored here instead of being lost.
+-- Each /trigger-reminders run retries the pending ones whose next_attempt_at has come, with
+-- exponential backoff. After OUTBOUND_MAX_ATTEMPTS attempts, or on an error that cannot succeed
+-- on retry (e.g. an invalid recipient), a message becomes 'dead' and is listed by 發送失敗.
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id BIGSERIAL PRIMARY KEY,
+    recipient_id VARCHAR(255) NOT NULL,
+    recipient_type VARCHAR(20) NOT NULL CHECK (recipient_type IN ('user', 'group', 'room')),
+    messages JSONB NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_error TEXT,
+    last_status_code INTEGER,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN outbound_messages.messages IS 'LINE message objects to push';
+COMMENT ON COLUMN outbound_messages.attempts IS 'Delivery attempts so far, including the original send';
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_pending
+ON outbound_messages(next_attempt_at)
+WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_status
+ON outbound_messages(status, updated_at);
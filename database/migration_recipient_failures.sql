@@ -0,0 +1,26 @@
+-- Migration: Recipient failure tracking
+-- Description: Counts consecutive permanent delivery failures per recipient (user blocked the bot
+-- without an unfollow event, stale group ID in GROUP_IDS, invalid ID, ...). Transient errors
+-- (429, 5xx) are not counted and a successful send deletes the row. After
+-- RECIPIENT_FAILURE_THRESHOLD failures deactivated_at is set: tracked users/groups are marked
+-- inactive in line_users/line_groups and every deactivated ID, including env-configured ones,
+-- is skipped by reminders until reactivated with 收件者狀態 恢復 {ID} or a new follow/join event.
+
+CREATE TABLE IF NOT EXISTS recipient_failures (
+    id BIGSERIAL PRIMARY KEY,
+    recipient_id VARCHAR(255) NOT NULL UNIQUE,
+    recipient_type VARCHAR(20) NOT NULL CHECK (recipient_type IN ('user', 'group', 'room')),
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    first_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deactivated_at TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON COLUMN recipient_failures.failure_count IS 'Consecutive permanent failures since the last successful delivery';
+COMMENT ON COLUMN recipient_failures.deactivated_at IS 'Set once failure_count reaches RECIPIENT_FAILURE_THRESHOLD; reminders skip the recipient';
+
+CREATE INDEX IF NOT EXISTS idx_recipient_failures_deactivated
+ON recipient_failures(deactivated_at)
+WHERE deactivated_at IS NOT NULL;
@@ -0,0 +1,10 @@
+-- Migration: Catch-up delivery for missed reminders
+-- Description: When the cron misses an offset's window, processReminders now sends the reminder
+-- late ('late') or, if it is too stale or superseded by a later offset, records it as 'dropped'.
+
+ALTER TABLE interview_reminder_deliveries
+DROP CONSTRAINT IF EXISTS interview_reminder_deliveries_status_check;
+
+ALTER TABLE interview_reminder_deliveries
+ADD CONSTRAINT interview_reminder_deliveries_status_check
+CHECK (status IN ('sent', 'skipped', 'late', 'dropped'));
@@ -0,0 +1,101 @@
+-- Migration: Atomic reminder claims
+-- Description: Overlapping /trigger-reminders runs (e.g. a cron service retrying a slow call) used
+-- to send the same reminder twice, because each run read the candidates, sent, and only then
+-- recorded the delivery. A run now claims a reminder first with one atomic statement and only the
+-- run that wins the claim sends it. A claim ('sending') is released if nothing could be delivered,
+-- and a claim left behind by a crashed run can be taken over after stale_after_minutes.
+
+-- Interview reminders: a 'sending' row in interview_reminder_deliveries is the claim
+ALTER TABLE interview_reminder_deliveries
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE interview_reminder_deliveries
+DROP CONSTRAINT IF EXISTS interview_reminder_deliveries_status_check;
+
+ALTER TABLE interview_reminder_deliveries
+ADD CONSTRAINT interview_reminder_deliveries_status_check
+CHECK (status IN ('sending', 'sent', 'skipped', 'late', 'dropped'));
+
+-- TRUE when this caller now owns the reminder (new claim, or takeover of a stale one)
+CREATE OR REPLACE FUNCTION claim_interview_reminder(
+    p_interview_id BIGINT,
+    p_offset_minutes INTEGER,
+    p_stale_after_minutes INTEGER DEFAULT 10
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO interview_reminder_deliveries (interview_id, offset_minutes, status, claimed_at)
+    VALUES (p_interview_id, p_offset_minutes, 'sending', NOW())
+    ON CONFLICT (interview_id, offset_minutes) DO UPDATE
+        SET claimed_at = NOW()
+        WHERE interview_reminder_deliveries.status = 'sending'
+          AND interview_reminder_deliveries.claimed_at < NOW() - make_interval(mins => p_stale_after_minutes);
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Custom reminders: status 'sending' is the claim
+ALTER TABLE reminders
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE reminders
+DROP CONSTRAINT IF EXISTS reminders_status_check;
+
+ALTER TABLE reminders
+ADD CONSTRAINT reminders_status_check
+CHECK (status IN ('pending', 'sending', 'sent', 'cancelled'));
+
+CREATE OR REPLACE FUNCTION claim_reminder(reminder_id BIGINT, stale_after_minutes INTEGER DEFAULT 10)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE reminders r
+    SET status = 'sending', claimed_at = NOW(), updated_at = NOW()
+    WHERE r.id = reminder_id
+      AND (r.status = 'pending'
+           OR (r.status = 'sending' AND r.claimed_at < NOW() - make_interval(mins => stale_after_minutes)));
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION release_reminder(reminder_id BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE reminders r
+    SET status = 'pending', claimed_at = NULL, updated_at = NOW()
+    WHERE r.id = reminder_id AND r.status = 'sending';
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION mark_reminder_sent(reminder_id BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE reminders r
+    SET status = 'sent', sent_at = NOW(), updated_at = NOW()
+    WHERE r.id = reminder_id AND r.status IN ('pending', 'sending');
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Due reminders now include claims abandoned for more than 10 minutes
+DROP FUNCTION IF EXISTS get_due_reminders();
+
+CREATE OR REPLACE FUNCTION get_due_reminders()
+RETURNS TABLE (
+    id BIGINT,
+    user_id VARCHAR(255),
+    message TEXT,
+    reminder_time TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT r.id, r.user_id, r.message, r.reminder_time, r.status, r.created_at
+    FROM reminders r
+    WHERE (r.status = 'pending'
+           OR (r.status = 'sending' AND r.claimed_at < NOW() - INTERVAL '10 minutes'))
+      AND r.reminder_time <= NOW()
+    ORDER BY r.reminder_time ASC;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,37 @@
+-- Migration: Configurable reminder offsets
+-- Description: Reminders are no longer limited to 24h/3h. Offsets (minutes before the interview)
+-- come from the REMINDER_OFFSETS environment variable and can be overridden per interview via
+-- interviews.reminder_offsets. Sent state is tracked per offset in interview_reminder_deliveries,
+-- so adding a new offset needs no schema change.
+
+-- Per-interview override (NULL = use the global REMINDER_OFFSETS)
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[];
+
+COMMENT ON COLUMN interviews.reminder_offsets IS 'Reminder offsets in minutes before the interview; NULL uses the global default';
+
+-- One row per interview and offset once that reminder has been handled
+CREATE TABLE IF NOT EXISTS interview_reminder_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    interview_id BIGINT NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'skipped')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (interview_id, offset_minutes)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_deliveries_interview
+ON interview_reminder_deliveries(interview_id);
+
+-- Carry over the state of the old fixed 24h/3h flags
+INSERT INTO interview_reminder_deliveries (interview_id, offset_minutes, status)
+SELECT id, 1440, 'sent' FROM interviews WHERE reminder_24h_sent = TRUE
+ON CONFLICT (interview_id, offset_minutes) DO NOTHING;
+
+INSERT INTO interview_reminder_deliveries (interview_id, offset_minutes, status)
+SELECT id, 180, 'sent' FROM interviews WHERE reminder_3h_sent = TRUE
+ON CONFLICT (interview_id, offset_minutes) DO NOTHING;
+
+-- reminder_24h_sent / reminder_3h_sent are kept for reference but no longer read or written
+COMMENT ON COLUMN interviews.reminder_24h_sent IS 'Deprecated: see interview_reminder_deliveries';
+COMMENT ON COLUMN interviews.reminder_3h_sent IS 'Deprecated: see interview_reminder_deliveries';
@@ -0,0 +1,26 @@
+-- Migration: Reminder subscriptions
+-- Description: Each user, group or room that receives reminders can choose which interview
+-- reminders it gets with the 訂閱 command: all (default when there is no row), only interviews
+-- of one 面談者, only interviews created in one group, or none. interviews.group_id records the
+-- group or room an interview was created in so the group filter can match it.
+
+CREATE TABLE IF NOT EXISTS reminder_subscriptions (
+    subscriber_id VARCHAR(255) PRIMARY KEY,
+    subscriber_type VARCHAR(20) NOT NULL CHECK (subscriber_type IN ('user', 'group', 'room')),
+    scope VARCHAR(20) NOT NULL DEFAULT 'all' CHECK (scope IN ('all', 'interviewer', 'group', 'none')),
+    filter_value VARCHAR(255),
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN reminder_subscriptions.subscriber_id IS 'LINE user, group or room ID that receives the reminders';
+COMMENT ON COLUMN reminder_subscriptions.filter_value IS 'Interviewer name (scope interviewer) or group/room ID (scope group)';
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS group_id VARCHAR(255);
+
+COMMENT ON COLUMN interviews.group_id IS 'LINE group or room the interview was created in (null for 1:1 chats)';
+
+CREATE INDEX IF NOT EXISTS idx_interviews_group_id
+ON interviews(group_id)
+WHERE group_id IS NOT NULL;
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+  AvailabilityManager, InterviewManager, SessionManager, MessageParser, client, handleBookingInput, handleCancelBookingCommand, taipei
+} = require('./helpers');
+
+const clerkGroup = { type: 'group', id: 'C' + '1'.repeat(32) };
+const bookerId = 'U' + '2'.repeat(32);
+// The interviewee books from their 1:1 chat with the bot
+const booker = { userId: bookerId, sourceType: 'user', sourceId: bookerId };
+
+test('a window books into the chat it was published in', () => {
+  assert.deepStrictEqual(AvailabilityManager.windowContext({ context_type: 'group', context_id: clerkGroup.id }), clerkGroup);
+  assert.strictEqual(AvailabilityManager.windowContext({ context_type: null, context_id: null }), null);
+});
+
+test('a booking made from a 1:1 chat goes to the list of the window\'s chat', async (t) => {
+  const date = taipei('2026-10-25 00:00').format('YYYY-MM-DD');
+  t.mock.method(SessionManager, 'endSession', async () => ({ success: true }));
+  t.mock.method(AvailabilityManager, 'findFreeSlot', async () => ({ success: true, data: { date, time: '10:00:00', minutes: 30, context: clerkGroup } }));
+  const book = t.mock.method(InterviewManager, 'bookInterview', async () => ({ success: true, data: { id: 7 } }));
+  const replies = [];
+  t.mock.method(client, 'replyMessage', async (replyToken, message) => { replies.push(message.text); });
+
+  const session = { step: 'reason', data: { interviewerName: '陳佑庭', date, time: '10:00:00', minutes: 30, intervieweeName: '約翰' } };
+  await handleBookingInput(booker, bookerId, session, '無', 'reply-token');
+
+  const [userId, , , , , , , actor] = book.mock.calls[0].arguments;
+  assert.strictEqual(userId, bookerId);
+  assert.deepStrictEqual(InterviewManager.contextFromActor(userId, actor), clerkGroup);
+  assert.match(replies[0], /取消 7/);
+});
+
+test('the booker can cancel a booking in the clerk\'s list from their own chat', async (t) => {
+  const start = taipei('2099-01-01 10:00');
+  const booking = {
+    id: 7, user_id: bookerId, duration_minutes: 30, status: 'scheduled',
+    interview_date: start.format('YYYY-MM-DD'), interview_time: '10:00:00', context_type: clerkGroup.type, context_id: clerkGroup.id
+  };
+  t.mock.method(InterviewManager, 'getInterviewById', async (context) => ({ success: true, data: context ? null : booking }));
+  const update = t.mock.method(InterviewManager, 'updateInterview', async () => ({ success: true, data: { ...booking, status: 'cancelled' } }));
+  t.mock.method(client, 'replyMessage', async () => {});
+
+  await handleCancelBookingCommand('取消 7', 'reply-token', booker);
+  assert.deepStrictEqual(update.mock.calls[0].arguments.slice(0, 3), [clerkGroup, 7, { status: 'cancelled' }]);
+
+  // Someone else's booking cannot be cancelled that way
+  await handleCancelBookingCommand('取消 7', 'reply-token', { userId: 'U' + '3'.repeat(32), sourceType: 'user', sourceId: 'U' + '3'.repeat(32) });
+  assert.strictEqual(update.mock.callCount(), 1);
+});
+
+test('查看 預約 lists the bookings', () => {
+  assert.deepStrictEqual(MessageParser.parseListQuery('查看 預約').filters, { booked: true });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const { DateTimeParser, taipei } = require('./helpers');
+
+// 2026-10-17 is a Saturday
+const saturdayEvening = taipei('2026-10-17 20:00');
+
+test('中午12點 is noon and 凌晨12點 is midnight', () => {
+  assert.strictEqual(DateTimeParser.parseTime('中午12點').time, '12:00:00');
+  assert.strictEqual(DateTimeParser.parseTime('凌晨12點').time, '00:00:00');
+});
+
+test('早上12點 and 上午12點 are rejected as ambiguous', () => {
+  for (const text of ['早上12點', '上午12點', '上午12:30', '早12點']) {
+    assert.strictEqual(DateTimeParser.parseTime(text), null, text);
+  }
+  assert.deepStrictEqual(DateTimeParser.parse('明天 上午12點', saturdayEvening), { date: '2026-10-18', time: null, rest: '上午12點' });
+});
+
+test('晚上12點 after a date is midnight at the end of that day', () => {
+  assert.deepStrictEqual(DateTimeParser.parse('明天 晚上12點', saturdayEvening), { date: '2026-10-19', time: '00:00:00', rest: '' });
+  assert.strictEqual(DateTimeParser.parseTime('晚上12點'), null);
+});
+
+test('a bare weekday whose time has passed today means next week', () => {
+  assert.strictEqual(DateTimeParser.parse('週六 下午3點', saturdayEvening).date, '2026-10-24');
+  assert.strictEqual(DateTimeParser.parse('星期六 早上9點', saturdayEvening).date, '2026-10-24');
+});
+
+test('a bare weekday later today stays today', () => {
+  assert.strictEqual(DateTimeParser.parse('週六 晚上9點', saturdayEvening).date, '2026-10-17');
+  assert.deepStrictEqual(DateTimeParser.parse('週六 晚上12點', saturdayEvening), { date: '2026-10-18', time: '00:00:00', rest: '' });
+  // Without a time there is nothing to have passed
+  assert.strictEqual(DateTimeParser.parse('週六', saturdayEvening).date, '2026-10-17');
+});
+
+test('這週六 and 下週六 are not moved', () => {
+  assert.strictEqual(DateTimeParser.parse('這週六 下午3點', saturdayEvening).date, '2026-10-17');
+  assert.strictEqual(DateTimeParser.parse('下週六 下午3點', saturdayEvening).date, '2026-10-24');
+});
+
+test('other weekdays are the next occurrence', () => {
+  assert.strictEqual(DateTimeParser.parse('週日 10:00', saturdayEvening).date, '2026-10-18');
+  assert.strictEqual(DateTimeParser.parse('週五 10:00', saturdayEvening).date, '2026-10-23');
+});
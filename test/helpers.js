@@ -0,0 +1,16 @@
+// Loads app.js for unit tests without a LINE channel, Supabase project or server
+process.env.VERCEL = '1';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.CHANNEL_ACCESS_TOKEN = process.env.CHANNEL_ACCESS_TOKEN || 'test-token';
+process.env.CHANNEL_SECRET = process.env.CHANNEL_SECRET || 'test-secret';
+
+const moment = require('moment-timezone');
+const { internals } = require('../app');
+
+// A moment in Asia/Taipei, e.g. taipei('2026-10-17 20:00')
+function taipei(dateTime) {
+  return moment.tz(dateTime, 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+}
+
+module.exports = { ...internals, moment, taipei };
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('assert');
+const { MessageDelivery, OutboundQueue, RecipientHealth, MemberDirectory, InterviewerNotifier } = require('./helpers');
+
+test('recipients with invalid IDs are reported but not queued for retry', async (t) => {
+  const recorded = t.mock.method(RecipientHealth, 'recordOutcomes', async () => {});
+  const enqueue = t.mock.method(OutboundQueue, 'enqueueFailures', async () => ({ success: true }));
+
+  const result = await MessageDelivery.send([{ type: 'text', text: '提醒' }], { userIds: ['not-a-user'], groupIds: ['not-a-group'] }, 'test message');
+  assert.deepStrictEqual(result.outcomes.map(outcome => outcome.status), ['invalid', 'invalid']);
+  assert.strictEqual(result.errors.length, 2);
+  assert.strictEqual(enqueue.mock.callCount(), 0);
+  assert.strictEqual(recorded.mock.calls[0].arguments[0].length, 2);
+});
+
+test('interviewer notifications go through MessageDelivery', async (t) => {
+  const userId = 'U' + '1'.repeat(32);
+  t.mock.method(MemberDirectory, 'findUserIdByName', async () => userId);
+  t.mock.method(RecipientHealth, 'filterActive', async recipients => recipients);
+  const send = t.mock.method(MessageDelivery, 'send', async () => ({ sentCount: 1, outcomes: [], errors: [] }));
+
+  await InterviewerNotifier.notify('李老師', '📌 您被安排為面談者', { userId: 'U' + '2'.repeat(32) });
+  assert.strictEqual(send.mock.callCount(), 1);
+  assert.deepStrictEqual(send.mock.calls[0].arguments.slice(0, 2), [[{ type: 'text', text: '📌 您被安排為面談者' }], { userIds: [userId], groupIds: [] }]);
+
+  await InterviewerNotifier.notify('李老師', '📌 您被安排為面談者', { userId });
+  assert.strictEqual(send.mock.callCount(), 1);
+});
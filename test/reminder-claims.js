@@ -0,0 +1,400 @@
+// Parallel-run harness for the reminder claim functions (migration_reminder_claims.sql),
+// the retry queue claim (migration_outbound_claims.sql), the digest claim (migration_digest_claims.sql)
+// and 預約 booking (migration_atomic_booking.sql, migration_booking_contexts.sql).
+//
+// Loads the schema and migrations into a throwaway schema of a local Postgres, then
+// simulates overlapping /trigger-reminders runs on separate connections and checks
+// that every reminder is delivered exactly once.
+//
+//   DATABASE_URL=postgres://postgres@localhost:5432/postgres npm run test:claims
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { Client, Pool } = require('pg');
+
+const DATABASE_URL = process.env.DATABASE_URL || 'postgres://postgres@localhost:5432/postgres';
+const PARALLEL_RUNS = parseInt(process.env.PARALLEL_RUNS || '8', 10);
+const STALE_AFTER_MINUTES = 10;
+const SCHEMA = `claims_harness_${process.pid}`;
+
+// In the order the migrations were added; later ones depend on earlier ones
+const SQL_FILES = [
+  'schema.sql',
+  'migration_add_interviewer.sql',
+  'migration_line_contacts.sql',
+  'migration_custom_reminders.sql',
+  'migration_reminder_offsets.sql',
+  'migration_reminder_catchup.sql',
+  'migration_interview_completed.sql',
+  'migration_conversation_sessions.sql',
+  'migration_member_roles.sql',
+  'migration_audit_log.sql',
+  'migration_interview_status.sql',
+  'migration_interview_series.sql',
+  'migration_calendar_feeds.sql',
+  'migration_reminder_subscriptions.sql',
+  'migration_members.sql',
+  'migration_outbound_messages.sql',
+  'migration_reminder_claims.sql',
+  'migration_recipient_failures.sql',
+  'migration_interview_contexts.sql',
+  'migration_digest_runs.sql',
+  'migration_availability_slots.sql',
+  'migration_member_approval.sql',
+  'migration_outbound_claims.sql',
+  'migration_digest_claims.sql',
+  'migration_atomic_booking.sql',
+  'migration_booking_contexts.sql'
+];
+
+const OFFSETS = [1440, 180];
+
+let pool;
+
+// Run every worker at the same time, each on its own connection
+async function inParallel(count, worker) {
+  const clients = await Promise.all(Array.from({ length: count }, () => pool.connect()));
+  try {
+    return await Promise.all(clients.map((client, index) => worker(client, index)));
+  } finally {
+    clients.forEach(client => client.release());
+  }
+}
+
+async function createInterviews(count) {
+  const { rows } = await pool.query(
+    `INSERT INTO interviews (user_id, interviewee_name, interview_date, interview_time, context_type, context_id)
+     SELECT 'harness', '面談者' || n, CURRENT_DATE + 1, '10:00', 'user', 'harness'
+     FROM generate_series(1, $1) AS n
+     RETURNING id`,
+    [count]
+  );
+  return rows.map(row => row.id);
+}
+
+async function createReminders(count) {
+  const { rows } = await pool.query(
+    `INSERT INTO reminders (user_id, message, reminder_time)
+     SELECT 'harness', '提醒' || n, NOW() - INTERVAL '1 minute'
+     FROM generate_series(1, $1) AS n
+     RETURNING id`,
+    [count]
+  );
+  return rows.map(row => row.id);
+}
+
+// One /trigger-reminders run: claim, "send", then complete (or release) each interview reminder,
+// using the same statements as InterviewManager.claimReminder/completeReminderClaim/releaseReminderClaim
+async function interviewReminderRun(client, interviewIds, deliveries, { failOffset = null } = {}) {
+  for (const interviewId of interviewIds) {
+    for (const offsetMinutes of OFFSETS) {
+      const { rows } = await client.query(
+        'SELECT claim_interview_reminder($1, $2, $3) AS claimed',
+        [interviewId, offsetMinutes, STALE_AFTER_MINUTES]
+      );
+      if (!rows[0].claimed) continue;
+
+      if (offsetMinutes === failOffset) {
+        await client.query(
+          `DELETE FROM interview_reminder_deliveries
+           WHERE interview_id = $1 AND offset_minutes = $2 AND status = 'sending'`,
+          [interviewId, offsetMinutes]
+        );
+        continue;
+      }
+
+      const key = `${interviewId}:${offsetMinutes}`;
+      deliveries.set(key, (deliveries.get(key) || 0) + 1);
+      await client.query(
+        `UPDATE interview_reminder_deliveries SET status = 'sent'
+         WHERE interview_id = $1 AND offset_minutes = $2 AND status = 'sending'`,
+        [interviewId, offsetMinutes]
+      );
+    }
+  }
+}
+
+// One run over the custom reminders, as in ReminderManager.processReminders
+async function customReminderRun(client, deliveries) {
+  const { rows: due } = await client.query('SELECT id FROM get_due_reminders()');
+  for (const { id } of due) {
+    const { rows } = await client.query('SELECT claim_reminder($1, $2) AS claimed', [id, STALE_AFTER_MINUTES]);
+    if (!rows[0].claimed) continue;
+
+    deliveries.set(id, (deliveries.get(id) || 0) + 1);
+    await client.query('SELECT mark_reminder_sent($1)', [id]);
+  }
+}
+
+function assertDeliveredOnce(deliveries, expectedKeys, label) {
+  const duplicates = [...deliveries].filter(([, count]) => count !== 1);
+  assert.deepStrictEqual(duplicates, [], `${label}: delivered more than once`);
+  assert.strictEqual(deliveries.size, expectedKeys.length, `${label}: some reminders were never delivered`);
+}
+
+const tests = {
+  async 'parallel runs deliver each interview reminder once'() {
+    const interviewIds = await createInterviews(40);
+    const deliveries = new Map();
+    await inParallel(PARALLEL_RUNS, client => interviewReminderRun(client, interviewIds, deliveries));
+
+    const keys = interviewIds.flatMap(id => OFFSETS.map(offset => `${id}:${offset}`));
+    assertDeliveredOnce(deliveries, keys, 'interview reminders');
+
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int AS sent FROM interview_reminder_deliveries
+       WHERE interview_id = ANY($1) AND status = 'sent'`,
+      [interviewIds]
+    );
+    assert.strictEqual(rows[0].sent, keys.length);
+  },
+
+  async 'many runs racing for one interview reminder: exactly one wins'() {
+    const [interviewId] = await createInterviews(1);
+    const results = await inParallel(PARALLEL_RUNS, async client => {
+      const { rows } = await client.query(
+        'SELECT claim_interview_reminder($1, $2, $3) AS claimed',
+        [interviewId, OFFSETS[0], STALE_AFTER_MINUTES]
+      );
+      return rows[0].claimed;
+    });
+    assert.strictEqual(results.filter(Boolean).length, 1);
+  },
+
+  async 'a released interview reminder is delivered by a later run'() {
+    const interviewIds = await createInterviews(10);
+    const deliveries = new Map();
+
+    // First wave cannot deliver the 3h reminders and gives those claims back
+    await inParallel(PARALLEL_RUNS, client => interviewReminderRun(client, interviewIds, deliveries, { failOffset: OFFSETS[1] }));
+    assert.strictEqual(deliveries.size, interviewIds.length);
+
+    await inParallel(PARALLEL_RUNS, client => interviewReminderRun(client, interviewIds, deliveries));
+    assertDeliveredOnce(deliveries, interviewIds.flatMap(id => OFFSETS.map(offset => `${id}:${offset}`)), 'released interview reminders');
+  },
+
+  async 'a stale interview claim is taken over by exactly one run'() {
+    const [interviewId] = await createInterviews(1);
+    await pool.query('SELECT claim_interview_reminder($1, $2, $3)', [interviewId, OFFSETS[0], STALE_AFTER_MINUTES]);
+
+    // A fresh claim is left alone
+    const fresh = await pool.query('SELECT claim_interview_reminder($1, $2, $3) AS claimed', [interviewId, OFFSETS[0], STALE_AFTER_MINUTES]);
+    assert.strictEqual(fresh.rows[0].claimed, false);
+
+    // The run holding it crashed long ago
+    await pool.query(
+      `UPDATE interview_reminder_deliveries SET claimed_at = NOW() - make_interval(mins => $2)
+       WHERE interview_id = $1`,
+      [interviewId, STALE_AFTER_MINUTES + 1]
+    );
+
+    const results = await inParallel(PARALLEL_RUNS, async client => {
+      const { rows } = await client.query(
+        'SELECT claim_interview_reminder($1, $2, $3) AS claimed',
+        [interviewId, OFFSETS[0], STALE_AFTER_MINUTES]
+      );
+      return rows[0].claimed;
+    });
+    assert.strictEqual(results.filter(Boolean).length, 1);
+
+    // Sent reminders are never reclaimed, however old
+    await pool.query(
+      `UPDATE interview_reminder_deliveries SET status = 'sent', claimed_at = NOW() - INTERVAL '1 day'
+       WHERE interview_id = $1`,
+      [interviewId]
+    );
+    const sent = await pool.query('SELECT claim_interview_reminder($1, $2, $3) AS claimed', [interviewId, OFFSETS[0], STALE_AFTER_MINUTES]);
+    assert.strictEqual(sent.rows[0].claimed, false);
+  },
+
+  async 'parallel runs deliver each custom reminder once'() {
+    const reminderIds = await createReminders(40);
+    const deliveries = new Map();
+    await inParallel(PARALLEL_RUNS, client => customReminderRun(client, deliveries));
+
+    const delivered = new Map([...deliveries].filter(([id]) => reminderIds.includes(id)));
+    assertDeliveredOnce(delivered, reminderIds, 'custom reminders');
+
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int AS sent FROM reminders WHERE id = ANY($1) AND status = 'sent'`,
+      [reminderIds]
+    );
+    assert.strictEqual(rows[0].sent, reminderIds.length);
+  },
+
+  async 'custom reminder claims: stale takeover and release'() {
+    const [reminderId] = await createReminders(1);
+    const claim = async client => {
+      const { rows } = await client.query('SELECT claim_reminder($1, $2) AS claimed', [reminderId, STALE_AFTER_MINUTES]);
+      return rows[0].claimed;
+    };
+
+    assert.strictEqual((await inParallel(PARALLEL_RUNS, claim)).filter(Boolean).length, 1);
+    assert.strictEqual(await claim(pool), false);
+
+    await pool.query(
+      `UPDATE reminders SET claimed_at = NOW() - make_interval(mins => $2) WHERE id = $1`,
+      [reminderId, STALE_AFTER_MINUTES + 1]
+    );
+    const { rows: due } = await pool.query('SELECT id FROM get_due_reminders() WHERE id = $1', [reminderId]);
+    assert.strictEqual(due.length, 1, 'stale claim should be due again');
+    assert.strictEqual((await inParallel(PARALLEL_RUNS, claim)).filter(Boolean).length, 1);
+
+    const released = await pool.query('SELECT release_reminder($1) AS released', [reminderId]);
+    assert.strictEqual(released.rows[0].released, true);
+    assert.strictEqual((await inParallel(PARALLEL_RUNS, claim)).filter(Boolean).length, 1);
+
+    await pool.query('SELECT mark_reminder_sent($1)', [reminderId]);
+    await pool.query(`UPDATE reminders SET claimed_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [reminderId]);
+    assert.strictEqual(await claim(pool), false);
+  },
+
+  async 'parallel queue runs claim each outbound message once'() {
+    const { rows: queued } = await pool.query(
+      `INSERT INTO outbound_messages (recipient_id, recipient_type, messages, description, next_attempt_at)
+       SELECT 'U' || n, 'user', '[]'::jsonb, 'harness', NOW() - INTERVAL '1 minute'
+       FROM generate_series(1, 100) AS n
+       RETURNING id`
+    );
+
+    const claimed = [];
+    await inParallel(PARALLEL_RUNS, async client => {
+      for (;;) {
+        const { rows } = await client.query('SELECT id FROM claim_outbound_messages($1, $2)', [7, STALE_AFTER_MINUTES]);
+        if (rows.length === 0) return;
+        claimed.push(...rows.map(row => row.id));
+      }
+    });
+
+    assert.strictEqual(new Set(claimed).size, claimed.length, 'a queued message was claimed twice');
+    assert.deepStrictEqual(claimed.map(Number).sort((a, b) => a - b), queued.map(row => Number(row.id)).sort((a, b) => a - b));
+  },
+
+  async 'digest runs: one claim per period, stale takeover, force'() {
+    const claim = async (client, force = false) => {
+      const { rows } = await client.query('SELECT claim_digest_run($1, $2, $3, $4) AS claimed', ['daily', '2026-10-19', force, STALE_AFTER_MINUTES]);
+      return rows[0].claimed;
+    };
+
+    assert.strictEqual((await inParallel(PARALLEL_RUNS, client => claim(client))).filter(Boolean).length, 1);
+    assert.strictEqual(await claim(pool), false);
+
+    // The run that claimed it crashed before finishing
+    await pool.query(
+      `UPDATE digest_runs SET updated_at = NOW() - make_interval(mins => $1) WHERE period_key = '2026-10-19'`,
+      [STALE_AFTER_MINUTES + 1]
+    );
+    assert.strictEqual((await inParallel(PARALLEL_RUNS, client => claim(client))).filter(Boolean).length, 1);
+
+    // A finished run is never taken over, however old, unless forced
+    await pool.query(`UPDATE digest_runs SET status = 'sent', updated_at = NOW() - INTERVAL '1 day' WHERE period_key = '2026-10-19'`);
+    assert.strictEqual(await claim(pool), false);
+    assert.strictEqual(await claim(pool, true), true);
+  },
+
+  async 'bookings confirmed at the same moment: one per slot'() {
+    const interviewer = '面談者預約';
+    const book = (client, time, minutes = 30) => client.query(
+      `SELECT id FROM book_interview_slot($1, $2, $3, CURRENT_DATE + 7, $4, '', $5, 'user', $1, 60)`,
+      [`U${Math.random()}`, '面談對象', interviewer, time, minutes]
+    ).then(({ rows }) => rows.length);
+
+    // Everyone wants 10:00, or a slot overlapping it
+    const times = ['10:00', '10:15', '09:50'];
+    const booked = await inParallel(PARALLEL_RUNS, (client, index) => book(client, times[index % times.length]));
+    assert.strictEqual(booked.reduce((sum, count) => sum + count, 0), 1);
+
+    // Neighbouring slots are still free, overlapping ones are not
+    const { rows: [first] } = await pool.query(
+      `SELECT interview_time FROM interviews WHERE interviewer_name = $1`,
+      [interviewer]
+    );
+    const start = first.interview_time.slice(0, 5);
+    const [hour, minute] = start.split(':').map(Number);
+    const next = `${hour + Math.floor((minute + 30) / 60)}:${String((minute + 30) % 60).padStart(2, '0')}`;
+    assert.strictEqual(await book(pool, next), 1);
+    assert.strictEqual(await book(pool, start), 0);
+
+    // A cancelled interview frees its slot; one without duration_minutes blocks the default 60 minutes
+    await pool.query(`UPDATE interviews SET status = 'cancelled' WHERE interviewer_name = $1`, [interviewer]);
+    await pool.query(
+      `INSERT INTO interviews (user_id, interviewee_name, interviewer_name, interview_date, interview_time, context_type, context_id)
+       VALUES ('harness', '面談對象', $1, CURRENT_DATE + 7, '13:00', 'user', 'harness')`,
+      [interviewer]
+    );
+    assert.strictEqual(await book(pool, start), 1);
+    assert.strictEqual(await book(pool, '13:30'), 0);
+    assert.strictEqual(await book(pool, '14:00'), 1);
+  },
+
+  async 'bookings go to the list of the chat the window was published in'() {
+    const interviewer = '面談者群組預約';
+    const group = 'C' + '1'.repeat(32);
+    // 空檔 新增 from the clerk's group, and a window published before windows had a chat
+    await pool.query(
+      `INSERT INTO availability_slots (interviewer_name, weekday, start_time, end_time, created_by, context_type, context_id)
+       VALUES ($1, 7, '12:00', '14:00', 'Uclerk', 'group', $2), ($1, 6, '12:00', '14:00', 'Uclerk', NULL, NULL)`,
+      [interviewer, group]
+    );
+    await pool.query(fs.readFileSync(path.join(__dirname, '..', 'database', 'migration_booking_contexts.sql'), 'utf8'));
+    const { rows: windows } = await pool.query(
+      `SELECT weekday, context_type, context_id FROM availability_slots WHERE interviewer_name = $1 ORDER BY weekday`,
+      [interviewer]
+    );
+    assert.deepStrictEqual(windows.map(window => [window.weekday, window.context_type, window.context_id]), [[6, 'user', 'Uclerk'], [7, 'group', group]]);
+
+    // The interviewee books from their 1:1 chat; the interview is in the group's list
+    const { rows: [booking] } = await pool.query(
+      `SELECT user_id, context_type, context_id FROM book_interview_slot('Ubooker', '面談對象', $1, CURRENT_DATE + 7, '12:00', '', 30, $2, $3, 60)`,
+      [interviewer, windows[1].context_type, windows[1].context_id]
+    );
+    assert.deepStrictEqual({ ...booking }, { user_id: 'Ubooker', context_type: 'group', context_id: group });
+  }
+};
+
+async function main() {
+  const admin = new Client({ connectionString: DATABASE_URL });
+  await admin.connect();
+  await admin.query(`CREATE SCHEMA ${SCHEMA}`);
+
+  pool = new Pool({
+    connectionString: DATABASE_URL,
+    max: PARALLEL_RUNS,
+    options: `-c search_path=${SCHEMA}`
+  });
+
+  let failed = 0;
+  try {
+    const setup = await pool.connect();
+    try {
+      for (const file of SQL_FILES) {
+        await setup.query(fs.readFileSync(path.join(__dirname, '..', 'database', file), 'utf8'));
+      }
+    } finally {
+      setup.release();
+    }
+
+    for (const [name, test] of Object.entries(tests)) {
+      try {
+        await test();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+      }
+    }
+  } finally {
+    await pool.end();
+    await admin.query(`DROP SCHEMA ${SCHEMA} CASCADE`);
+    await admin.end();
+  }
+
+  console.log(`\n${Object.keys(tests).length - failed} passed, ${failed} failed (${PARALLEL_RUNS} parallel runs)`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
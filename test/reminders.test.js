@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const { ReminderManager, RecipientHealth, SubscriptionManager, MessageDelivery } = require('./helpers');
+
+function stubRecipients(t, recipients) {
+  t.mock.method(ReminderManager, 'getReminderRecipientIds', async () => recipients);
+  t.mock.method(SubscriptionManager, 'filterRecipients', async ids => ids);
+  t.mock.method(RecipientHealth, 'filterActive', async ids => ids);
+}
+
+test('a reminder with every recipient filtered out is handled without sending', async (t) => {
+  stubRecipients(t, { userIds: [], groupIds: [] });
+  const send = t.mock.method(MessageDelivery, 'send', async () => assert.fail('nothing to send to'));
+
+  const result = await ReminderManager.pushToRecipients('提醒', 'custom reminder 1');
+  assert.deepStrictEqual(result, { success: true, sentCount: 0, noRecipients: true, outcomes: [] });
+  assert.strictEqual(send.mock.callCount(), 0);
+});
+
+test('a reminder whose only recipients have invalid IDs is handled', async (t) => {
+  stubRecipients(t, { userIds: ['bad-id'], groupIds: [] });
+  t.mock.method(MessageDelivery, 'send', async () => ({
+    sentCount: 0,
+    outcomes: [{ id: 'bad-id', type: 'user', status: 'invalid', error: 'Invalid LINE user ID format' }],
+    errors: []
+  }));
+
+  const result = await ReminderManager.pushToRecipients('提醒', 'custom reminder 1');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.noRecipients, true);
+});
+
+test('a reminder that could only be queued for retry counts as handled', async (t) => {
+  stubRecipients(t, { userIds: ['U' + '0'.repeat(32)], groupIds: [] });
+  t.mock.method(MessageDelivery, 'send', async () => ({
+    sentCount: 0,
+    outcomes: [{ id: 'U' + '0'.repeat(32), type: 'user', status: 'failed', statusCode: 500, error: 'server error' }],
+    errors: ['User U' + '0'.repeat(32) + ': server error']
+  }));
+
+  const result = await ReminderManager.pushToRecipients('提醒', 'custom reminder 1');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.noRecipients, undefined);
+  assert.strictEqual(result.errors.length, 1);
+});
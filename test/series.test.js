@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('assert');
+const { SeriesManager, InterviewManager, InterviewerNotifier } = require('./helpers');
+
+const series = { id: 3, interviewee_name: '王小明', interviewer_name: '李老師', interview_time: '10:00:00', reason: '' };
+const occurrence = (id, date, overrides = {}) => ({
+  id, series_id: 3, occurrence_date: date, interview_date: date, interview_time: '10:00:00',
+  interviewee_name: '王小明', interviewer_name: '李老師', reason: '', duration_minutes: null, status: 'scheduled', ...overrides
+});
+
+test('a series update skips occurrences edited on their own and deletes the ones past a new end date', () => {
+  const occurrences = [occurrence(1, '2026-10-20'), occurrence(2, '2026-10-27', { interview_time: '14:00:00' }), occurrence(3, '2026-11-03')];
+
+  const moved = SeriesManager.planOccurrenceUpdates(series, occurrences, { interview_time: '11:00:00' });
+  assert.deepStrictEqual(moved.changes.map(change => [change.occurrence.id, change.updates]), [[1, { interview_time: '11:00:00' }], [3, { interview_time: '11:00:00' }]]);
+  assert.deepStrictEqual(moved.deletions, []);
+
+  const shortened = SeriesManager.planOccurrenceUpdates(series, occurrences, { end_date: '2026-10-31' });
+  assert.deepStrictEqual(shortened.deletions.map(interview => interview.id), [3]);
+  assert.deepStrictEqual(shortened.changes, []);
+});
+
+test('moving a series reports every occurrence that would double-book the interviewer', async (t) => {
+  t.mock.method(SeriesManager, 'getSeriesById', async () => ({ success: true, data: series }));
+  t.mock.method(SeriesManager, 'getUpcomingOccurrences', async () => ({ success: true, data: [occurrence(1, '2026-10-20'), occurrence(2, '2026-10-27')] }));
+  const checked = [];
+  t.mock.method(InterviewManager, 'findConflicts', async (interviewerName, date, time, excludeId) => {
+    checked.push([interviewerName, date, time, excludeId]);
+    return { success: true, data: date === '2026-10-27' ? [{ id: 9, interviewee_name: '陳大文', interview_time: '11:30:00' }] : [] };
+  });
+
+  const result = await SeriesManager.findUpdateConflicts(3, { interview_time: '11:00:00' });
+  assert.deepStrictEqual(checked, [['李老師', '2026-10-20', '11:00:00', 1], ['李老師', '2026-10-27', '11:00:00', 2]]);
+  assert.deepStrictEqual(result.data.map(({ occurrence: moved, conflicts }) => [moved.id, conflicts[0].id]), [[2, 9]]);
+
+  checked.length = 0;
+  await SeriesManager.findUpdateConflicts(3, { reason: '複診' });
+  assert.deepStrictEqual(checked, []);
+});
+
+test('a series update sends each interviewer one message', async (t) => {
+  const sent = [];
+  t.mock.method(InterviewerNotifier, 'notify', async (interviewerName, text) => { sent.push([interviewerName, text]); });
+
+  const before = [occurrence(1, '2026-10-20'), occurrence(2, '2026-10-27'), occurrence(3, '2026-11-03')];
+  await InterviewerNotifier.seriesChanged(series, before.map(interview => ({ before: interview, after: { ...interview, interview_time: '11:00:00' } })), null);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0][0], '李老師');
+  assert.match(sent[0][1], /已更新 3 場/);
+
+  sent.length = 0;
+  await InterviewerNotifier.seriesChanged(series, before.map(interview => ({ before: interview, after: { ...interview, interviewer_name: '張老師' } })), null);
+  assert.deepStrictEqual(sent.map(([interviewerName]) => interviewerName), ['李老師', '張老師']);
+  assert.match(sent[0][1], /不再是.*以下 3 場/);
+});